@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { getConfig } = require('./config');
+const { sendApiError } = require('./errors');
+const { logger } = require('./logger');
+
+// Autenticação por chave de API (seção "auth" da configuração, ver config.js)
+//   AUTH_ENABLED             auth.enabled          exige chave nas rotas da API e nos serviços
+//                                                  OGC (padrão: false)
+//   API_KEYS_FILE            auth.keysFile         arquivo de chaves (padrão: ./api-keys.json)
+//   URL_SIGNING_SECRET       auth.signingSecret    segredo das URLs assinadas (sem ele, desativadas)
+//   AUTH_SIGNED_URL_MAX_AGE  auth.signedUrlMaxAge  validade máxima de uma URL assinada em segundos
+//                                                  (padrão: 7 dias)
+//
+// A chave vem no cabeçalho X-API-Key, em Authorization: Bearer <chave> ou, nas URLs de
+// tiles usadas por mapas, no parâmetro ?key=. O arquivo de chaves guarda só o hash
+// SHA-256 de cada chave e é relido quando muda (ver scripts/api-keys.js):
+//   { "keys": [{ "id": "cliente-x", "hash": "<sha256>", "datasets": ["Iturama-2019"],
+//                "admin": false, "rateLimit": null, "expiresAt": null, "disabled": false }] }
+//   datasets   ids de datasets e camadas vetoriais liberados ("*" libera todos)
+//   admin      acesso às rotas administrativas (envio, remoção, overviews, tarefas,
+//              configuração e métricas)
+//   rateLimit  requisições por janela para esta chave (padrão: rateLimit.perKey)
+//
+// URLs assinadas liberam, até expirar, os tiles de um único dataset sem expor a chave
+// (para mapas embutidos): ?kid=<id da chave>&expires=<unix>&signature=<hmac>. A chave
+// que assinou precisa continuar válida e com acesso ao dataset. A assinatura é conferida
+// já na autenticação, antes do limite de requisições da chave.
+
+// Prefixo das chaves geradas, para identificá-las em arquivos e logs
+const KEY_PREFIX = 'evx_';
+
+// Intervalo mínimo entre verificações de mudança do arquivo de chaves
+const RELOAD_INTERVAL_MS = 1000;
+
+// Rotas protegidas quando a autenticação está ligada (o visualizador, /health e
+// /ready continuam abertos)
+const PROTECTED_PATHS = /^\/(api|wms|wmts|metrics)(\/|$)/;
+
+// Rotas de leitura de imagens aceitas com URL assinada (o grupo 2 é o id do dataset;
+// sem ele, rotas antigas do dataset padrão)
+const SIGNED_PATHS = /^\/api\/(datasets\/([^/]+)\/)?(tiles\/|tilejson\.json$|preview$|legend$)/;
+
+const store = { mtime: null, checkedAt: 0, byHash: new Map() };
+
+// Função para calcular o hash guardado de uma chave
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Função para gerar uma chave nova (mostrada uma única vez a quem a criou)
+function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Função para validar e normalizar um registro do arquivo de chaves
+function normalizeKeyRecord(record, index) {
+  const prefix = `keys[${index}]`;
+  if (!record || typeof record !== 'object') {
+    throw new Error(`${prefix}: deve ser um objeto`);
+  }
+  if (typeof record.id !== 'string' || !record.id) {
+    throw new Error(`${prefix}.id: deve ser um texto não vazio`);
+  }
+  if (typeof record.hash !== 'string' || !/^[0-9a-f]{64}$/.test(record.hash)) {
+    throw new Error(`${prefix}.hash: deve ser o SHA-256 da chave em hexadecimal`);
+  }
+  const datasets = record.datasets === undefined ? [] : record.datasets;
+  if (!Array.isArray(datasets) || datasets.some(id => typeof id !== 'string')) {
+    throw new Error(`${prefix}.datasets: deve ser uma lista de ids (ou ["*"])`);
+  }
+  if (record.rateLimit !== undefined && record.rateLimit !== null &&
+      !(Number.isInteger(record.rateLimit) && record.rateLimit > 0)) {
+    throw new Error(`${prefix}.rateLimit: deve ser um inteiro positivo`);
+  }
+  const expiresAt = record.expiresAt ? Date.parse(record.expiresAt) : null;
+  if (Number.isNaN(expiresAt)) {
+    throw new Error(`${prefix}.expiresAt: data inválida`);
+  }
+  return {
+    id: record.id,
+    hash: record.hash,
+    datasets,
+    admin: record.admin === true,
+    rateLimit: record.rateLimit || null,
+    expiresAt: record.expiresAt || null,
+    expiresAtMs: expiresAt,
+    disabled: record.disabled === true
+  };
+}
+
+// Função para ler o arquivo de chaves (sem arquivo, nenhuma chave)
+function readKeysFile(file = getConfig().auth.keysFile) {
+  if (!fs.existsSync(file)) return [];
+  let content;
+  try {
+    content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Arquivo de chaves ${file} inválido: ${error.message}`);
+  }
+  if (!content || !Array.isArray(content.keys)) {
+    throw new Error(`Arquivo de chaves ${file} inválido: falta a lista "keys"`);
+  }
+  return content.keys.map(normalizeKeyRecord);
+}
+
+// Função para gravar o arquivo de chaves (somente leitura e escrita para o dono)
+function writeKeysFile(records, file = getConfig().auth.keysFile) {
+  const keys = records.map(({ id, hash, datasets, admin, rateLimit, expiresAt, disabled }) => ({
+    id, hash, datasets, admin, rateLimit, expiresAt, disabled
+  }));
+  fs.writeFileSync(file, `${JSON.stringify({ keys }, null, 2)}\n`, { mode: 0o600 });
+}
+
+// Função para recarregar as chaves quando o arquivo muda. Um arquivo inválido é
+// registrado no log e as chaves anteriores continuam valendo.
+function refreshKeyStore() {
+  const now = Date.now();
+  if (now - store.checkedAt < RELOAD_INTERVAL_MS) return;
+  store.checkedAt = now;
+
+  const file = getConfig().auth.keysFile;
+  let mtime = null;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch (error) {
+    // Sem arquivo: nenhuma chave
+  }
+  if (mtime === store.mtime) return;
+
+  try {
+    store.byHash = new Map(readKeysFile(file).map(record => [record.hash, record]));
+    store.mtime = mtime;
+    logger.info('Chaves de API carregadas', { file, keys: store.byHash.size });
+  } catch (error) {
+    logger.error('Erro ao carregar as chaves de API', { file, error: error.message });
+  }
+}
+
+// Função para verificar se um registro de chave está ativo
+function isKeyActive(record) {
+  return Boolean(record) && !record.disabled &&
+    (record.expiresAtMs === null || record.expiresAtMs > Date.now());
+}
+
+// Função para localizar uma chave ativa pelo seu valor
+function findApiKey(key) {
+  refreshKeyStore();
+  const record = store.byHash.get(hashApiKey(key));
+  return isKeyActive(record) ? record : null;
+}
+
+// Função para localizar uma chave ativa pelo id (URLs assinadas)
+function findApiKeyById(id) {
+  refreshKeyStore();
+  for (const record of store.byHash.values()) {
+    if (record.id === id) return isKeyActive(record) ? record : null;
+  }
+  return null;
+}
+
+// Função para obter a chave enviada na requisição (cabeçalho ou ?key=)
+function keyFromRequest(req) {
+  const header = req.get('X-API-Key');
+  if (header) return header;
+  const authorization = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (authorization) return authorization[1];
+  return typeof req.query.key === 'string' ? req.query.key : null;
+}
+
+// Função para calcular a assinatura do acesso de uma chave a um dataset até `expires`
+function signatureFor(keyId, datasetId, expires) {
+  return crypto.createHmac('sha256', getConfig().auth.signingSecret)
+    .update(`${keyId}:${datasetId}:${expires}`)
+    .digest('base64url');
+}
+
+// Função para comparar a assinatura recebida com a esperada (em tempo constante)
+function signatureMatches(keyId, datasetId, expires, signature) {
+  const expected = Buffer.from(signatureFor(keyId, datasetId, expires));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Função para obter o dataset de uma rota aceita com URL assinada
+function signedDatasetId(requestPath) {
+  const match = SIGNED_PATHS.exec(requestPath);
+  if (match[2]) {
+    try {
+      return decodeURIComponent(match[2]);
+    } catch (error) {
+      return null;
+    }
+  }
+  // Carregado sob demanda: o script de chaves usa este módulo sem o GDAL
+  const { getDefaultDataset } = require('./catalog');
+  const entry = getDefaultDataset();
+  return entry ? entry.id : null;
+}
+
+// Função para criar os parâmetros de uma URL assinada de um dataset
+function signDatasetAccess(record, datasetId, expiresIn) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return { kid: record.id, expires: String(expires), signature: signatureFor(record.id, datasetId, expires) };
+}
+
+// Função para verificar se a requisição pode acessar um dataset ou camada vetorial
+function canAccessDataset(req, id) {
+  const { auth } = req;
+  if (!auth) return true;
+  if (!auth.key.datasets.includes('*') && !auth.key.datasets.includes(id)) return false;
+  if (!auth.signed) return true;
+
+  // URL assinada: vale só para o dataset assinado
+  return signatureMatches(auth.key.id, id, auth.signed.expires, auth.signed.signature);
+}
+
+// Middleware de autenticação: identifica a chave (ou a URL assinada) da requisição em
+// req.auth. Com a autenticação desligada, req.auth fica null e tudo é liberado.
+function authenticate(req, res, next) {
+  req.auth = null;
+  const config = getConfig().auth;
+  if (!config.enabled || !PROTECTED_PATHS.test(req.path)) return next();
+
+  const key = keyFromRequest(req);
+  if (key) {
+    const record = findApiKey(key);
+    if (!record) {
+      return sendApiError(res, 'UNAUTHORIZED', 'Chave de API inválida, expirada ou desativada');
+    }
+    req.auth = { key: record, signed: null };
+    return next();
+  }
+
+  const { kid, expires, signature } = req.query;
+  if (config.signingSecret && typeof kid === 'string' && typeof signature === 'string') {
+    const expiresAt = Number(expires);
+    if (req.method !== 'GET' || !SIGNED_PATHS.test(req.path)) {
+      return sendApiError(res, 'FORBIDDEN', 'URLs assinadas só valem para tiles, TileJSON, prévias e legendas');
+    }
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 <= Date.now()) {
+      return sendApiError(res, 'UNAUTHORIZED', 'URL assinada expirada');
+    }
+    const record = findApiKeyById(kid);
+    if (!record) {
+      return sendApiError(res, 'UNAUTHORIZED', 'URL assinada por uma chave inválida, expirada ou desativada');
+    }
+    // A assinatura é conferida aqui, antes do limite de requisições da chave: assinaturas
+    // falsas não podem consumir o limite de quem usa a chave de verdade
+    const datasetId = signedDatasetId(req.path);
+    if (!datasetId || !signatureMatches(record.id, datasetId, expiresAt, signature)) {
+      return sendApiError(res, 'UNAUTHORIZED', 'Assinatura da URL inválida');
+    }
+    req.auth = { key: record, signed: { expires: expiresAt, signature } };
+    return next();
+  }
+
+  res.setHeader('WWW-Authenticate', 'Bearer');
+  sendApiError(res, 'UNAUTHORIZED', 'Chave de API obrigatória (cabeçalho X-API-Key ou parâmetro key)');
+}
+
+// Middleware das rotas administrativas: exige uma chave com admin (não uma URL assinada)
+function requireAdmin(req, res, next) {
+  if (!req.auth || (req.auth.key.admin && !req.auth.signed)) return next();
+  sendApiError(res, 'FORBIDDEN', 'Rota restrita a chaves administrativas');
+}
+
+module.exports = {
+  hashApiKey,
+  generateApiKey,
+  readKeysFile,
+  writeKeysFile,
+  signDatasetAccess,
+  canAccessDataset,
+  authenticate,
+  requireAdmin
+};
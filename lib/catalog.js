@@ -0,0 +1,343 @@
+const path = require('path');
+const fs = require('fs');
+const gdal = require('gdal-async');
+const { getSafeProjection, getAuthorityCode, boundsToWgs84, fallbackProjection } = require('./projection');
+const { createTileCache } = require('./tile-cache');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+const { createApiError } = require('./errors');
+const { MOSAIC_SUFFIX, isMosaicFile, mosaicSignature, buildMosaic, removeMosaicBuild } = require('./mosaic');
+
+// Extensões de arquivos raster reconhecidas no diretório de dados. Definições de
+// mosaico (<id>.mosaic.json, ver mosaic.js) também entram no catálogo.
+const RASTER_EXTENSIONS = ['.tif', '.tiff'];
+
+// Catálogo de datasets indexado pelo id (nome do arquivo sem extensão)
+const datasets = new Map();
+
+// Função para gerar o id de um dataset a partir do nome do arquivo
+function datasetIdFromFile(fileName) {
+  const name = path.basename(fileName);
+  const baseName = isMosaicFile(name)
+    ? name.slice(0, -MOSAIC_SUFFIX.length)
+    : path.basename(name, path.extname(name));
+  return baseName.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+// Função para identificar a versão do arquivo raster (tamanho e data de modificação).
+// A de um mosaico cobre a definição e todos os seus arquivos. Overviews externos (.ovr)
+// também contam, para que as threads de renderização os vejam depois de gerados.
+function fileSignature(entry) {
+  let signature;
+  if (entry.type === 'mosaic') {
+    signature = mosaicSignature(entry.path);
+  } else {
+    const stat = fs.statSync(entry.path);
+    signature = { size: stat.size, mtime: stat.mtimeMs };
+  }
+
+  const overviewPath = `${datasetFilePath(entry)}.ovr`;
+  if (fs.existsSync(overviewPath)) {
+    const stat = fs.statSync(overviewPath);
+    signature.size += stat.size;
+    signature.mtime = Math.max(signature.mtime, stat.mtimeMs);
+  }
+  return signature;
+}
+
+// Função para criar a entrada de um dataset no catálogo.
+// Cada entrada mantém seu próprio handle GDAL, metadados, estatísticas e cache de tiles.
+function createDatasetEntry(id, filePath) {
+  return {
+    id,
+    type: isMosaicFile(filePath) ? 'mosaic' : 'raster',
+    path: filePath,
+    fileName: path.basename(filePath),
+    mosaic: null,
+    dataset: null,
+    info: null,
+    signature: null,
+    stats: null,
+    encoding: null,
+    building: false,
+    expressionStats: new Map(),
+    tileCache: createTileCache(id)
+  };
+}
+
+// Função para listar os níveis de overview existentes (fator de redução e tamanho)
+function getOverviewLevels(dataset) {
+  const band = dataset.bands.get(1);
+  const levels = [];
+  for (let i = 0; i < band.overviews.count(); i++) {
+    const overview = band.overviews.get(i);
+    levels.push({
+      factor: Math.round(dataset.rasterSize.x / overview.size.x),
+      width: overview.size.x,
+      height: overview.size.y
+    });
+  }
+  return levels;
+}
+
+// Função para calcular os metadados de um dataset GDAL aberto. Sem CRS no arquivo,
+// vale a projeção assumida informada (ver fallbackProjection).
+function computeImageInfo(dataset, assumedProjection = null) {
+  const width = dataset.rasterSize.x;
+  const height = dataset.rasterSize.y;
+  const [originX, pixelWidth, skewX, originY, skewY, pixelHeight] = dataset.geoTransform;
+
+  // Calcular os limites geográficos do GeoTIFF em sua projeção nativa
+  const bounds = {
+    minX: originX,
+    maxX: originX + width * pixelWidth,
+    minY: originY + height * pixelHeight, // Normalmente negativo para UTM sul
+    maxY: originY
+  };
+
+  // Obter a projeção do GeoTIFF de forma segura
+  const projection = getSafeProjection(dataset) || assumedProjection;
+
+  // Banda alfa interna (RGBA), normalmente a última
+  const bandCount = dataset.bands.count();
+  const hasAlphaBand = dataset.bands.get(bandCount).colorInterpretation === gdal.GCI_AlphaBand;
+
+  const info = {
+    width,
+    height,
+    bandCount,
+    hasAlphaBand,
+    noData: dataset.bands.map(band => band.noDataValue),
+    originX,
+    originY,
+    pixelWidth,
+    pixelHeight,
+    skewX,
+    skewY,
+    projection,
+    crs: getAuthorityCode(dataset),
+    overviews: getOverviewLevels(dataset),
+    bounds
+  };
+
+  // Converter os limites para WGS84 (EPSG:4326) para referência
+  if (projection) {
+    try {
+      info.wgs84Bounds = boundsToWgs84(projection, bounds);
+    } catch (error) {
+      logger.error('Erro ao converter limites para WGS84', { error });
+    }
+  }
+
+  return info;
+}
+
+// Função para descobrir os arquivos raster do diretório de dados
+function discoverDatasets(dataPath) {
+  const files = fs.readdirSync(dataPath)
+    .filter(file => RASTER_EXTENSIONS.includes(path.extname(file).toLowerCase()) || isMosaicFile(file))
+    .sort();
+
+  const found = new Set();
+  for (const file of files) {
+    let id = datasetIdFromFile(file);
+    // Evitar colisão de ids entre arquivos como "a.tif" e "a.tiff"
+    for (let suffix = 2; found.has(id); suffix++) {
+      id = `${datasetIdFromFile(file)}_${suffix}`;
+    }
+    found.add(id);
+
+    const filePath = path.join(dataPath, file);
+    const existing = datasets.get(id);
+    if (!existing || existing.path !== filePath) {
+      if (existing) closeDataset(existing);
+      datasets.set(id, createDatasetEntry(id, filePath));
+    }
+  }
+
+  // Remover do catálogo os arquivos que não existem mais
+  for (const [id, entry] of datasets) {
+    if (!found.has(id)) {
+      closeDataset(entry);
+      datasets.delete(id);
+    }
+  }
+
+  return listDatasets();
+}
+
+// Função para obter o arquivo aberto no GDAL: o próprio raster ou o VRT do mosaico
+// (disponível depois de openDataset)
+function datasetFilePath(entry) {
+  return entry.mosaic ? entry.mosaic.vrtPath : entry.path;
+}
+
+// Função para descartar os tiles em disco gravados para outra versão do arquivo
+// (trocado com o servidor parado). Uma falha aqui não impede a abertura do dataset.
+function validateTileCache(entry) {
+  try {
+    entry.tileCache.validate(entry.signature);
+  } catch (error) {
+    logger.error('Erro ao conferir o cache de tiles', { dataset: entry.id, error });
+  }
+}
+
+// Função para abrir (sob demanda) o handle GDAL de um dataset. Enquanto o arquivo é
+// reescrito (entry.building, ver overviews.js) o dataset fica indisponível.
+function openDataset(entry) {
+  if (entry.building) {
+    throw createApiError('DATASET_UNAVAILABLE', `Dataset ${entry.id} indisponível: overviews em geração`);
+  }
+  if (!entry.dataset) {
+    if (!fs.existsSync(entry.path)) {
+      throw createApiError('DATASET_UNAVAILABLE', `Arquivo ${entry.fileName} não encontrado`);
+    }
+
+    try {
+      // Um mosaico é aberto pelo seu VRT, gerado (ou refeito) aqui quando preciso. Nas
+      // threads de renderização o VRT já vem da thread principal (entry.mosaic).
+      if (entry.type === 'mosaic' && !entry.mosaic) {
+        entry.mosaic = buildMosaic(entry);
+      }
+      entry.signature = fileSignature(entry);
+      entry.dataset = gdal.open(datasetFilePath(entry));
+    } catch (error) {
+      throw createApiError('DATASET_UNAVAILABLE', `Não foi possível abrir ${entry.fileName}: ${error.message}`);
+    }
+    entry.info = computeImageInfo(entry.dataset, fallbackProjection(entry.id));
+    validateTileCache(entry);
+    logger.debug('Dataset inicializado', { dataset: entry.id, info: entry.info });
+  }
+  return { dataset: entry.dataset, info: entry.info };
+}
+
+// Função para fechar o handle GDAL e descartar o estado de um dataset
+function closeDataset(entry) {
+  if (entry.dataset) {
+    try {
+      entry.dataset.close();
+    } catch (error) {
+      logger.error('Erro ao fechar dataset', { dataset: entry.id, error });
+    }
+  }
+  entry.dataset = null;
+  entry.mosaic = null;
+  entry.info = null;
+  entry.signature = null;
+  entry.stats = null;
+  entry.encoding = null;
+  entry.expressionStats.clear();
+  entry.tileCache.clear().catch((error) => {
+    logger.error('Erro ao limpar o cache de tiles', { dataset: entry.id, error });
+  });
+}
+
+// Função para reabrir um dataset cujo arquivo mudou: o handle GDAL e os metadados
+// são refeitos e os tiles em cache (memória ou disco) são descartados
+function reloadDataset(entry) {
+  closeDataset(entry);
+  return openDataset(entry);
+}
+
+// Função para remover um dataset do catálogo e apagar o arquivo e seus auxiliares
+// (estatísticas, overviews externos, metadados PAM). De um mosaico são apagados a
+// definição e os VRTs gerados, não os arquivos de origem. O cache de tiles é descartado.
+function removeDataset(entry) {
+  closeDataset(entry);
+  datasets.delete(entry.id);
+  if (entry.type === 'mosaic') {
+    removeMosaicBuild(entry);
+  }
+  for (const filePath of [entry.path, `${entry.path}.stats.json`, `${entry.path}.ovr`, `${entry.path}.aux.xml`]) {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+}
+
+// Função para localizar o dataset de um arquivo do diretório de dados
+function findDatasetByPath(filePath) {
+  return listDatasets().find(entry => entry.path === filePath) || null;
+}
+
+function getDataset(id) {
+  return datasets.get(id) || null;
+}
+
+function listDatasets() {
+  return Array.from(datasets.values());
+}
+
+// O dataset padrão atende às rotas antigas (/api/tiles, /api/preview, ...): o indicado
+// em data.defaultDataset na configuração (id ou nome do arquivo) ou, sem ele, o
+// primeiro do catálogo
+function getDefaultDataset() {
+  const { defaultDataset } = getConfig().data;
+  if (defaultDataset) {
+    return datasets.get(defaultDataset) || datasets.get(datasetIdFromFile(defaultDataset)) || null;
+  }
+  const [first] = datasets.values();
+  return first || null;
+}
+
+// Função para resumir um dataset para a listagem do catálogo
+function describeDataset(entry) {
+  const { info } = openDataset(entry);
+  return {
+    id: entry.id,
+    type: entry.type,
+    file: entry.fileName,
+    width: info.width,
+    height: info.height,
+    bandCount: info.bandCount,
+    crs: info.crs,
+    bounds: info.bounds,
+    wgs84Bounds: info.wgs84Bounds || null
+  };
+}
+
+// Função para obter as informações detalhadas de um dataset (metadados GDAL inclusos)
+function getDetailedInfo(entry) {
+  const { dataset, info } = openDataset(entry);
+  return {
+    id: entry.id,
+    type: entry.type,
+    file: entry.fileName,
+    mosaic: entry.mosaic && { files: entry.mosaic.files, priority: entry.mosaic.priority, crs: entry.mosaic.crs },
+    size: {
+      width: info.width,
+      height: info.height
+    },
+    bands: info.bandCount,
+    hasAlphaBand: info.hasAlphaBand,
+    noData: info.noData,
+    srs: info.projection,
+    crs: info.crs,
+    geoTransform: dataset.geoTransform,
+    metadata: dataset.getMetadata(),
+    overviews: info.overviews,
+    bounds: info.bounds,
+    projection: info.projection,
+    wgs84Bounds: info.wgs84Bounds
+  };
+}
+
+module.exports = {
+  RASTER_EXTENSIONS,
+  datasetIdFromFile,
+  fileSignature,
+  validateTileCache,
+  datasetFilePath,
+  discoverDatasets,
+  openDataset,
+  closeDataset,
+  reloadDataset,
+  removeDataset,
+  findDatasetByPath,
+  getDataset,
+  listDatasets,
+  getDefaultDataset,
+  describeDataset,
+  getDetailedInfo,
+  computeImageInfo
+};
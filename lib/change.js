@@ -0,0 +1,176 @@
+const sharp = require('sharp');
+const { openDataset } = require('./catalog');
+const { getDatasetStatistics, getExpressionStatistics } = require('./stats');
+const { parseExpression } = require('./expression');
+const { findColormap, buildLookupTable } = require('./colormaps');
+const { parseResampling, getMercatorBounds, boundsIntersect, warpTile } = require('./warp');
+const { tileBoundsMercator, TILE_SIZE, TILE_SIZES } = require('./tile-grid');
+const { readBands, readWarpedAlpha, resolveEncoding } = require('./tiles');
+const { hasTransparency, encodeRaster } = require('./image-format');
+
+// Paleta divergente padrão: vermelho para perda, azul para ganho e branco sem mudança
+const DEFAULT_CHANGE_COLORMAP = 'RdBu';
+
+// Função para interpretar as opções do tile de mudança:
+//   band      banda comparada (padrão 1), ou
+//   expr      índice comparado, ex.: (b4-b3)/(b4+b3) para a variação do NDVI
+//   range     diferença que satura a paleta (padrão: metade do intervalo p2-p98 da data inicial)
+//   threshold diferenças absolutas menores que este valor ficam transparentes (padrão 0)
+//   colormap  paleta divergente (padrão RdBu)
+//   tileSize  256 ou 512 (o sufixo @2x na URL também pede 512)
+function parseChangeOptions(query) {
+  if (query.band !== undefined && query.expr !== undefined) {
+    throw new Error('Use band ou expr, não os dois');
+  }
+
+  const options = {
+    band: 1,
+    expression: null,
+    range: null,
+    threshold: 0,
+    colormap: findColormap(DEFAULT_CHANGE_COLORMAP),
+    resampling: parseResampling(query.resampling),
+    nodata: null,
+    tileSize: TILE_SIZE,
+    format: null
+  };
+  if (!options.resampling) {
+    throw new Error(`Reamostragem inválida: ${query.resampling}`);
+  }
+
+  if (query.band !== undefined) {
+    options.band = Number(query.band);
+    if (!Number.isInteger(options.band) || options.band < 1) {
+      throw new Error(`Parâmetro band inválido: ${query.band}`);
+    }
+  }
+  if (query.expr !== undefined) {
+    options.expression = parseExpression(String(query.expr));
+  }
+  if (query.range !== undefined) {
+    options.range = Number(query.range);
+    if (!Number.isFinite(options.range) || options.range <= 0) {
+      throw new Error(`Parâmetro range inválido: ${query.range} (informe um valor positivo)`);
+    }
+  }
+  if (query.threshold !== undefined) {
+    options.threshold = Number(query.threshold);
+    if (!Number.isFinite(options.threshold) || options.threshold < 0) {
+      throw new Error(`Parâmetro threshold inválido: ${query.threshold} (informe um valor maior ou igual a 0)`);
+    }
+  }
+  if (query.colormap !== undefined) {
+    options.colormap = findColormap(String(query.colormap));
+    if (!options.colormap) {
+      throw new Error(`Paleta desconhecida: ${query.colormap}`);
+    }
+  }
+  if (query.tileSize !== undefined) {
+    options.tileSize = Number(query.tileSize);
+    if (!TILE_SIZES.includes(options.tileSize)) {
+      throw new Error(`Parâmetro tileSize inválido: ${query.tileSize} (use ${TILE_SIZES.join(' ou ')})`);
+    }
+  }
+  return options;
+}
+
+// Função para conferir se as bandas comparadas existem nas duas datas
+function validateChangeOptions(options, entries) {
+  const bands = options.expression ? options.expression.bands : [options.band];
+  for (const entry of entries) {
+    const { info } = openDataset(entry);
+    const missing = bands.filter(band => band > info.bandCount);
+    if (missing.length) {
+      throw new Error(`Banda(s) ${missing.join(', ')} inexistente(s) em ${entry.id}; o dataset tem ${info.bandCount} banda(s)`);
+    }
+  }
+}
+
+// Função para criar o cálculo do valor comparado em cada pixel (banda ou índice)
+function createValueFunction(options) {
+  if (!options.expression) {
+    return (data, i) => data[options.band][i];
+  }
+  const pixel = [];
+  return (data, i) => {
+    for (const band of options.expression.bands) {
+      pixel[band] = data[band][i];
+    }
+    return options.expression.evaluate(pixel);
+  };
+}
+
+// Função para obter a diferença que satura a paleta. Sem ?range=, usa metade do
+// intervalo p2-p98 do valor comparado na data inicial, igual em todos os tiles.
+async function resolveChangeRange(before, options) {
+  if (options.range) return options.range;
+  const stats = options.expression
+    ? await getExpressionStatistics(before, options.expression)
+    : (await getDatasetStatistics(before)).bands[options.band - 1];
+  if (!stats || !stats.count) return 1;
+  return (stats.percentiles[98] - stats.percentiles[2]) / 2 || 1;
+}
+
+// Função para ler o valor comparado de uma data reprojetada para o tile
+async function readTileValues(entry, z, x, y, options) {
+  const bands = options.expression ? options.expression.bands : [options.band];
+  const warped = await warpTile(entry, z, x, y, options.tileSize, options);
+  try {
+    const alpha = await readWarpedAlpha(warped, options.tileSize, options.tileSize);
+    const data = await readBands(warped, bands);
+    return { data, alpha };
+  } finally {
+    warped.close();
+  }
+}
+
+// Função para renderizar o tile de mudança entre duas datas (depois - antes) com a
+// paleta divergente. Pixels sem dado em alguma das datas, ou com mudança abaixo do
+// limiar, ficam transparentes. Retorna null quando o tile não cobre as duas datas.
+// Com um AbortSignal, a renderização é interrompida entre as etapas.
+async function renderChangeTile(before, after, z, x, y, options, signal = null) {
+  const tileBounds = tileBoundsMercator(z, x, y);
+  if (!boundsIntersect(tileBounds, getMercatorBounds(before)) || !boundsIntersect(tileBounds, getMercatorBounds(after))) {
+    return null;
+  }
+
+  const range = await resolveChangeRange(before, options);
+  const valueAt = createValueFunction(options);
+  const lookupTable = buildLookupTable(options.colormap);
+  const beforeValues = await readTileValues(before, z, x, y, options);
+  if (signal) signal.throwIfAborted();
+  const afterValues = await readTileValues(after, z, x, y, options);
+  if (signal) signal.throwIfAborted();
+
+  const pixelCount = options.tileSize * options.tileSize;
+  const rgbaData = Buffer.alloc(pixelCount * 4);
+  for (let i = 0; i < pixelCount; i++) {
+    if (!beforeValues.alpha[i] || !afterValues.alpha[i]) continue;
+    const delta = valueAt(afterValues.data, i) - valueAt(beforeValues.data, i);
+    if (!Number.isFinite(delta) || Math.abs(delta) < options.threshold) continue;
+
+    // -range -> início da paleta, 0 -> centro, +range -> fim
+    const t = Math.max(0, Math.min(1, (delta + range) / (2 * range)));
+    const index = Math.round(t * 255) * 3;
+    rgbaData[i * 4] = lookupTable[index];
+    rgbaData[i * 4 + 1] = lookupTable[index + 1];
+    rgbaData[i * 4 + 2] = lookupTable[index + 2];
+    rgbaData[i * 4 + 3] = Math.min(beforeValues.alpha[i], afterValues.alpha[i]);
+  }
+
+  const image = sharp(rgbaData, {
+    raw: {
+      width: options.tileSize,
+      height: options.tileSize,
+      channels: 4
+    }
+  });
+  return encodeRaster(image, resolveEncoding(after, options), hasTransparency(rgbaData));
+}
+
+module.exports = {
+  DEFAULT_CHANGE_COLORMAP,
+  parseChangeOptions,
+  validateChangeOptions,
+  renderChangeTile
+};
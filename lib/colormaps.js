@@ -0,0 +1,108 @@
+// Paletas de cores nomeadas (cores igualmente espaçadas entre o mínimo e o máximo)
+const COLORMAPS = {
+  greys: ['#000000', '#ffffff'],
+  viridis: ['#440154', '#482878', '#3e4989', '#31688e', '#26828e', '#1f9e89', '#35b779', '#6ece58', '#b5de2b', '#fde725'],
+  magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf'],
+  RdYlGn: ['#a50026', '#d73027', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#d9ef8b', '#a6d96a', '#66bd63', '#1a9850', '#006837'],
+  RdBu: ['#67001f', '#b2182b', '#d6604d', '#f4a582', '#fddbc7', '#f7f7f7', '#d1e5f0', '#92c5de', '#4393c3', '#2166ac', '#053061'],
+  Spectral: ['#9e0142', '#d53e4f', '#f46d43', '#fdae61', '#fee08b', '#ffffbf', '#e6f598', '#abdda4', '#66c2a5', '#3288bd', '#5e4fa2'],
+  terrain: ['#333399', '#0294fa', '#24d36d', '#ffff99', '#826254', '#ffffff'],
+  // Cíclica (começa e termina na mesma cor), para ângulos como a orientação das encostas
+  hsv: ['#ff0000', '#ffff00', '#00ff00', '#00ffff', '#0000ff', '#ff00ff', '#ff0000']
+};
+
+// Quantidade máxima de pontos em uma rampa personalizada
+const MAX_RAMP_STOPS = 32;
+
+// Função para converter uma cor hexadecimal (#rrggbb ou rrggbb) em [r, g, b]
+function parseHexColor(value) {
+  const match = /^#?([0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Cor inválida: ${value}`);
+  }
+  const hex = parseInt(match[1], 16);
+  return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+}
+
+// Função para converter [r, g, b] em hexadecimal
+function toHexColor([r, g, b]) {
+  return '#' + [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+}
+
+// Função para localizar uma paleta nomeada (sem diferenciar maiúsculas; sufixo "_r" inverte)
+function findColormap(name) {
+  const reversed = /_r$/i.test(name);
+  const baseName = reversed ? name.slice(0, -2) : name;
+  const key = Object.keys(COLORMAPS).find(key => key.toLowerCase() === baseName.toLowerCase());
+  if (!key) return null;
+
+  const colors = COLORMAPS[key].map(parseHexColor);
+  return {
+    name: reversed ? `${key}_r` : key,
+    colors: reversed ? colors.reverse() : colors
+  };
+}
+
+// Função para interpretar uma rampa personalizada: "valor:cor,valor:cor,..."
+// Os valores são absolutos (na unidade da banda ou da expressão) e precisam ser crescentes.
+function parseRamp(value) {
+  const stops = String(value).split(',').map((part) => {
+    const separator = part.indexOf(':');
+    if (separator < 0) {
+      throw new Error(`Ponto da rampa inválido: ${part}`);
+    }
+    const stopValue = Number(part.slice(0, separator));
+    if (!Number.isFinite(stopValue)) {
+      throw new Error(`Ponto da rampa inválido: ${part}`);
+    }
+    return { value: stopValue, color: parseHexColor(part.slice(separator + 1)) };
+  });
+
+  if (stops.length < 2 || stops.length > MAX_RAMP_STOPS) {
+    throw new Error(`A rampa deve ter entre 2 e ${MAX_RAMP_STOPS} pontos`);
+  }
+  for (let i = 1; i < stops.length; i++) {
+    if (stops[i].value <= stops[i - 1].value) {
+      throw new Error('Os valores da rampa devem ser crescentes');
+    }
+  }
+  return stops;
+}
+
+// Função para interpolar a cor de uma lista de pontos { value, color } ordenada
+function interpolateStops(stops, value) {
+  if (value <= stops[0].value) return stops[0].color;
+  const last = stops[stops.length - 1];
+  if (value >= last.value) return last.color;
+
+  let i = 1;
+  while (stops[i].value < value) i++;
+  const a = stops[i - 1];
+  const b = stops[i];
+  const t = (value - a.value) / (b.value - a.value);
+  return [0, 1, 2].map(c => Math.round(a.color[c] + (b.color[c] - a.color[c]) * t));
+}
+
+// Função para gerar a tabela de 256 cores de uma paleta nomeada
+function buildLookupTable(colormap) {
+  const step = 1 / (colormap.colors.length - 1);
+  const stops = colormap.colors.map((color, i) => ({ value: i * step, color }));
+  const table = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const color = interpolateStops(stops, i / 255);
+    table[i * 3] = color[0];
+    table[i * 3 + 1] = color[1];
+    table[i * 3 + 2] = color[2];
+  }
+  return table;
+}
+
+module.exports = {
+  COLORMAPS,
+  parseHexColor,
+  toHexColor,
+  findColormap,
+  parseRamp,
+  interpolateStops,
+  buildLookupTable
+};
@@ -0,0 +1,354 @@
+const path = require('path');
+const fs = require('fs');
+
+// Configuração do servidor. Cada valor vem, em ordem de prioridade, da variável de
+// ambiente indicada, do arquivo de configuração (config.json na raiz do projeto, ou o
+// caminho em EVOLX_CONFIG) ou do padrão abaixo. Tudo é validado na inicialização.
+//   PORT                 server.port          porta HTTP (padrão: 3000)
+//   DATA_DIR             data.directory       rasters e camadas vetoriais (padrão: ./data)
+//   DEFAULT_DATASET      data.defaultDataset  dataset das rotas antigas /api/tiles, /api/preview, ...
+//                                            (padrão: o primeiro em ordem alfabética)
+//   DEFAULT_PROJECTION   projection.default   projeção assumida para arquivos sem CRS (padrão: UTM 22S)
+//   MAX_UPLOAD_BYTES     upload.maxBytes      tamanho máximo de um envio (padrão: 20 GiB)
+//   TILE_CACHE_*         cache.*              cache de tiles (ver tile-cache.js)
+//   TILE_HTTP_MAX_AGE    http.maxAge          cache HTTP de tiles e prévias (ver http-cache.js)
+//   TILE_EMPTY_RESPONSE  tiles.emptyResponse  resposta de tiles fora da extensão do raster: png
+//                                             (tile transparente, padrão) ou no-content (204)
+//   RENDER_WORKERS       render.workers       threads de renderização de tiles (ver render-pool.js)
+//   RENDER_MAX_QUEUE     render.maxQueue      renderizações aguardando uma thread antes de responder 503
+//                        enhancement.*        realce das composições RGB: brightness (padrão 1.1)
+//                                             e saturation (padrão 1.2), como no modulate do sharp
+//   LOG_LEVEL            logging.level        nível mínimo do log: debug, info, warn ou error (padrão: info)
+//   TRUST_PROXY          server.trustProxy    proxies confiáveis para obter o IP do cliente (trust proxy
+//                                             do Express: true, número de saltos ou lista de IPs)
+//   CORS_ORIGINS         cors.origins         origens aceitas pelo CORS, separadas por vírgula (padrão: *)
+//   AUTH_*, API_KEYS_FILE, URL_SIGNING_SECRET  auth.*  chaves de API e URLs assinadas (ver auth.js)
+//   RATE_LIMIT_*         rateLimit.*          limite de requisições por chave e por IP (ver rate-limit.js)
+//
+// Além disso, o arquivo aceita:
+//   rendering            padrões das opções de renderização, com os mesmos nomes da
+//                        query string (ex.: { "stretch": "p1,p99", "gamma": 1.2 })
+//   datasets.<id>        ajustes por dataset ou camada vetorial:
+//                          crs       CRS assumido quando o arquivo não informa (ex.: EPSG:31982)
+//                          minZoom   zoom mínimo anunciado e servido
+//                          maxZoom   zoom máximo anunciado e servido
+//                          rendering padrões de renderização do dataset
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'config.json');
+
+// Definição de cada configuração simples: tipo, limites, padrão e variável de ambiente
+const SETTINGS = {
+  'server.port': { type: 'integer', min: 1, max: 65535, default: 3000, env: 'PORT' },
+  'server.jsonLimit': { type: 'string', default: '20mb' },
+  'server.trustProxy': { type: 'string', nullable: true, default: null, env: 'TRUST_PROXY' },
+  'cors.origins': { type: 'list', default: ['*'], env: 'CORS_ORIGINS' },
+  'auth.enabled': { type: 'boolean', default: false, env: 'AUTH_ENABLED' },
+  'auth.keysFile': { type: 'path', default: path.join(ROOT_DIR, 'api-keys.json'), env: 'API_KEYS_FILE' },
+  'auth.signingSecret': { type: 'string', nullable: true, default: null, env: 'URL_SIGNING_SECRET' },
+  'auth.signedUrlMaxAge': { type: 'integer', min: 60, default: 7 * 24 * 3600, env: 'AUTH_SIGNED_URL_MAX_AGE' },
+  'rateLimit.window': { type: 'integer', min: 1, default: 60, env: 'RATE_LIMIT_WINDOW' },
+  'rateLimit.perKey': { type: 'integer', min: 1, nullable: true, default: 12000, env: 'RATE_LIMIT_PER_KEY' },
+  'rateLimit.perIp': { type: 'integer', min: 1, nullable: true, default: 3000, env: 'RATE_LIMIT_PER_IP' },
+  'data.directory': { type: 'path', default: path.join(ROOT_DIR, 'data'), env: 'DATA_DIR' },
+  'data.defaultDataset': { type: 'string', nullable: true, default: null, env: 'DEFAULT_DATASET' },
+  'projection.default': {
+    type: 'string',
+    default: '+proj=utm +zone=22 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs',
+    env: 'DEFAULT_PROJECTION'
+  },
+  'upload.maxBytes': { type: 'integer', min: 1, default: 20 * 1024 * 1024 * 1024, env: 'MAX_UPLOAD_BYTES' },
+  'cache.backend': { type: 'enum', values: ['memory', 'disk'], default: 'memory', env: 'TILE_CACHE_BACKEND' },
+  'cache.directory': { type: 'path', default: path.join(ROOT_DIR, 'cache', 'tiles'), env: 'TILE_CACHE_DIR' },
+  'cache.maxTiles': { type: 'integer', min: 1, nullable: true, default: null, env: 'TILE_CACHE_MAX_TILES' },
+  'cache.maxBytes': { type: 'integer', min: 1, nullable: true, default: null, env: 'TILE_CACHE_MAX_BYTES' },
+  'cache.eviction': { type: 'enum', values: ['lru', 'fifo'], default: 'lru', env: 'TILE_CACHE_EVICTION' },
+  'http.maxAge': { type: 'integer', min: 0, default: 3600, env: 'TILE_HTTP_MAX_AGE' },
+  'tiles.emptyResponse': { type: 'enum', values: ['png', 'no-content'], default: 'png', env: 'TILE_EMPTY_RESPONSE' },
+  'render.workers': { type: 'integer', min: 0, max: 64, nullable: true, default: null, env: 'RENDER_WORKERS' },
+  'render.maxQueue': { type: 'integer', min: 0, default: 64, env: 'RENDER_MAX_QUEUE' },
+  'render.retryAfter': { type: 'integer', min: 1, default: 2 },
+  'enhancement.brightness': { type: 'number', min: 0, max: 10, default: 1.1 },
+  'enhancement.saturation': { type: 'number', min: 0, max: 10, default: 1.2 },
+  'logging.level': { type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', env: 'LOG_LEVEL' }
+};
+
+// Parâmetros de renderização aceitos em "rendering" (os mesmos da query string)
+const RENDERING_KEYS = ['resampling', 'stretch', 'gamma', 'bands', 'expr', 'colormap', 'ramp', 'nodata', 'tileSize',
+  'dem', 'azimuth', 'altitude', 'zFactor'];
+
+// Ajustes aceitos por dataset
+const DATASET_SETTINGS = {
+  crs: { type: 'string', nullable: true, default: null },
+  minZoom: { type: 'integer', min: 0, max: 24, nullable: true, default: null },
+  maxZoom: { type: 'integer', min: 0, max: 24, nullable: true, default: null }
+};
+
+// Chaves com valores sensíveis, ocultados em /api/config
+const SECRET_KEY_PATTERN = /(password|secret|token|apikeys?)$/i;
+const MASK = '********';
+
+let loaded = null;
+
+// Função para ler um valor aninhado ("cache.backend") de um objeto
+function getPath(object, key) {
+  return key.split('.').reduce((value, part) => (value && typeof value === 'object' ? value[part] : undefined), object);
+}
+
+// Função para gravar um valor aninhado em um objeto, criando os níveis intermediários
+function setPath(object, key, value) {
+  const parts = key.split('.');
+  const last = parts.pop();
+  let target = object;
+  for (const part of parts) {
+    target[part] = target[part] || {};
+    target = target[part];
+  }
+  target[last] = value;
+}
+
+// Função para converter e validar um valor conforme a sua definição.
+// Valores de variáveis de ambiente chegam como texto.
+function coerceSetting(spec, value, fromEnv) {
+  if (spec.nullable && value === null) return null;
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const number = fromEnv ? Number(value) : value;
+      const min = spec.min !== undefined ? spec.min : -Infinity;
+      const max = spec.max !== undefined ? spec.max : Infinity;
+      const valid = spec.type === 'integer' ? Number.isInteger(number) : Number.isFinite(number);
+      if (!valid || number < min || number > max) {
+        const range = spec.max !== undefined ? `entre ${min} e ${max}` : `maior ou igual a ${min}`;
+        throw new Error(`deve ser um número${spec.type === 'integer' ? ' inteiro' : ''} ${range}`);
+      }
+      return number;
+    }
+    case 'boolean':
+      if (fromEnv && ['true', 'false'].includes(value)) return value === 'true';
+      if (typeof value !== 'boolean') {
+        throw new Error('deve ser true ou false');
+      }
+      return value;
+    case 'list': {
+      // No arquivo, um array de textos; nas variáveis de ambiente, itens separados por vírgula
+      const items = fromEnv ? value.split(',').map(item => item.trim()).filter(Boolean) : value;
+      if (!Array.isArray(items) || !items.length || items.some(item => typeof item !== 'string' || !item.trim())) {
+        throw new Error('deve ser uma lista de textos não vazia');
+      }
+      return items.map(item => item.trim());
+    }
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        throw new Error(`deve ser ${spec.values.join(' ou ')}`);
+      }
+      return value;
+    case 'path':
+    case 'string':
+      if (typeof value !== 'string' || !value.trim()) {
+        throw new Error('deve ser um texto não vazio');
+      }
+      return spec.type === 'path' ? path.resolve(ROOT_DIR, value) : value.trim();
+    default:
+      throw new Error(`tipo de configuração desconhecido: ${spec.type}`);
+  }
+}
+
+// Função para listar as chaves de um objeto que não estão entre as permitidas
+function unknownKeys(object, allowed) {
+  return Object.keys(object).filter(key => !allowed.includes(key));
+}
+
+// Função para validar um bloco "rendering" (global ou de um dataset). Os valores só
+// são interpretados de fato pelas opções de renderização (ver render-options.js).
+function validateRendering(rendering, prefix, errors) {
+  if (rendering === undefined) return {};
+  if (!rendering || typeof rendering !== 'object' || Array.isArray(rendering)) {
+    errors.push(`${prefix}: deve ser um objeto com parâmetros de renderização`);
+    return {};
+  }
+  for (const key of unknownKeys(rendering, RENDERING_KEYS)) {
+    errors.push(`${prefix}.${key}: parâmetro desconhecido (use ${RENDERING_KEYS.join(', ')})`);
+  }
+  for (const [key, value] of Object.entries(rendering)) {
+    if (!['string', 'number'].includes(typeof value)) {
+      errors.push(`${prefix}.${key}: deve ser um texto ou número, como na query string`);
+    }
+  }
+  return { ...rendering };
+}
+
+// Função para validar os ajustes por dataset do arquivo de configuração
+function validateDatasets(datasets, errors) {
+  if (datasets === undefined) return {};
+  if (!datasets || typeof datasets !== 'object' || Array.isArray(datasets)) {
+    errors.push('datasets: deve ser um objeto indexado pelo id do dataset');
+    return {};
+  }
+
+  const result = {};
+  for (const [id, settings] of Object.entries(datasets)) {
+    const prefix = `datasets.${id}`;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${prefix}: deve ser um objeto`);
+      continue;
+    }
+    for (const key of unknownKeys(settings, [...Object.keys(DATASET_SETTINGS), 'rendering'])) {
+      errors.push(`${prefix}.${key}: configuração desconhecida`);
+    }
+
+    const dataset = { rendering: validateRendering(settings.rendering, `${prefix}.rendering`, errors) };
+    for (const [key, spec] of Object.entries(DATASET_SETTINGS)) {
+      dataset[key] = spec.default;
+      if (settings[key] === undefined) continue;
+      try {
+        dataset[key] = coerceSetting(spec, settings[key], false);
+      } catch (error) {
+        errors.push(`${prefix}.${key}: ${error.message}`);
+      }
+    }
+    if (dataset.minZoom !== null && dataset.maxZoom !== null && dataset.minZoom > dataset.maxZoom) {
+      errors.push(`${prefix}: minZoom (${dataset.minZoom}) maior que maxZoom (${dataset.maxZoom})`);
+    }
+    result[id] = dataset;
+  }
+  return result;
+}
+
+// Função para ler o arquivo de configuração (opcional, exceto quando indicado em EVOLX_CONFIG)
+function readConfigFile() {
+  const explicit = process.env.EVOLX_CONFIG;
+  const file = explicit ? path.resolve(explicit) : DEFAULT_CONFIG_FILE;
+  if (!fs.existsSync(file)) {
+    if (explicit) {
+      throw new Error(`Arquivo de configuração ${file} (EVOLX_CONFIG) não encontrado`);
+    }
+    return { file: null, values: {} };
+  }
+
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Arquivo de configuração ${file} inválido: ${error.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    throw new Error(`Arquivo de configuração ${file} inválido: o conteúdo deve ser um objeto JSON`);
+  }
+  return { file, values };
+}
+
+// Função para montar e validar a configuração efetiva. Todos os problemas
+// encontrados são reunidos em um único erro.
+function loadConfig() {
+  const { file, values } = readConfigFile();
+  const source = file ? path.basename(file) : 'config';
+  const errors = [];
+  const settings = {};
+  const environment = [];
+
+  // Chaves desconhecidas no arquivo normalmente são erros de digitação
+  const sections = new Set(Object.keys(SETTINGS).map(key => key.split('.')[0]));
+  for (const key of unknownKeys(values, [...sections, 'rendering', 'datasets'])) {
+    errors.push(`${source}: seção desconhecida "${key}"`);
+  }
+  for (const section of sections) {
+    const block = values[section];
+    if (block === undefined) continue;
+    if (!block || typeof block !== 'object' || Array.isArray(block)) {
+      errors.push(`${source}: a seção "${section}" deve ser um objeto`);
+      continue;
+    }
+    const allowed = Object.keys(SETTINGS)
+      .filter(key => key.startsWith(`${section}.`))
+      .map(key => key.slice(section.length + 1));
+    for (const key of unknownKeys(block, allowed)) {
+      errors.push(`${source}: configuração desconhecida "${section}.${key}"`);
+    }
+  }
+
+  for (const [key, spec] of Object.entries(SETTINGS)) {
+    let value = spec.default;
+
+    const fileValue = getPath(values, key);
+    if (fileValue !== undefined) {
+      try {
+        value = coerceSetting(spec, fileValue, false);
+      } catch (error) {
+        errors.push(`${source}: ${key} ${error.message} (recebido: ${JSON.stringify(fileValue)})`);
+      }
+    }
+
+    const envValue = spec.env ? process.env[spec.env] : undefined;
+    if (envValue !== undefined && envValue !== '') {
+      try {
+        value = coerceSetting(spec, envValue, true);
+        environment.push(spec.env);
+      } catch (error) {
+        errors.push(`${spec.env}: ${error.message} (recebido: ${JSON.stringify(envValue)})`);
+      }
+    }
+
+    setPath(settings, key, value);
+  }
+
+  settings.rendering = validateRendering(values.rendering, 'rendering', errors);
+  settings.datasets = validateDatasets(values.datasets, errors);
+
+  if (errors.length) {
+    throw new Error(`Configuração inválida:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { file, environment, settings };
+}
+
+// Função para obter a configuração efetiva (carregada uma vez, na primeira consulta)
+function getConfig() {
+  if (!loaded) {
+    loaded = loadConfig();
+  }
+  return loaded.settings;
+}
+
+// Função para obter os ajustes de um dataset (ou camada vetorial), com os padrões
+function getDatasetConfig(id) {
+  const datasets = getConfig().datasets;
+  const settings = Object.prototype.hasOwnProperty.call(datasets, id) ? datasets[id] : {};
+  return {
+    crs: null,
+    minZoom: null,
+    maxZoom: null,
+    rendering: {},
+    ...settings
+  };
+}
+
+// Função para ocultar os valores sensíveis de um objeto de configuração
+function maskSecrets(value, key = '') {
+  if (SECRET_KEY_PATTERN.test(key) && value !== null && value !== undefined) {
+    return Array.isArray(value) ? value.map(() => MASK) : MASK;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => maskSecrets(item));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, maskSecrets(item, name)]));
+  }
+  return value;
+}
+
+// Função para descrever a configuração efetiva (para depuração), com a origem dos
+// valores e os segredos ocultados
+function describeConfig() {
+  getConfig();
+  return {
+    file: loaded.file,
+    environment: loaded.environment,
+    settings: maskSecrets(loaded.settings)
+  };
+}
+
+module.exports = {
+  getConfig,
+  getDatasetConfig,
+  describeConfig
+};
@@ -0,0 +1,203 @@
+const gdal = require('gdal-async');
+const proj4 = require('proj4');
+const { openDataset } = require('./catalog');
+const { DEFAULT_PROJECTION, crsToProj4, transformBounds } = require('./projection');
+const { boundsIntersect } = require('./warp');
+const { projectionToPixel } = require('./identify');
+const { createApiError } = require('./errors');
+const { trackGdalRead } = require('./metrics');
+
+// Curvas de nível de um modelo de elevação, geradas pelo GDAL sobre a área pedida e
+// devolvidas em GeoJSON (WGS84). Áreas grandes são lidas em resolução reduzida (o
+// GDAL usa os overviews), então o detalhe das curvas acompanha o tamanho da área.
+
+// Tamanho máximo (lado maior, em pixels) da grade usada para gerar as curvas
+const MAX_CONTOUR_GRID = 2048;
+
+// Limites de níveis e de linhas por requisição
+const MAX_CONTOUR_LEVELS = 1000;
+const MAX_CONTOUR_FEATURES = 20000;
+
+// Valor gravado nos pixels sem dado da grade (ignorado pelo gerador de curvas)
+const CONTOUR_NODATA = -3.4e38;
+
+// Função para interpretar o bbox "minX,minY,maxX,maxY" (no CRS informado)
+function parseContourBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error(`bbox inválido: ${value} (use minX,minY,maxX,maxY)`);
+  }
+  const [minX, minY, maxX, maxY] = parts;
+  if (minX >= maxX || minY >= maxY) {
+    throw new Error(`bbox inválido: ${value} (mínimos devem ser menores que os máximos)`);
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+// Função para interpretar as opções das curvas de nível (query string):
+// bbox (em WGS84, ou no CRS de ?crs=), interval (equidistância, na unidade das
+// elevações), base (nível de referência, padrão 0) e band (padrão 1).
+function parseContourOptions(query, info) {
+  if (query.bbox === undefined) {
+    throw new Error('Informe o bbox da área das curvas de nível');
+  }
+  if (query.interval === undefined) {
+    throw new Error('Informe o interval (equidistância) das curvas de nível');
+  }
+
+  const interval = Number(query.interval);
+  if (!Number.isFinite(interval) || interval <= 0) {
+    throw new Error(`Parâmetro interval inválido: ${query.interval} (informe um número positivo)`);
+  }
+  const base = query.base !== undefined ? Number(query.base) : 0;
+  if (query.base === '' || !Number.isFinite(base)) {
+    throw new Error(`Parâmetro base inválido: ${query.base}`);
+  }
+  const band = query.band !== undefined ? Number(query.band) : 1;
+  if (!Number.isInteger(band) || band < 1 || band > info.bandCount) {
+    throw new Error(`Parâmetro band inválido: ${query.band} (o dataset tem ${info.bandCount} banda(s))`);
+  }
+
+  const nativeProjection = info.projection || DEFAULT_PROJECTION;
+  const bounds = transformBounds(crsToProj4(query.crs), nativeProjection, parseContourBbox(query.bbox));
+  const imageBounds = {
+    minX: Math.min(info.bounds.minX, info.bounds.maxX),
+    maxX: Math.max(info.bounds.minX, info.bounds.maxX),
+    minY: Math.min(info.bounds.minY, info.bounds.maxY),
+    maxY: Math.max(info.bounds.minY, info.bounds.maxY)
+  };
+  if (!boundsIntersect(bounds, imageBounds)) {
+    throw new Error('A área pedida não intersecta a imagem');
+  }
+
+  return { interval, base, band, bounds };
+}
+
+// Função para calcular a janela de pixels do dataset que cobre os limites (na projeção
+// nativa), recortada à imagem
+function boundsToWindow(info, { minX, minY, maxX, maxY }) {
+  const corners = [[minX, minY], [minX, maxY], [maxX, minY], [maxX, maxY]]
+    .map(([x, y]) => projectionToPixel(info, x, y));
+  const pixels = corners.map(corner => corner.pixel);
+  const lines = corners.map(corner => corner.line);
+  const x = Math.max(0, Math.floor(Math.min(...pixels)));
+  const y = Math.max(0, Math.floor(Math.min(...lines)));
+  return {
+    x,
+    y,
+    width: Math.max(1, Math.min(info.width, Math.ceil(Math.max(...pixels))) - x),
+    height: Math.max(1, Math.min(info.height, Math.ceil(Math.max(...lines))) - y)
+  };
+}
+
+// Função para converter as coordenadas de uma geometria GeoJSON com o proj4
+function transformCoordinates(coordinates, converter) {
+  return typeof coordinates[0] === 'number'
+    ? converter.forward([coordinates[0], coordinates[1]])
+    : coordinates.map(item => transformCoordinates(item, converter));
+}
+
+// Função para gerar as curvas de nível da área como FeatureCollection em WGS84.
+// Cada linha traz a elevação em properties.elevation.
+async function generateContours(entry, options) {
+  const { dataset, info } = openDataset(entry);
+  const window = boundsToWindow(info, options.bounds);
+  const scale = Math.min(MAX_CONTOUR_GRID / window.width, MAX_CONTOUR_GRID / window.height, 1);
+  const width = Math.max(1, Math.round(window.width * scale));
+  const height = Math.max(1, Math.round(window.height * scale));
+
+  // Ler a janela (reduzida) e marcar os pixels sem dado pela máscara da banda
+  const band = dataset.bands.get(options.band);
+  const readOptions = { buffer_width: width, buffer_height: height };
+  const data = trackGdalRead(await band.pixels.readAsync(window.x, window.y, window.width, window.height, undefined,
+    { ...readOptions, data_type: 'Float32' }));
+  const mask = trackGdalRead(await band.getMaskBand().pixels.readAsync(window.x, window.y, window.width, window.height,
+    undefined, { ...readOptions, data_type: 'Byte' }));
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (let i = 0; i < data.length; i++) {
+    if (mask[i] === 0 || Number.isNaN(data[i])) {
+      data[i] = CONTOUR_NODATA;
+      continue;
+    }
+    if (data[i] < min) min = data[i];
+    if (data[i] > max) max = data[i];
+  }
+
+  const cellX = info.pixelWidth * window.width / width;
+  const cellY = info.pixelHeight * window.height / height;
+  const result = {
+    type: 'FeatureCollection',
+    band: options.band,
+    interval: options.interval,
+    base: options.base,
+    resolution: [Math.abs(cellX), Math.abs(cellY)],
+    features: []
+  };
+  if (min > max) return result;
+
+  const levels = Math.floor((max - options.base) / options.interval) - Math.ceil((min - options.base) / options.interval) + 1;
+  if (levels > MAX_CONTOUR_LEVELS) {
+    throw createApiError('INVALID_PARAMETER', `Curvas demais: ${levels} níveis entre ${min} e ${max} ` +
+      `(máximo de ${MAX_CONTOUR_LEVELS}); aumente o interval`);
+  }
+
+  // Grade em memória com o georreferenciamento da janela lida
+  const grid = gdal.drivers.get('MEM').create('', width, height, 1, gdal.GDT_Float32);
+  const vectors = gdal.open('curvas', 'w', 'Memory');
+  try {
+    grid.geoTransform = [
+      info.originX + window.x * info.pixelWidth + window.y * info.skewX,
+      cellX,
+      info.skewX * window.height / height,
+      info.originY + window.x * info.skewY + window.y * info.pixelHeight,
+      info.skewY * window.width / width,
+      cellY
+    ];
+    const gridBand = grid.bands.get(1);
+    gridBand.noDataValue = CONTOUR_NODATA;
+    await gridBand.pixels.writeAsync(0, 0, width, height, data);
+
+    const layer = vectors.layers.create('curvas', null, gdal.wkbLineString);
+    layer.fields.add(new gdal.FieldDefn('id', gdal.OFTInteger));
+    layer.fields.add(new gdal.FieldDefn('elevation', gdal.OFTReal));
+    await gdal.contourGenerateAsync({
+      src: gridBand,
+      dst: layer,
+      offset: options.base,
+      interval: options.interval,
+      nodata: CONTOUR_NODATA,
+      idField: 0,
+      elevField: 1
+    });
+
+    const count = layer.features.count();
+    if (count > MAX_CONTOUR_FEATURES) {
+      throw createApiError('INVALID_PARAMETER', `Curvas demais: ${count} linhas (máximo de ${MAX_CONTOUR_FEATURES}); ` +
+        'aumente o interval ou reduza a área');
+    }
+
+    const toWgs84 = proj4(info.projection || DEFAULT_PROJECTION, 'EPSG:4326');
+    for (let feature = layer.features.first(); feature; feature = layer.features.next()) {
+      const geometry = feature.getGeometry();
+      if (!geometry) continue;
+      const { type, coordinates } = geometry.toObject();
+      result.features.push({
+        type: 'Feature',
+        id: feature.fields.get('id'),
+        geometry: { type, coordinates: transformCoordinates(coordinates, toWgs84) },
+        properties: { elevation: feature.fields.get('elevation') }
+      });
+    }
+    return result;
+  } finally {
+    vectors.close();
+    grid.close();
+  }
+}
+
+module.exports = {
+  parseContourOptions,
+  generateContours
+};
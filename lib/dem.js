@@ -0,0 +1,176 @@
+const { mercatorToLonLat } = require('./tile-grid');
+
+// Renderização de modelos digitais de elevação (uma banda, normalmente Float32), com
+// ?dem= na rota de tiles (e nas demais que aceitam opções de renderização):
+//   relief     relevo colorido pela elevação (padrão: paleta terrain; aceita ramp com
+//              altitudes absolutas, ex.: ramp=400:#2b83ba,600:#ffffbf,800:#d7191c)
+//   hillshade  sombreamento; ?azimuth= direção da luz em graus a partir do norte (padrão
+//              315) e ?altitude= altura da luz em graus acima do horizonte (padrão 45)
+//   slope      declividade em graus (0 a 90)
+//   aspect     orientação da encosta em graus a partir do norte (0 a 360; plano = transparente)
+// ?zFactor= multiplica as elevações (ex.: 0.3048 para elevações em pés). Os modos com
+// vizinhança (hillshade, slope, aspect) leem uma margem de pixels em volta de cada tile,
+// então as bordas de tiles vizinhos usam os mesmos valores e não aparecem emendas.
+const DEM_MODES = ['relief', 'hillshade', 'slope', 'aspect'];
+const DEFAULT_DEM = { azimuth: 315, altitude: 45, zFactor: 1 };
+
+// Pixels de margem lidos em volta da área renderizada (janela 3x3 do método de Horn)
+const DEM_MARGIN = 1;
+
+// Intervalo fixo dos valores de cada modo (usado no lugar das estatísticas da banda)
+const DEM_VALUE_RANGES = {
+  hillshade: [0, 255],
+  slope: [0, 90],
+  aspect: [0, 360]
+};
+
+// Paleta de cada modo quando a requisição não informa colormap nem ramp
+const DEM_COLORMAPS = {
+  relief: 'terrain',
+  hillshade: 'greys',
+  slope: 'RdYlGn_r',
+  aspect: 'hsv'
+};
+
+// Metros por grau de latitude (aproximação esférica, suficiente para o sombreamento)
+const METERS_PER_DEGREE = 111320;
+
+// Função para interpretar um ângulo ou fator da requisição dentro de um intervalo
+function parseDemNumber(value, name, min, max) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`Parâmetro ${name} inválido: ${value} (use de ${min} a ${max})`);
+  }
+  return number;
+}
+
+// Função para interpretar os parâmetros de elevação (?dem=, ?azimuth=, ?altitude=, ?zFactor=).
+// Retorna null quando a requisição não pede um modo de elevação.
+function parseDem(query) {
+  const extras = ['azimuth', 'altitude', 'zFactor'].filter(name => query[name] !== undefined);
+  if (query.dem === undefined) {
+    if (extras.length) {
+      throw new Error(`${extras.join(', ')} só se aplica(m) com o parâmetro dem`);
+    }
+    return null;
+  }
+
+  const mode = String(query.dem).toLowerCase();
+  if (!DEM_MODES.includes(mode)) {
+    throw new Error(`Parâmetro dem inválido: ${query.dem} (use ${DEM_MODES.join(', ')})`);
+  }
+  const dem = { mode, ...DEFAULT_DEM };
+  if (query.azimuth !== undefined) dem.azimuth = parseDemNumber(query.azimuth, 'azimuth', 0, 360);
+  if (query.altitude !== undefined) dem.altitude = parseDemNumber(query.altitude, 'altitude', 0, 90);
+  if (query.zFactor !== undefined) dem.zFactor = parseDemNumber(query.zFactor, 'zFactor', 1e-6, 1e6);
+  return dem;
+}
+
+// Função para verificar se o modo precisa da vizinhança de cada pixel
+function isTerrainMode(dem) {
+  return Boolean(dem) && dem.mode !== 'relief';
+}
+
+// Função para serializar as opções de elevação (usada na chave do cache de tiles)
+function demKey(dem) {
+  if (dem.mode === 'hillshade') return `d${dem.mode}:${dem.azimuth},${dem.altitude},${dem.zFactor}`;
+  if (isTerrainMode(dem)) return `d${dem.mode}:${dem.zFactor}`;
+  return `d${dem.mode}`;
+}
+
+// Função para calcular o tamanho do pixel no terreno, em metros, em cada linha da
+// grade lida (width x height pixels sobre o raster inteiro da origem). Em Web Mercator
+// e em coordenadas geográficas o tamanho depende da latitude da linha; nas demais
+// projeções as unidades são tomadas como metros.
+function createCellSize(source, width, height) {
+  const [, pixelWidth, , originY, , pixelHeight] = source.geoTransform;
+  const cellX = Math.abs(pixelWidth * source.rasterSize.x / width);
+  const cellY = pixelHeight * source.rasterSize.y / height;
+  const rowY = row => originY + (row + 0.5) * cellY;
+  const proj = source.srs ? source.srs.toProj4() : '';
+
+  if (/\+proj=merc\b/.test(proj)) {
+    return (row) => {
+      const scale = Math.cos(mercatorToLonLat(0, rowY(row))[1] * Math.PI / 180);
+      return [cellX * scale, Math.abs(cellY) * scale];
+    };
+  }
+  if (/\+proj=(longlat|latlong)\b/.test(proj)) {
+    return row => [
+      cellX * METERS_PER_DEGREE * Math.cos(rowY(row) * Math.PI / 180),
+      Math.abs(cellY) * METERS_PER_DEGREE
+    ];
+  }
+  return () => [cellX, Math.abs(cellY)];
+}
+
+// Função para calcular o valor de terreno (sombreamento, declividade ou orientação) de
+// cada pixel da área renderizada. As elevações cobrem a área com a margem em volta
+// (NaN = sem dado); vizinhos sem dado (ou além da margem) repetem o pixel central.
+// Retorna os valores da área sem a margem (NaN onde não há valor).
+function computeTerrain(elevation, { width, height, margin, cellSize }, dem) {
+  const gridWidth = width + 2 * margin;
+  const gridHeight = height + 2 * margin;
+  const values = new Float64Array(width * height);
+
+  const azimuth = dem.azimuth * Math.PI / 180;
+  const zenith = (90 - dem.altitude) * Math.PI / 180;
+  const cosZenith = Math.cos(zenith);
+  const sinZenith = Math.sin(zenith);
+
+  for (let row = 0; row < height; row++) {
+    const gridRow = row + margin;
+    const [cellX, cellY] = cellSize(gridRow);
+    const rows = [Math.max(0, gridRow - 1), gridRow, Math.min(gridHeight - 1, gridRow + 1)].map(r => r * gridWidth);
+
+    for (let col = 0; col < width; col++) {
+      const gridCol = col + margin;
+      const center = elevation[rows[1] + gridCol];
+      const index = row * width + col;
+      if (Number.isNaN(center)) {
+        values[index] = NaN;
+        continue;
+      }
+
+      const cols = [Math.max(0, gridCol - 1), gridCol, Math.min(gridWidth - 1, gridCol + 1)];
+      const z = (r, c) => {
+        const value = elevation[rows[r] + cols[c]];
+        return Number.isNaN(value) ? center : value;
+      };
+
+      // Método de Horn: derivadas para leste e para o sul (as linhas crescem para o sul)
+      const dzdx = ((z(0, 2) + 2 * z(1, 2) + z(2, 2)) - (z(0, 0) + 2 * z(1, 0) + z(2, 0))) * dem.zFactor / (8 * cellX);
+      const dzdy = ((z(2, 0) + 2 * z(2, 1) + z(2, 2)) - (z(0, 0) + 2 * z(0, 1) + z(0, 2))) * dem.zFactor / (8 * cellY);
+      const slope = Math.atan(Math.sqrt(dzdx * dzdx + dzdy * dzdy));
+
+      if (dem.mode === 'slope') {
+        values[index] = slope * 180 / Math.PI;
+        continue;
+      }
+
+      // Direção para onde a encosta desce, em radianos a partir do norte (sentido horário)
+      const flat = dzdx === 0 && dzdy === 0;
+      const aspect = Math.atan2(-dzdx, dzdy);
+      if (dem.mode === 'aspect') {
+        values[index] = flat ? NaN : ((aspect * 180 / Math.PI) + 360) % 360;
+        continue;
+      }
+
+      const light = cosZenith * Math.cos(slope) + (flat ? 0 : sinZenith * Math.sin(slope) * Math.cos(azimuth - aspect));
+      values[index] = Math.max(0, light) * 255;
+    }
+  }
+  return values;
+}
+
+module.exports = {
+  DEM_MODES,
+  DEM_MARGIN,
+  DEM_VALUE_RANGES,
+  DEM_COLORMAPS,
+  parseDem,
+  isTerrainMode,
+  demKey,
+  createCellSize,
+  computeTerrain
+};
@@ -0,0 +1,49 @@
+// Códigos de erro estáveis das respostas JSON da API ({ error, code, details }) e o
+// status HTTP de cada um. Os clientes devem decidir pelo código: as mensagens podem mudar.
+const ERROR_CODES = {
+  INVALID_TILE_COORDINATES: 400,
+  INVALID_RENDER_OPTIONS: 400,
+  INVALID_PARAMETER: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  DATASET_NOT_FOUND: 404,
+  LAYER_NOT_FOUND: 404,
+  SERIES_NOT_FOUND: 404,
+  JOB_NOT_FOUND: 404,
+  DATASET_EXISTS: 409,
+  PAYLOAD_TOO_LARGE: 413,
+  RATE_LIMITED: 429,
+  RENDER_FAILED: 500,
+  INTERNAL_ERROR: 500,
+  NOT_CONFIGURED: 501,
+  DATASET_UNAVAILABLE: 503,
+  SERVER_BUSY: 503
+};
+
+// Função para criar um erro com código estável (e o status HTTP correspondente)
+function createApiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = ERROR_CODES[code];
+  return error;
+}
+
+// Função para obter o código estável de um erro, ou o código indicado quando o erro
+// não tem um (erros do Node também usam "code", como ENOENT)
+function errorCode(error, fallbackCode) {
+  return Object.prototype.hasOwnProperty.call(ERROR_CODES, error.code) ? error.code : fallbackCode;
+}
+
+// Função para responder um erro da API com o status do código
+function sendApiError(res, code, message, details) {
+  const body = { error: message, code };
+  if (details !== undefined) body.details = details;
+  return res.status(ERROR_CODES[code]).json(body);
+}
+
+module.exports = {
+  ERROR_CODES,
+  createApiError,
+  errorCode,
+  sendApiError
+};
@@ -0,0 +1,261 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const gdal = require('gdal-async');
+const proj4 = require('proj4');
+const { openDataset } = require('./catalog');
+const { DEFAULT_PROJECTION, crsToProj4, transformBounds } = require('./projection');
+const { RESAMPLING_METHODS, parseResampling, boundsIntersect } = require('./warp');
+const { collectFeatures, geojsonCrs, geometryPolygons } = require('./geojson');
+const { logger } = require('./logger');
+
+// Formatos de exportação aceitos (nome da API -> driver GDAL e opções de criação).
+// PNG e JPEG são imagens simples: o georreferenciamento segue nos cabeçalhos da resposta.
+const EXPORT_FORMATS = {
+  gtiff: {
+    name: 'GTiff',
+    driver: 'GTiff',
+    extension: 'tif',
+    creationOptions: ['COMPRESS=DEFLATE', 'TILED=YES', 'BIGTIFF=IF_SAFER']
+  },
+  cog: {
+    name: 'COG',
+    driver: 'COG',
+    extension: 'tif',
+    creationOptions: ['COMPRESS=DEFLATE', 'BIGTIFF=IF_SAFER']
+  },
+  png: {
+    name: 'PNG',
+    driver: 'PNG',
+    extension: 'png',
+    creationOptions: [],
+    image: true,
+    maxBands: 4,
+    dataTypes: ['Byte', 'UInt16']
+  },
+  jpeg: {
+    name: 'JPEG',
+    driver: 'JPEG',
+    extension: 'jpg',
+    creationOptions: ['QUALITY=90'],
+    image: true,
+    maxBands: 3,
+    dataTypes: ['Byte']
+  }
+};
+
+// Limites do recorte: quantidade total de pixels e lado máximo das imagens PNG/JPEG
+const MAX_EXPORT_PIXELS = 100000000;
+const MAX_IMAGE_EXPORT_SIZE = 8192;
+
+// Na exportação os valores originais devem ser preservados, então o padrão é o vizinho mais próximo
+const DEFAULT_EXPORT_RESAMPLING = 'nearest';
+
+// Função para interpretar o bbox "minX,minY,maxX,maxY" (no CRS informado)
+function parseExportBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error(`bbox inválido: ${value} (use minX,minY,maxX,maxY)`);
+  }
+  const [minX, minY, maxX, maxY] = parts;
+  if (minX >= maxX || minY >= maxY) {
+    throw new Error(`bbox inválido: ${value} (mínimos devem ser menores que os máximos)`);
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+// Função para alinhar os limites à grade da imagem (expandindo para fora),
+// para que a resolução nativa não desloque os pixels
+function snapToGrid(bounds, info, resolution) {
+  const epsilon = 1e-9;
+  const snap = (value, origin, round) => origin + round((value - origin) / resolution + (round === Math.floor ? epsilon : -epsilon)) * resolution;
+  return {
+    minX: snap(bounds.minX, info.originX, Math.floor),
+    maxX: snap(bounds.maxX, info.originX, Math.ceil),
+    minY: snap(bounds.minY, info.originY, Math.floor),
+    maxY: snap(bounds.maxY, info.originY, Math.ceil)
+  };
+}
+
+// Função para interpretar e validar as opções do recorte. A área vem do bbox
+// (?bbox=&crs=) e/ou de polígonos GeoJSON no corpo (linha de corte).
+// Lança um erro com mensagem amigável quando algo é inválido ou grande demais.
+function parseExportOptions(query, body, info) {
+  const format = EXPORT_FORMATS[String(query.format || 'GTiff').toLowerCase()];
+  if (!format) {
+    throw new Error(`Formato inválido: ${query.format} (use ${Object.values(EXPORT_FORMATS).map(f => f.name).join(', ')})`);
+  }
+
+  const resampling = parseResampling(query.resampling || DEFAULT_EXPORT_RESAMPLING);
+  if (!resampling) {
+    throw new Error(`Reamostragem inválida: ${query.resampling}`);
+  }
+
+  const resolution = query.resolution !== undefined ? Number(query.resolution) : Math.abs(info.pixelWidth);
+  if (!Number.isFinite(resolution) || resolution <= 0) {
+    throw new Error(`Resolução inválida: ${query.resolution} (informe o tamanho do pixel nas unidades do dataset)`);
+  }
+
+  const hasCutline = body && typeof body === 'object' && Object.keys(body).length > 0;
+  if (query.bbox === undefined && !hasCutline) {
+    throw new Error('Informe o bbox ou um polígono GeoJSON para o recorte');
+  }
+
+  // Tudo é convertido para o CRS nativo do dataset, que é o CRS da saída
+  const sourceProjection = crsToProj4(query.crs || (hasCutline ? geojsonCrs(body) : null));
+  const nativeProjection = info.projection || DEFAULT_PROJECTION;
+  let bounds = {
+    minX: Math.min(info.bounds.minX, info.bounds.maxX),
+    maxX: Math.max(info.bounds.minX, info.bounds.maxX),
+    minY: Math.min(info.bounds.minY, info.bounds.maxY),
+    maxY: Math.max(info.bounds.minY, info.bounds.maxY)
+  };
+  const intersect = (other) => {
+    if (!boundsIntersect(bounds, other)) {
+      throw new Error('A área pedida não intersecta a imagem');
+    }
+    bounds = {
+      minX: Math.max(bounds.minX, other.minX),
+      maxX: Math.min(bounds.maxX, other.maxX),
+      minY: Math.max(bounds.minY, other.minY),
+      maxY: Math.min(bounds.maxY, other.maxY)
+    };
+  };
+
+  if (query.bbox !== undefined) {
+    intersect(transformBounds(sourceProjection, nativeProjection, parseExportBbox(query.bbox)));
+  }
+
+  let cutline = null;
+  if (hasCutline) {
+    const converter = proj4(sourceProjection, nativeProjection);
+    cutline = collectFeatures(body)
+      .flatMap(feature => geometryPolygons(feature && feature.geometry))
+      .map(polygon => polygon.map(ring => ring.map(point => converter.forward([point[0], point[1]]))));
+    const extent = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    for (const [x, y] of cutline.flat(2)) {
+      extent.minX = Math.min(extent.minX, x);
+      extent.minY = Math.min(extent.minY, y);
+      extent.maxX = Math.max(extent.maxX, x);
+      extent.maxY = Math.max(extent.maxY, y);
+    }
+    intersect(extent);
+  }
+
+  bounds = snapToGrid(bounds, info, resolution);
+  const width = Math.max(1, Math.round((bounds.maxX - bounds.minX) / resolution));
+  const height = Math.max(1, Math.round((bounds.maxY - bounds.minY) / resolution));
+
+  // Limites de tamanho: melhor um erro claro do que esgotar memória e disco
+  if (width * height > MAX_EXPORT_PIXELS) {
+    throw new Error(`Recorte grande demais: ${width} x ${height} pixels (máximo de ${MAX_EXPORT_PIXELS} pixels); ` +
+      'reduza a área ou aumente o parâmetro resolution');
+  }
+  if (format.image && Math.max(width, height) > MAX_IMAGE_EXPORT_SIZE) {
+    throw new Error(`Recorte grande demais para ${format.name}: ${width} x ${height} pixels ` +
+      `(máximo de ${MAX_IMAGE_EXPORT_SIZE} por lado); use GTiff/COG ou aumente o parâmetro resolution`);
+  }
+
+  return { format, resampling, resolution, bounds, width, height, cutline };
+}
+
+// Função para converter a saída reprojetada em PNG/JPEG, reduzindo bandas e
+// tipo de dado ao que o formato aceita
+async function translateToImage(source, format, outputPath) {
+  const args = ['-of', format.driver];
+  for (const option of format.creationOptions) {
+    args.push('-co', option);
+  }
+
+  const bandCount = source.bands.count();
+  if (bandCount > format.maxBands) {
+    args.push('-b', '1', '-b', '2', '-b', '3');
+  } else if (bandCount === 2 && format.maxBands === 3) {
+    args.push('-b', '1');
+  }
+
+  const dataType = source.bands.get(1).dataType;
+  if (!format.dataTypes.includes(dataType)) {
+    // Reescalar do intervalo dos dados para 0-255
+    args.push('-ot', 'Byte', '-scale');
+  }
+
+  const output = await gdal.translateAsync(outputPath, source, args);
+  output.close();
+}
+
+// Função para recortar uma região do dataset e gravá-la em um arquivo temporário.
+// Retorna o caminho do arquivo e uma função para remover os temporários depois do envio.
+async function exportRegion(entry, options) {
+  const { dataset, info } = openDataset(entry);
+  const { format, bounds, width, height } = options;
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'evolx-export-'));
+  const cleanup = () => fs.promises.rm(tempDir, { recursive: true, force: true }).catch((error) => {
+    logger.error('Erro ao remover temporários de exportação', { directory: tempDir, error });
+  });
+
+  try {
+    const fileName = `${entry.id}_recorte.${format.extension}`;
+    const outputPath = path.join(tempDir, fileName);
+
+    // PNG/JPEG não aceitam escrita direta: reprojetar para um GeoTIFF intermediário
+    const warpFormat = format.image ? EXPORT_FORMATS.gtiff : format;
+    const warpPath = format.image ? path.join(tempDir, 'intermediario.tif') : outputPath;
+    const args = [
+      '-of', warpFormat.driver,
+      '-te', String(bounds.minX), String(bounds.minY), String(bounds.maxX), String(bounds.maxY),
+      '-ts', String(width), String(height),
+      '-r', RESAMPLING_METHODS[options.resampling],
+      '-ovr', 'AUTO'
+    ];
+    for (const option of warpFormat.creationOptions) {
+      args.push('-co', option);
+    }
+    if (!dataset.srs) {
+      // GeoTIFF sem projeção: assumir a projeção configurada para o dataset
+      args.push('-s_srs', info.projection);
+    }
+
+    if (options.cutline) {
+      // A linha de corte já está no CRS nativo; o GeoJSON não consegue declará-lo, então ele é informado à parte
+      const cutlinePath = path.join(tempDir, 'corte.geojson');
+      await fs.promises.writeFile(cutlinePath, JSON.stringify({
+        type: 'FeatureCollection',
+        features: [{ type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: options.cutline } }]
+      }));
+      args.push('-cutline', cutlinePath, '-cutline_srs', info.projection || DEFAULT_PROJECTION);
+
+      // Sem NoData nem banda alfa, a área fora do polígono só pode ser marcada com um alfa novo
+      const hasNoData = info.noData.some(value => value !== null && value !== undefined);
+      if (!hasNoData && !info.hasAlphaBand) {
+        args.push('-dstalpha');
+      }
+    }
+
+    const warped = await gdal.warpAsync(warpPath, null, [dataset], args);
+    try {
+      if (format.image) {
+        await translateToImage(warped, format, outputPath);
+      }
+    } finally {
+      warped.close();
+    }
+
+    return {
+      filePath: outputPath,
+      fileName,
+      crs: info.crs,
+      geoTransform: [bounds.minX, (bounds.maxX - bounds.minX) / width, 0, bounds.maxY, 0, -(bounds.maxY - bounds.minY) / height],
+      cleanup
+    };
+  } catch (error) {
+    await cleanup();
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportOptions,
+  exportRegion
+};
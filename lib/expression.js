@@ -0,0 +1,178 @@
+// Avaliador de expressões de álgebra de bandas (ex.: "(b4-b3)/(b4+b3)").
+// A expressão é convertida em uma árvore de funções; nada é executado com eval.
+
+// Funções disponíveis nas expressões
+const FUNCTIONS = {
+  abs: { arity: 1, fn: Math.abs },
+  sqrt: { arity: 1, fn: Math.sqrt },
+  log: { arity: 1, fn: Math.log },
+  exp: { arity: 1, fn: Math.exp },
+  min: { arity: 2, fn: Math.min },
+  max: { arity: 2, fn: Math.max }
+};
+
+// Tamanho máximo aceito para uma expressão
+const MAX_EXPRESSION_LENGTH = 256;
+
+// Função para quebrar a expressão em tokens
+function tokenize(source) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?|([A-Za-z_]\w*)|(\S))/gy;
+  let match;
+  while (pattern.lastIndex < source.length && (match = pattern.exec(source))) {
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: Number(match[0].trim()) });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    } else {
+      if (!'+-*/^(),'.includes(match[3])) {
+        throw new Error(`Caractere inválido na expressão: ${match[3]}`);
+      }
+      tokens.push({ type: 'op', value: match[3] });
+    }
+  }
+  return tokens;
+}
+
+// Função para interpretar a expressão (descida recursiva) e gerar a árvore de avaliação
+function parseExpression(source) {
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new Error('Expressão vazia');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expressão muito longa (máximo de ${MAX_EXPRESSION_LENGTH} caracteres)`);
+  }
+
+  const tokens = tokenize(source);
+  const bands = new Set();
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Esperado "${value}" na expressão`);
+    }
+    position++;
+  };
+
+  // soma := produto (("+" | "-") produto)*
+  function parseSum() {
+    let node = parseProduct();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      const left = node;
+      const right = parseProduct();
+      node = op === '+' ? (v) => left(v) + right(v) : (v) => left(v) - right(v);
+    }
+    return node;
+  }
+
+  // produto := potência (("*" | "/") potência)*
+  function parseProduct() {
+    let node = parsePower();
+    while (isOp('*') || isOp('/')) {
+      const op = tokens[position++].value;
+      const left = node;
+      const right = parsePower();
+      node = op === '*' ? (v) => left(v) * right(v) : (v) => left(v) / right(v);
+    }
+    return node;
+  }
+
+  // potência := unário ("^" potência)?
+  function parsePower() {
+    const base = parseUnary();
+    if (isOp('^')) {
+      position++;
+      const exponent = parsePower();
+      return (v) => Math.pow(base(v), exponent(v));
+    }
+    return base;
+  }
+
+  // unário := "-" unário | primário
+  function parseUnary() {
+    if (isOp('-')) {
+      position++;
+      const operand = parseUnary();
+      return (v) => -operand(v);
+    }
+    if (isOp('+')) {
+      position++;
+      return parseUnary();
+    }
+    return parsePrimary();
+  }
+
+  // primário := número | banda | função "(" argumentos ")" | "(" soma ")"
+  function parsePrimary() {
+    const token = peek();
+    if (!token) {
+      throw new Error('Expressão incompleta');
+    }
+    position++;
+
+    if (token.type === 'number') {
+      const value = token.value;
+      return () => value;
+    }
+
+    if (token.type === 'name') {
+      const bandMatch = /^b(\d+)$/.exec(token.value);
+      if (bandMatch) {
+        const band = parseInt(bandMatch[1], 10);
+        if (band < 1) {
+          throw new Error(`Banda inválida na expressão: ${token.value}`);
+        }
+        bands.add(band);
+        return (v) => v[band];
+      }
+
+      const func = FUNCTIONS[token.value];
+      if (!func) {
+        throw new Error(`Identificador desconhecido na expressão: ${token.value}`);
+      }
+      expect('(');
+      const args = [parseSum()];
+      while (isOp(',')) {
+        position++;
+        args.push(parseSum());
+      }
+      expect(')');
+      if (args.length !== func.arity) {
+        throw new Error(`A função ${token.value} espera ${func.arity} argumento(s)`);
+      }
+      return func.arity === 1
+        ? (v) => func.fn(args[0](v))
+        : (v) => func.fn(args[0](v), args[1](v));
+    }
+
+    if (token.value === '(') {
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Símbolo inesperado na expressão: ${token.value}`);
+  }
+
+  const evaluate = parseSum();
+  if (position < tokens.length) {
+    throw new Error(`Símbolo inesperado na expressão: ${tokens[position].value}`);
+  }
+  if (!bands.size) {
+    throw new Error('A expressão deve usar ao menos uma banda (b1, b2, ...)');
+  }
+
+  return {
+    source: source.trim(),
+    bands: Array.from(bands).sort((a, b) => a - b),
+    // Recebe um vetor indexado pelo número da banda (valores[1] = b1, ...)
+    evaluate
+  };
+}
+
+module.exports = {
+  parseExpression
+};
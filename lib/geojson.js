@@ -0,0 +1,41 @@
+// Funções auxiliares para ler GeoJSON enviado nas requisições
+
+// Função para extrair as feições de um Feature ou FeatureCollection GeoJSON
+function collectFeatures(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('Envie um Feature ou FeatureCollection GeoJSON no corpo da requisição');
+  }
+  if (geojson.type === 'Feature') {
+    return [geojson];
+  }
+  if (geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) {
+    return geojson.features;
+  }
+  throw new Error('GeoJSON inválido: esperado um Feature ou FeatureCollection');
+}
+
+// Função para obter o CRS declarado no GeoJSON (membro "crs" das versões antigas)
+function geojsonCrs(geojson) {
+  const crs = geojson && geojson.crs;
+  return crs && crs.properties && crs.properties.name ? crs.properties.name : null;
+}
+
+// Função para listar os polígonos (contorno e buracos) de um Polygon ou MultiPolygon
+function geometryPolygons(geometry) {
+  if (!geometry) {
+    throw new Error('Feição sem geometria');
+  }
+  if (geometry.type === 'Polygon') {
+    return [geometry.coordinates];
+  }
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates;
+  }
+  throw new Error(`Geometria ${geometry.type} não suportada (use Polygon ou MultiPolygon)`);
+}
+
+module.exports = {
+  collectFeatures,
+  geojsonCrs,
+  geometryPolygons
+};
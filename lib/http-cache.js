@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+
+// Configuração do cache HTTP de tiles e prévias (seção "http" da configuração, ver config.js)
+//   TILE_HTTP_MAX_AGE  http.maxAge  max-age do Cache-Control em segundos (padrão: 3600).
+//                                   Com 0 o cliente sempre revalida a imagem pelo ETag.
+// Com a autenticação ligada (auth.enabled) as imagens são marcadas como private, para
+// que proxies e CDNs compartilhados não as entreguem a quem não tem chave.
+
+// Função para obter a configuração do cache HTTP
+function getHttpCacheConfig() {
+  const config = getConfig();
+  return { maxAge: config.http.maxAge, visibility: config.auth.enabled ? 'private' : 'public' };
+}
+
+// Configuração lida uma vez, na carga do módulo
+const httpCacheConfig = getHttpCacheConfig();
+
+// Função para gerar o ETag forte de uma imagem a partir do hash do conteúdo.
+// Quando o arquivo do dataset muda, os tiles são refeitos e o ETag acompanha.
+function contentEtag(buffer) {
+  return `"${crypto.createHash('sha1').update(buffer).digest('base64url')}"`;
+}
+
+// Função para definir os cabeçalhos de cache de uma imagem de dataset. O Express
+// compara o ETag com If-None-Match no res.send e responde 304 sem corpo quando a
+// cópia do cliente ainda vale. Não há Last-Modified: a imagem também muda sem o
+// raster mudar (ex.: outro formato em <raster>.settings.json), e só o conteúdo diz isso.
+function setImageCacheHeaders(res, buffer) {
+  res.setHeader('ETag', contentEtag(buffer));
+  res.setHeader('Cache-Control', httpCacheConfig.maxAge > 0
+    ? `${httpCacheConfig.visibility}, max-age=${httpCacheConfig.maxAge}`
+    : 'no-cache');
+}
+
+module.exports = {
+  getHttpCacheConfig,
+  contentEtag,
+  setImageCacheHeaders
+};
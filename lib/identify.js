@@ -0,0 +1,117 @@
+const { openDataset } = require('./catalog');
+const { DEFAULT_PROJECTION, wgs84ToProjection } = require('./projection');
+
+// Quantidade máxima de pontos em uma consulta em lote
+const MAX_IDENTIFY_POINTS = 1000;
+
+// Função para interpretar e validar um ponto { lat, lon } em WGS84
+function parsePoint(point) {
+  const lat = Number(point && point.lat);
+  const lon = Number(point && point.lon);
+  if (point == null || point.lat === '' || point.lon === '' ||
+      !Number.isFinite(lat) || !Number.isFinite(lon)) {
+    throw new Error('Informe lat e lon numéricos');
+  }
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+    throw new Error(`Coordenada fora do intervalo WGS84: lat=${lat}, lon=${lon}`);
+  }
+  return { lat, lon };
+}
+
+// Função para interpretar a lista de pontos da consulta em lote
+function parsePoints(points) {
+  if (!Array.isArray(points) || !points.length) {
+    throw new Error('Informe uma lista de pontos em "points": [{ "lat": ..., "lon": ... }]');
+  }
+  if (points.length > MAX_IDENTIFY_POINTS) {
+    throw new Error(`Máximo de ${MAX_IDENTIFY_POINTS} pontos por consulta`);
+  }
+  return points.map((point, i) => {
+    try {
+      return parsePoint(point);
+    } catch (error) {
+      throw new Error(`Ponto ${i}: ${error.message}`);
+    }
+  });
+}
+
+// Função para converter coordenadas da projeção do dataset em pixel/linha,
+// invertendo o geoTransform (inclusive a rotação, quando houver)
+function projectionToPixel(info, x, y) {
+  const { originX, originY, pixelWidth, pixelHeight, skewX, skewY } = info;
+  const dx = x - originX;
+  const dy = y - originY;
+  const determinant = pixelWidth * pixelHeight - skewX * skewY;
+  return {
+    pixel: (dx * pixelHeight - dy * skewX) / determinant,
+    line: (dy * pixelWidth - dx * skewY) / determinant
+  };
+}
+
+// Função para verificar se um valor corresponde ao NoData da banda
+function matchesNoData(value, noDataValue) {
+  if (noDataValue === null || noDataValue === undefined) return false;
+  if (Number.isNaN(noDataValue)) return Number.isNaN(value);
+  return value === noDataValue;
+}
+
+// Função para ler os valores de todas as bandas em um pixel
+async function readPixelValues(dataset, info, pixel, line) {
+  const values = [];
+  for (let bandIndex = 1; bandIndex <= info.bandCount; bandIndex++) {
+    const band = dataset.bands.get(bandIndex);
+    const [value] = await band.pixels.readAsync(pixel, line, 1, 1, undefined, { data_type: 'Float64' });
+    // A máscara cobre NoData, banda alfa e máscaras internas (0 = sem dado)
+    const [mask] = await band.getMaskBand().pixels.readAsync(pixel, line, 1, 1);
+    const noDataValue = info.noData[bandIndex - 1];
+    values.push({
+      band: bandIndex,
+      value,
+      noDataValue: noDataValue === undefined ? null : noDataValue,
+      isNoData: matchesNoData(value, noDataValue) || mask === 0
+    });
+  }
+  return values;
+}
+
+// Função para consultar os valores do raster em um ponto WGS84.
+// Usa a mesma conversão (proj4 + geoTransform) dos tiles.
+async function identifyPoint(entry, { lat, lon }) {
+  const { dataset, info } = openDataset(entry);
+  const projection = info.projection || DEFAULT_PROJECTION;
+  const { x, y } = wgs84ToProjection(projection, lon, lat);
+  const position = projectionToPixel(info, x, y);
+  const pixel = Math.floor(position.pixel);
+  const line = Math.floor(position.line);
+  const inside = pixel >= 0 && pixel < info.width && line >= 0 && line < info.height;
+
+  return {
+    lat,
+    lon,
+    crs: info.crs,
+    x,
+    y,
+    pixel,
+    line,
+    inside,
+    bands: inside ? await readPixelValues(dataset, info, pixel, line) : []
+  };
+}
+
+// Função para consultar vários pontos de uma vez
+async function identifyPoints(entry, points) {
+  const results = [];
+  for (const point of points) {
+    results.push(await identifyPoint(entry, point));
+  }
+  return results;
+}
+
+module.exports = {
+  MAX_IDENTIFY_POINTS,
+  parsePoint,
+  parsePoints,
+  projectionToPixel,
+  identifyPoint,
+  identifyPoints
+};
@@ -0,0 +1,183 @@
+const fs = require('fs');
+
+// Formatos de imagem dos tiles e prévias (nome -> tipo MIME e extensão).
+// JPEG não tem canal alfa: tiles com transparência usam o formato de fallback.
+const IMAGE_FORMATS = {
+  png: { name: 'png', mimeType: 'image/png', extension: 'png', transparency: true },
+  webp: { name: 'webp', mimeType: 'image/webp', extension: 'webp', transparency: true },
+  jpeg: { name: 'jpeg', mimeType: 'image/jpeg', extension: 'jpg', transparency: false }
+};
+
+// Extensões aceitas na URL dos tiles
+const FORMAT_EXTENSIONS = {
+  png: 'png',
+  webp: 'webp',
+  jpg: 'jpeg',
+  jpeg: 'jpeg'
+};
+
+// Codificação padrão. O PNG com compressionLevel 9 era lento para codificar e
+// ganhava pouco em tamanho; o nível 6 é o padrão do zlib.
+const DEFAULT_ENCODING = {
+  format: 'png',
+  transparentFormat: 'png',
+  pngCompressionLevel: 6,
+  jpegQuality: 85,
+  webpQuality: 80,
+  webpLossless: false
+};
+
+// Função para obter o caminho do arquivo de configurações do dataset, ao lado do raster
+function settingsFilePath(entry) {
+  return `${entry.path}.settings.json`;
+}
+
+// Função para validar um inteiro de configuração dentro de um intervalo
+function requireSettingInteger(encoding, name, min, max) {
+  const value = encoding[name];
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`Configuração ${name} inválida: ${value} (use de ${min} a ${max})`);
+  }
+}
+
+// Função para validar as configurações de codificação, completando com os padrões
+function parseEncodingSettings(settings = {}) {
+  const encoding = { ...DEFAULT_ENCODING, ...settings };
+  if (!IMAGE_FORMATS[encoding.format]) {
+    throw new Error(`Formato padrão inválido: ${encoding.format} (use ${Object.keys(IMAGE_FORMATS).join(', ')})`);
+  }
+  if (!IMAGE_FORMATS[encoding.transparentFormat] || !IMAGE_FORMATS[encoding.transparentFormat].transparency) {
+    throw new Error(`Formato para tiles com transparência inválido: ${encoding.transparentFormat} (use png ou webp)`);
+  }
+  requireSettingInteger(encoding, 'pngCompressionLevel', 0, 9);
+  requireSettingInteger(encoding, 'jpegQuality', 1, 100);
+  requireSettingInteger(encoding, 'webpQuality', 1, 100);
+  if (typeof encoding.webpLossless !== 'boolean') {
+    throw new Error(`Configuração webpLossless inválida: ${encoding.webpLossless} (use true ou false)`);
+  }
+  return encoding;
+}
+
+// Função para obter as configurações de codificação do dataset. Elas ficam no bloco
+// "encoding" do arquivo <raster>.settings.json, lido uma vez e mantido na entrada do catálogo.
+function getDatasetEncoding(entry) {
+  if (!entry.encoding) {
+    const filePath = settingsFilePath(entry);
+    let settings = {};
+    if (fs.existsSync(filePath)) {
+      try {
+        settings = JSON.parse(fs.readFileSync(filePath, 'utf8')).encoding || {};
+      } catch (error) {
+        throw new Error(`Arquivo de configurações ${filePath} inválido: ${error.message}`);
+      }
+    }
+    entry.encoding = parseEncodingSettings(settings);
+  }
+  return entry.encoding;
+}
+
+// Função para obter o formato de uma extensão da URL (png, webp, jpg/jpeg)
+function formatFromExtension(extension) {
+  const name = FORMAT_EXTENSIONS[String(extension).toLowerCase()];
+  return name ? IMAGE_FORMATS[name] : null;
+}
+
+// Função para obter o formato de um tipo MIME (image/png, image/webp, image/jpeg)
+function formatFromMimeType(mimeType) {
+  return Object.values(IMAGE_FORMATS).find(format => format.mimeType === mimeType) || null;
+}
+
+// Função para interpretar o cabeçalho Accept em uma lista de { type, q }
+function parseAccept(header) {
+  return String(header).split(',').map((part) => {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+    const q = qParam ? Number(qParam.slice(2)) : 1;
+    return { type: type.trim(), q: Number.isFinite(q) ? q : 0 };
+  }).filter(range => range.type);
+}
+
+// Função para comparar duas classificações [q, explícito] em ordem lexicográfica
+function compareRanks(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+}
+
+// Função para escolher o formato da resposta pelo cabeçalho Accept. Vale a faixa mais
+// específica de cada formato (image/webp > image/* > */*). O formato padrão do dataset
+// é usado sempre que o Accept o aceita, mesmo só por curinga: os navegadores citam
+// image/webp e image/avif, mas aceitam qualquer imagem, e a URL sem extensão pede o
+// padrão (é também o formato que o semeador grava). Só quando o padrão não é aceito
+// vale o maior q e, no empate, o tipo citado explicitamente.
+// Sem Accept (ou sem nenhum formato aceito) o padrão do dataset é usado.
+function negotiateFormat(acceptHeader, defaultFormat) {
+  const fallback = IMAGE_FORMATS[defaultFormat];
+  if (!acceptHeader) return fallback;
+
+  const ranges = parseAccept(acceptHeader);
+  let best = null;
+  for (const format of Object.values(IMAGE_FORMATS)) {
+    const exact = ranges.find(range => range.type === format.mimeType);
+    const match = exact || ranges.find(range => range.type === 'image/*') || ranges.find(range => range.type === '*/*');
+    if (!match || match.q <= 0) continue;
+    if (format.name === defaultFormat) return format;
+
+    const rank = [match.q, exact ? 1 : 0];
+    if (!best || compareRanks(rank, best.rank) > 0) {
+      best = { format, rank };
+    }
+  }
+  return best ? best.format : fallback;
+}
+
+// Função para verificar se uma imagem RGBA tem algum pixel não totalmente opaco
+function hasTransparency(rgbaData) {
+  for (let i = 3; i < rgbaData.length; i += 4) {
+    if (rgbaData[i] < 255) return true;
+  }
+  return false;
+}
+
+// Função para codificar uma imagem sharp RGBA no formato pedido. Tiles com
+// transparência pedidos em JPEG são codificados no formato de fallback (PNG ou WebP).
+function encodeRaster(image, encoding, transparent) {
+  let format = encoding.format;
+  if (transparent && !IMAGE_FORMATS[format].transparency) {
+    format = encoding.transparentFormat;
+  }
+
+  if (format === 'jpeg') {
+    return image.removeAlpha().jpeg({ quality: encoding.jpegQuality }).toBuffer();
+  }
+  if (format === 'webp') {
+    return image.webp({ quality: encoding.webpQuality, lossless: encoding.webpLossless }).toBuffer();
+  }
+  return image.png({ compressionLevel: encoding.pngCompressionLevel }).toBuffer();
+}
+
+// Função para identificar o formato de uma imagem já codificada (cache, MBTiles)
+// pela assinatura dos primeiros bytes
+function detectFormat(buffer) {
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return IMAGE_FORMATS.jpeg;
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return IMAGE_FORMATS.webp;
+  }
+  return IMAGE_FORMATS.png;
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  DEFAULT_ENCODING,
+  parseEncodingSettings,
+  getDatasetEncoding,
+  formatFromExtension,
+  formatFromMimeType,
+  negotiateFormat,
+  hasTransparency,
+  encodeRaster,
+  detectFormat
+};
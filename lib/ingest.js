@@ -0,0 +1,187 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const gdal = require('gdal-async');
+const proj4 = require('proj4');
+const {
+  RASTER_EXTENSIONS,
+  datasetIdFromFile,
+  discoverDatasets,
+  openDataset,
+  removeDataset,
+  getDataset
+} = require('./catalog');
+const { getSafeProjection, getAuthorityCode } = require('./projection');
+const { enqueueJob } = require('./jobs');
+const { getConfig } = require('./config');
+const { createApiError } = require('./errors');
+
+// Tamanho máximo aceito para um envio (upload.maxBytes na configuração; padrão 20 GiB)
+const MAX_UPLOAD_BYTES = getConfig().upload.maxBytes;
+
+// Subdiretório (oculto) do diretório de dados onde os envios ficam até serem validados
+const UPLOAD_DIR = '.uploads';
+
+// Função para interpretar as opções do envio: nome do arquivo (?name= ou cabeçalho
+// X-File-Name), conversão para COG (?cog=false desativa) e substituição (?overwrite=true)
+function parseIngestOptions(query, headers) {
+  const name = query.name || headers['x-file-name'];
+  if (!name) {
+    throw new Error('Informe o nome do arquivo (?name=ortomosaico.tif ou cabeçalho X-File-Name)');
+  }
+  const fileName = path.basename(String(name));
+  const extension = path.extname(fileName).toLowerCase();
+  if (!RASTER_EXTENSIONS.includes(extension)) {
+    throw new Error(`Extensão não suportada: ${extension || '(nenhuma)'} (use ${RASTER_EXTENSIONS.join(', ')})`);
+  }
+
+  return {
+    id: datasetIdFromFile(fileName),
+    fileName,
+    extension,
+    cog: query.cog !== 'false',
+    overwrite: query.overwrite === 'true'
+  };
+}
+
+// Função para gravar o corpo da requisição em disco, sem carregá-lo na memória.
+// Interrompe o envio (erro PAYLOAD_TOO_LARGE) se o limite de tamanho for ultrapassado.
+async function receiveUpload(req, dataPath, options) {
+  const uploadDir = path.join(dataPath, UPLOAD_DIR);
+  await fs.promises.mkdir(uploadDir, { recursive: true });
+  const tempPath = path.join(uploadDir, `${crypto.randomUUID()}${options.extension}`);
+
+  let received = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > MAX_UPLOAD_BYTES) {
+        return callback(createApiError('PAYLOAD_TOO_LARGE', `Arquivo maior que o limite de ${MAX_UPLOAD_BYTES} bytes`));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(req, counter, fs.createWriteStream(tempPath));
+    if (!received) {
+      throw createApiError('INVALID_PARAMETER', 'Arquivo vazio');
+    }
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+
+  return { tempPath, size: received };
+}
+
+// Função para validar o arquivo enviado com o GDAL: raster legível,
+// georreferenciado e com um CRS que o proj4 consiga usar nos tiles
+async function validateRaster(filePath) {
+  let dataset;
+  try {
+    dataset = await gdal.openAsync(filePath);
+  } catch (error) {
+    throw new Error(`O arquivo não é um raster legível pelo GDAL: ${error.message}`);
+  }
+
+  try {
+    if (!dataset.bands.count()) {
+      throw new Error('O raster não tem bandas');
+    }
+
+    const geoTransform = dataset.geoTransform;
+    if (!geoTransform || geoTransform.join(',') === '0,1,0,0,0,1') {
+      throw new Error('O raster não é georreferenciado (sem geoTransform)');
+    }
+    if (!dataset.srs) {
+      throw new Error('O raster não informa o sistema de coordenadas');
+    }
+
+    // O centro da imagem precisa ser convertido para WGS84 sem erro
+    const { x: width, y: height } = dataset.rasterSize;
+    const center = [
+      geoTransform[0] + geoTransform[1] * width / 2 + geoTransform[2] * height / 2,
+      geoTransform[3] + geoTransform[4] * width / 2 + geoTransform[5] * height / 2
+    ];
+    let lonLat;
+    try {
+      lonLat = proj4(getSafeProjection(dataset), 'EPSG:4326', center);
+    } catch (error) {
+      lonLat = null;
+    }
+    if (!lonLat || !lonLat.every(Number.isFinite)) {
+      throw new Error('Sistema de coordenadas não reconhecido');
+    }
+
+    return {
+      width,
+      height,
+      bandCount: dataset.bands.count(),
+      crs: getAuthorityCode(dataset)
+    };
+  } finally {
+    dataset.close();
+  }
+}
+
+// Função para converter o raster em um Cloud-Optimized GeoTIFF (blocos e overviews internos)
+async function convertToCog(sourcePath, targetPath, onProgress) {
+  const source = await gdal.openAsync(sourcePath);
+  try {
+    const args = ['-of', 'COG', '-co', 'COMPRESS=DEFLATE', '-co', 'OVERVIEWS=AUTO', '-co', 'BIGTIFF=IF_SAFER'];
+    const output = await gdal.translateAsync(targetPath, source, args, { progress_cb: (complete) => onProgress(complete) });
+    output.close();
+  } finally {
+    source.close();
+  }
+}
+
+// Função para enfileirar a ingestão de um arquivo recebido: validação, conversão
+// opcional para COG e registro no catálogo, sem reiniciar o servidor
+function ingestUpload(upload, options, dataPath) {
+  return enqueueJob('ingest', { id: options.id, file: options.fileName, size: upload.size, cog: options.cog }, async (update) => {
+    const cogPath = `${upload.tempPath}.cog.tif`;
+    try {
+      update({ progress: 0.05, message: 'Validando raster' });
+      const summary = await validateRaster(upload.tempPath);
+
+      let readyPath = upload.tempPath;
+      if (options.cog) {
+        update({ progress: 0.1, message: 'Convertendo para Cloud-Optimized GeoTIFF' });
+        await convertToCog(upload.tempPath, cogPath, complete => update({ progress: 0.1 + complete * 0.85 }));
+        readyPath = cogPath;
+      }
+
+      update({ progress: 0.97, message: 'Registrando dataset' });
+      const existing = getDataset(options.id);
+      if (existing) {
+        if (!options.overwrite) {
+          throw new Error(`Dataset ${options.id} já existe (use overwrite=true para substituir)`);
+        }
+        removeDataset(existing);
+      }
+
+      const targetPath = path.join(dataPath, `${options.id}${options.cog ? '.tif' : options.extension}`);
+      await fs.promises.rename(readyPath, targetPath);
+      discoverDatasets(dataPath);
+
+      const entry = getDataset(datasetIdFromFile(targetPath));
+      openDataset(entry);
+      return { id: entry.id, file: entry.fileName, cog: options.cog, ...summary };
+    } finally {
+      await fs.promises.rm(upload.tempPath, { force: true });
+      await fs.promises.rm(cogPath, { force: true });
+    }
+  });
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  parseIngestOptions,
+  receiveUpload,
+  validateRaster,
+  ingestUpload
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Quantidade de tarefas concluídas mantidas para consulta
+const MAX_FINISHED_JOBS = 100;
+
+// Tarefas em segundo plano indexadas pelo id
+const jobs = new Map();
+
+// Fila de execução: as tarefas rodam uma de cada vez, para não disputar
+// CPU e disco com a geração de tiles
+let queue = Promise.resolve();
+
+// Função para descrever uma tarefa na API (sem a função de execução)
+function describeJob(job) {
+  const { run, ...description } = job;
+  return description;
+}
+
+// Função para descartar as tarefas concluídas mais antigas
+function pruneJobs() {
+  const finished = Array.from(jobs.values()).filter(job => job.status === 'done' || job.status === 'failed');
+  for (const job of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))) {
+    jobs.delete(job.id);
+  }
+}
+
+// Função para enfileirar uma tarefa. A função de execução recebe um callback
+// update({ progress, message }) e o que ela retornar vira o resultado da tarefa.
+function enqueueJob(type, params, run) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    params,
+    status: 'queued',
+    progress: 0,
+    message: 'Aguardando na fila',
+    result: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    run
+  };
+  jobs.set(job.id, job);
+
+  const update = ({ progress, message }) => {
+    if (progress !== undefined) job.progress = Math.max(0, Math.min(1, progress));
+    if (message !== undefined) job.message = message;
+  };
+
+  queue = queue.then(async () => {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.message = 'Em execução';
+    try {
+      job.result = await run(update);
+      job.status = 'done';
+      job.progress = 1;
+      job.message = 'Concluída';
+    } catch (error) {
+      logger.error('Erro na tarefa', { job: job.id, type: job.type, error });
+      job.status = 'failed';
+      job.error = error.message;
+      job.message = 'Falhou';
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      pruneJobs();
+    }
+  });
+
+  return describeJob(job);
+}
+
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? describeJob(job) : null;
+}
+
+function listJobs() {
+  return Array.from(jobs.values()).map(describeJob);
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  listJobs
+};
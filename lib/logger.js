@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig } = require('./config');
+
+// Log estruturado: uma linha JSON por evento, com data, nível, mensagem e campos
+// extras. O nível mínimo vem de logging.level na configuração (LOG_LEVEL; padrão info).
+// Dentro de uma requisição HTTP o id dela (X-Request-Id) entra em todas as linhas,
+// inclusive nas geradas pelos módulos de lib/, sem precisar repassar o req.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Contexto da requisição em andamento (id da requisição)
+const requestContext = new AsyncLocalStorage();
+
+// Ids de requisição aceitos do cliente; fora disso um novo id é gerado
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Parâmetros de URL com credenciais (chave de API e assinatura), ocultados no log
+const CREDENTIAL_PARAMS = /([?&](?:key|signature)=)[^&]*/gi;
+
+// Função para converter um valor em algo serializável (erros viram nome, mensagem e pilha)
+function serializeValue(value) {
+  if (value instanceof Error) {
+    const serialized = { name: value.name, message: value.message };
+    if (value.status) serialized.status = value.status;
+    if (value.stack) serialized.stack = value.stack;
+    return serialized;
+  }
+  return value;
+}
+
+// Função para gravar uma linha de log, se o nível estiver habilitado.
+// Avisos e erros vão para a saída de erro, como no console.
+function write(level, message, fields = {}) {
+  if (LEVELS[level] < LEVELS[getConfig().logging.level]) return;
+
+  const record = { time: new Date().toISOString(), level, msg: message };
+  const context = requestContext.getStore();
+  if (context) {
+    record.requestId = context.requestId;
+  }
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      record[key] = serializeValue(value);
+    }
+  }
+
+  const line = `${JSON.stringify(record)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  isDebugEnabled: () => getConfig().logging.level === 'debug'
+};
+
+// Função para obter o id da requisição (o X-Request-Id do cliente, se válido)
+function resolveRequestId(value) {
+  return value && REQUEST_ID_PATTERN.test(value) ? value : crypto.randomUUID();
+}
+
+// Middleware que identifica cada requisição, devolve o id em X-Request-Id e
+// registra método, caminho, status e duração ao final da resposta
+function requestLogger(req, res, next) {
+  const requestId = resolveRequestId(req.get('X-Request-Id'));
+  const startTime = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  res.on('close', () => {
+    requestContext.run({ requestId }, () => {
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.replace(CREDENTIAL_PARAMS, '$1***'),
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startTime) / 1e6
+      };
+      if (!res.writableFinished) {
+        logger.info('Requisição interrompida pelo cliente', fields);
+      } else {
+        logger[res.statusCode >= 500 ? 'error' : 'info']('Requisição concluída', fields);
+      }
+    });
+  });
+
+  requestContext.run({ requestId }, next);
+}
+
+module.exports = {
+  logger,
+  requestLogger
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const { getCachedTile } = require('./tiles');
+const { iterateTiles, resolveSeedOptions } = require('./seed');
+const { renderOptionsKey } = require('./render-options');
+const { IMAGE_FORMATS } = require('./image-format');
+
+// Função para empacotar os tiles já semeados de um dataset em um arquivo .mbtiles
+// (especificação MBTiles 1.3), para uso offline em campo.
+async function exportMBTiles(entry, { output, bbox, zoom, options, onProgress = null }) {
+  // Carregado sob demanda: só a exportação depende do SQLite
+  const Database = require('better-sqlite3');
+
+  if (fs.existsSync(output)) {
+    fs.unlinkSync(output);
+  }
+
+  const db = new Database(output);
+  try {
+    db.exec(`
+      CREATE TABLE metadata (name TEXT, value TEXT);
+      CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+      CREATE UNIQUE INDEX tile_index ON tiles (zoom_level, tile_column, tile_row);
+    `);
+
+    const insertTile = db.prepare('INSERT INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)');
+    const insertMetadata = db.prepare('INSERT INTO metadata (name, value) VALUES (?, ?)');
+    const renderOptions = resolveSeedOptions(entry, options);
+    const variant = renderOptionsKey(renderOptions);
+
+    let written = 0;
+    let missing = 0;
+    let done = 0;
+    let pending = [];
+    let minZoom = Infinity;
+    let maxZoom = -Infinity;
+
+    // Gravar os tiles em lotes, cada lote em uma transação
+    const flush = db.transaction((batch) => {
+      for (const row of batch) insertTile.run(...row);
+    });
+
+    for (const { z, x, y } of iterateTiles(bbox, zoom)) {
+      const tileBuffer = await getCachedTile(entry, { z, x, y, variant });
+      if (tileBuffer) {
+        // MBTiles usa o esquema TMS: a linha é contada a partir do sul
+        pending.push([z, x, Math.pow(2, z) - 1 - y, tileBuffer]);
+        written++;
+        minZoom = Math.min(minZoom, z);
+        maxZoom = Math.max(maxZoom, z);
+        if (pending.length >= 500) {
+          flush(pending);
+          pending = [];
+        }
+      } else {
+        missing++;
+      }
+
+      done++;
+      if (onProgress) onProgress({ z, x, y, done });
+    }
+    flush(pending);
+
+    const metadata = {
+      name: entry.id,
+      description: `Tiles de ${entry.fileName}`,
+      format: IMAGE_FORMATS[renderOptions.format].extension,
+      type: 'overlay',
+      version: '1.0',
+      bounds: [bbox.minLon, bbox.minLat, bbox.maxLon, bbox.maxLat].join(','),
+      center: [(bbox.minLon + bbox.maxLon) / 2, (bbox.minLat + bbox.maxLat) / 2, zoom.minZoom].join(','),
+      minzoom: String(written ? minZoom : zoom.minZoom),
+      maxzoom: String(written ? maxZoom : zoom.maxZoom)
+    };
+    for (const [name, value] of Object.entries(metadata)) {
+      insertMetadata.run(name, value);
+    }
+
+    return { output, written, missing };
+  } finally {
+    db.close();
+  }
+}
+
+module.exports = {
+  exportMBTiles
+};
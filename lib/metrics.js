@@ -0,0 +1,144 @@
+// Métricas do servidor no formato de texto do Prometheus (rota /metrics).
+// Os contadores ficam em memória e recomeçam do zero a cada reinício; cada thread de
+// renderização conta as próprias leituras e as repassa à thread principal com o tile.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Limites (em segundos) dos intervalos do histograma de latência dos tiles
+const TILE_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Histograma de latência dos tiles, indexado pelo zoom
+const tileLatency = new Map();
+
+// Consultas ao cache de tiles
+const cacheLookups = { hit: 0, miss: 0 };
+
+// Erros de renderização de tiles, indexados pelo tipo (busy, cancelled, unavailable, failed)
+const renderErrors = new Map();
+
+// Bytes devolvidos pelas leituras de pixels do GDAL
+let gdalReadBytes = 0;
+
+// Função para registrar a duração (em segundos) de uma requisição de tile
+function observeTileLatency(z, seconds) {
+  let histogram = tileLatency.get(z);
+  if (!histogram) {
+    histogram = { buckets: TILE_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 };
+    tileLatency.set(z, histogram);
+  }
+  TILE_LATENCY_BUCKETS.forEach((limit, index) => {
+    if (seconds <= limit) histogram.buckets[index]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
+}
+
+// Função para registrar uma consulta ao cache de tiles (encontrado ou não)
+function countCacheLookup(hit) {
+  cacheLookups[hit ? 'hit' : 'miss']++;
+}
+
+// Função para registrar um erro de renderização de tile
+function countRenderError(type) {
+  renderErrors.set(type, (renderErrors.get(type) || 0) + 1);
+}
+
+// Função para contabilizar o resultado de uma leitura de pixels do GDAL.
+// Retorna o próprio array, para envolver a leitura diretamente.
+function trackGdalRead(data) {
+  if (data) gdalReadBytes += data.byteLength;
+  return data;
+}
+
+// Função para somar bytes lidos em outra thread
+function addGdalReadBytes(bytes) {
+  gdalReadBytes += bytes;
+}
+
+// Função para obter e zerar os bytes lidos desde a última consulta (usada pelas
+// threads de renderização para repassar as leituras de cada tile)
+function takeGdalReadBytes() {
+  const bytes = gdalReadBytes;
+  gdalReadBytes = 0;
+  return bytes;
+}
+
+// Função para escapar o valor de um rótulo
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Função para formatar os rótulos de uma amostra ({zoom="12",le="0.5"})
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Função para escrever uma métrica com cabeçalho (HELP/TYPE) e amostras
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { suffix = '', labels = {}, value } of samples) {
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+  }
+  return lines.join('\n');
+}
+
+// Função para gerar o texto das métricas. gauges traz os valores medidos no momento
+// da coleta: caches ({ kind, dataset, tiles, bytes } por dataset ou camada) e
+// renderPool ({ workers, busy, queued }).
+function renderMetrics(gauges) {
+  const latencySamples = [];
+  for (const z of [...tileLatency.keys()].sort((a, b) => a - b)) {
+    const histogram = tileLatency.get(z);
+    TILE_LATENCY_BUCKETS.forEach((limit, index) => {
+      latencySamples.push({ suffix: '_bucket', labels: { zoom: z, le: limit }, value: histogram.buckets[index] });
+    });
+    latencySamples.push({ suffix: '_bucket', labels: { zoom: z, le: '+Inf' }, value: histogram.count });
+    latencySamples.push({ suffix: '_sum', labels: { zoom: z }, value: histogram.sum });
+    latencySamples.push({ suffix: '_count', labels: { zoom: z }, value: histogram.count });
+  }
+
+  const lookups = cacheLookups.hit + cacheLookups.miss;
+
+  const metrics = [
+    formatMetric('evolx_tile_request_duration_seconds', 'histogram',
+      'Duração das requisições de tiles raster, por zoom', latencySamples),
+    formatMetric('evolx_tile_cache_requests_total', 'counter', 'Consultas ao cache de tiles, por resultado', [
+      { labels: { result: 'hit' }, value: cacheLookups.hit },
+      { labels: { result: 'miss' }, value: cacheLookups.miss }
+    ]),
+    formatMetric('evolx_tile_cache_hit_ratio', 'gauge', 'Fração das consultas ao cache de tiles atendidas pelo cache', [
+      { value: lookups ? cacheLookups.hit / lookups : 0 }
+    ]),
+    formatMetric('evolx_tile_cache_tiles', 'gauge', 'Tiles no cache, por dataset ou camada vetorial',
+      gauges.caches.map(cache => ({ labels: { kind: cache.kind, dataset: cache.dataset }, value: cache.tiles }))),
+    formatMetric('evolx_tile_cache_bytes', 'gauge', 'Bytes no cache de tiles, por dataset ou camada vetorial',
+      gauges.caches.map(cache => ({ labels: { kind: cache.kind, dataset: cache.dataset }, value: cache.bytes }))),
+    formatMetric('evolx_render_errors_total', 'counter', 'Erros de renderização de tiles, por tipo',
+      [...renderErrors].map(([type, value]) => ({ labels: { type }, value }))),
+    formatMetric('evolx_render_workers', 'gauge', 'Threads de renderização de tiles', [
+      { value: gauges.renderPool.workers }
+    ]),
+    formatMetric('evolx_render_workers_busy', 'gauge', 'Threads de renderização ocupadas', [
+      { value: gauges.renderPool.busy }
+    ]),
+    formatMetric('evolx_render_queue_length', 'gauge', 'Tiles aguardando uma thread de renderização', [
+      { value: gauges.renderPool.queued }
+    ]),
+    formatMetric('evolx_gdal_read_bytes_total', 'counter', 'Bytes lidos do GDAL nas leituras de pixels', [
+      { value: gdalReadBytes }
+    ])
+  ];
+  return `${metrics.join('\n')}\n`;
+}
+
+module.exports = {
+  CONTENT_TYPE,
+  observeTileLatency,
+  countCacheLookup,
+  countRenderError,
+  trackGdalRead,
+  addGdalReadBytes,
+  takeGdalReadBytes,
+  renderMetrics
+};
@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const { isMainThread } = require('worker_threads');
+const gdal = require('gdal-async');
+const { fallbackProjection } = require('./projection');
+const { logger } = require('./logger');
+
+// Mosaicos: um dataset formado por vários GeoTIFFs vizinhos ou sobrepostos (blocos de
+// voo), possivelmente em fusos UTM diferentes, servido como uma camada contínua.
+// Cada mosaico é definido por um arquivo <id>.mosaic.json no diretório de dados:
+//   { "files": ["blocos/iturama-2019/*.tif"], "crs": "EPSG:31982", "priority": "newest" }
+//   files       caminhos ou padrões (* e ?) relativos ao diretório de dados. Blocos em
+//               subdiretórios não aparecem no catálogo como datasets separados.
+//   crs         CRS comum do mosaico (padrão: o do arquivo de maior prioridade)
+//   priority    na sobreposição, "newest" (padrão) usa o voo mais recente (TIFFTAG_DATETIME
+//               ou data de modificação) e "order" usa o primeiro da lista em files
+//   resolution  tamanho do pixel no CRS comum (padrão: a maior resolução dos arquivos)
+//   resampling  reamostragem na reprojeção: nearest (padrão), bilinear ou cubic
+// Arquivos sem CRS usam o CRS assumido do mosaico (datasets.<id>.crs na configuração).
+// O mosaico vira um VRT do GDAL (cada arquivo reprojetado para o CRS comum, com alfa
+// fora da imagem), gravado em <dados>/.mosaics e refeito quando a definição ou algum
+// arquivo muda. Só a thread principal gera o VRT; as threads de renderização abrem o VRT
+// que ela gerou. Os VRTs de versões anteriores ficam por MOSAIC_BUILD_RETENTION_MS antes
+// de serem apagados, pois uma renderização em andamento ainda pode lê-los.
+
+// Sufixo dos arquivos de definição e diretório dos VRTs gerados
+const MOSAIC_SUFFIX = '.mosaic.json';
+const MOSAIC_BUILD_DIR = '.mosaics';
+
+// Tempo que os VRTs de uma versão substituída são mantidos
+const MOSAIC_BUILD_RETENTION_MS = 10 * 60 * 1000;
+
+const PRIORITIES = ['newest', 'order'];
+
+// Reamostragens aceitas (nome da definição -> nome do gdalwarp). O padrão preserva os
+// valores originais, usados também na consulta de pixels e nas estatísticas.
+const MOSAIC_RESAMPLING = { nearest: 'near', bilinear: 'bilinear', cubic: 'cubic' };
+
+// Função para verificar se um arquivo é a definição de um mosaico
+function isMosaicFile(fileName) {
+  return fileName.toLowerCase().endsWith(MOSAIC_SUFFIX);
+}
+
+// Função para ler e validar a definição de um mosaico
+function readMosaicDefinition(filePath) {
+  const name = path.basename(filePath);
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Definição de mosaico ${name} inválida: ${error.message}`);
+  }
+  const fail = message => new Error(`Definição de mosaico ${name} inválida: ${message}`);
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw fail('deve ser um objeto');
+  }
+  for (const key of Object.keys(definition)) {
+    if (!['files', 'crs', 'priority', 'resolution', 'resampling'].includes(key)) {
+      throw fail(`configuração desconhecida "${key}"`);
+    }
+  }
+
+  const { files, crs = null, priority = 'newest', resolution = null, resampling = 'nearest' } = definition;
+  if (!Array.isArray(files) || !files.length || files.some(file => typeof file !== 'string' || !file.trim())) {
+    throw fail('files deve ser uma lista não vazia de caminhos ou padrões');
+  }
+  if (crs !== null) {
+    try {
+      gdal.SpatialReference.fromUserInput(String(crs));
+    } catch (error) {
+      throw fail(`CRS desconhecido: ${crs}`);
+    }
+  }
+  if (!PRIORITIES.includes(priority)) {
+    throw fail(`priority deve ser ${PRIORITIES.join(' ou ')}`);
+  }
+  if (resolution !== null && !(typeof resolution === 'number' && resolution > 0)) {
+    throw fail('resolution deve ser um número positivo');
+  }
+  if (!MOSAIC_RESAMPLING[resampling]) {
+    throw fail(`resampling deve ser ${Object.keys(MOSAIC_RESAMPLING).join(', ')}`);
+  }
+  return { files, crs, priority, resolution, resampling };
+}
+
+// Função para converter um trecho de padrão (* e ?) em expressão regular. Arquivos
+// ocultos só entram quando o padrão começa com ponto.
+function segmentPattern(segment) {
+  const source = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${segment.startsWith('.') ? '' : '(?!\\.)'}${source}$`);
+}
+
+// Função para listar os arquivos de um caminho ou padrão, em ordem alfabética
+function expandPattern(baseDir, pattern) {
+  let candidates = [baseDir];
+  for (const segment of pattern.split(/[\\/]/).filter(Boolean)) {
+    if (!/[*?]/.test(segment)) {
+      candidates = candidates.map(candidate => path.join(candidate, segment));
+      continue;
+    }
+    const matcher = segmentPattern(segment);
+    candidates = candidates.flatMap((directory) => {
+      let names = [];
+      try {
+        names = fs.readdirSync(directory);
+      } catch (error) {
+        // Diretório inexistente: nenhum arquivo
+      }
+      return names.filter(name => matcher.test(name)).sort().map(name => path.join(directory, name));
+    });
+  }
+  return candidates.filter(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+}
+
+// Função para obter os arquivos do mosaico na ordem da definição, sem repetições.
+// Os arquivos precisam estar dentro do diretório de dados.
+function resolveMosaicFiles(filePath, definition) {
+  const baseDir = path.dirname(filePath);
+  const files = [];
+  for (const pattern of definition.files) {
+    const matches = expandPattern(baseDir, pattern);
+    if (!matches.length) {
+      throw new Error(`Mosaico ${path.basename(filePath)}: nenhum arquivo encontrado para ${pattern}`);
+    }
+    for (const match of matches) {
+      const relative = path.relative(baseDir, match);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) {
+        throw new Error(`Mosaico ${path.basename(filePath)}: ${pattern} está fora do diretório de dados`);
+      }
+      if (relative.split(path.sep)[0] !== MOSAIC_BUILD_DIR && !files.includes(match)) {
+        files.push(match);
+      }
+    }
+  }
+  return files;
+}
+
+// Função para identificar a versão de um mosaico (definição e arquivos): tamanho
+// somado e a modificação mais recente, como a assinatura dos rasters. A modificação
+// dos diretórios dos arquivos também conta: um bloco removido ou novo altera o
+// diretório, então a versão nova sempre tem modificação mais recente que a anterior.
+function mosaicSignature(filePath) {
+  const definition = readMosaicDefinition(filePath);
+  const files = [filePath, ...resolveMosaicFiles(filePath, definition)];
+  const stats = files.map(file => fs.statSync(file));
+  const directories = [...new Set(files.map(file => path.dirname(file)))].map(directory => fs.statSync(directory));
+  return {
+    size: stats.reduce((total, stat) => total + stat.size, 0),
+    mtime: Math.max(...stats.map(stat => stat.mtimeMs), ...directories.map(stat => stat.mtimeMs))
+  };
+}
+
+// Função para obter a data de aquisição de um arquivo (TIFFTAG_DATETIME, no formato
+// AAAA:MM:DD HH:MM:SS) ou, sem ela, a data de modificação
+function acquisitionTime(dataset, file) {
+  const value = dataset.getMetadata().TIFFTAG_DATETIME;
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}:\d{2}:\d{2})/.exec(value || '');
+  const time = match ? Date.parse(`${match[1]}-${match[2]}-${match[3]}T${match[4]}Z`) : NaN;
+  return Number.isNaN(time) ? fs.statSync(file).mtimeMs : time;
+}
+
+// Função para verificar se a última banda de um dataset é alfa
+function hasAlphaBand(dataset) {
+  return dataset.bands.get(dataset.bands.count()).colorInterpretation === gdal.GCI_AlphaBand;
+}
+
+// Função para gerar o VRT do mosaico: cada arquivo é reprojetado (VRT de warp) para o
+// CRS comum e os VRTs são combinados; no gdalbuildvrt o último da lista fica por cima.
+function writeMosaicVrt(entry, definition, files, vrtPath) {
+  const sources = files.map(file => ({ file, dataset: gdal.open(file) }));
+  const parts = [];
+  try {
+    if (definition.priority === 'newest') {
+      for (const source of sources) source.time = acquisitionTime(source.dataset, source.file);
+      sources.sort((a, b) => b.time - a.time);
+    }
+
+    // Todos os arquivos precisam ter as mesmas bandas (fora a alfa)
+    const colorBands = dataset => dataset.bands.count() - (hasAlphaBand(dataset) ? 1 : 0);
+    const bandCount = colorBands(sources[0].dataset);
+    for (const source of sources) {
+      if (colorBands(source.dataset) !== bandCount) {
+        throw new Error(`Mosaico ${entry.fileName}: ${path.basename(source.file)} tem ${colorBands(source.dataset)} banda(s), os demais têm ${bandCount}`);
+      }
+    }
+
+    const assumedProjection = fallbackProjection(entry.id);
+    const [first] = sources;
+    const targetSrs = definition.crs
+      ? gdal.SpatialReference.fromUserInput(String(definition.crs)).toWKT()
+      : (first.dataset.srs ? first.dataset.srs.toWKT() : assumedProjection);
+
+    // Do menos para o mais prioritário (o último fica por cima)
+    sources.reverse().forEach((source, index) => {
+      const partPath = vrtPath.replace(/\.vrt$/, `.${index}.vrt`);
+      const args = ['-of', 'VRT', '-t_srs', targetSrs, '-r', MOSAIC_RESAMPLING[definition.resampling]];
+      if (!hasAlphaBand(source.dataset)) args.push('-dstalpha');
+      if (!source.dataset.srs) args.push('-s_srs', assumedProjection);
+      if (definition.resolution) args.push('-tr', String(definition.resolution), String(definition.resolution));
+      gdal.warp(partPath, null, [source.dataset], args).close();
+      parts.push(partPath);
+    });
+
+    // O VRT final é gravado em um arquivo temporário e renomeado: quem abrir o mosaico
+    // ao mesmo tempo (outra thread de renderização) nunca lê um VRT incompleto
+    const tempPath = `${vrtPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const args = definition.resolution
+      ? ['-tr', String(definition.resolution), String(definition.resolution)]
+      : ['-resolution', 'highest'];
+    gdal.buildVRT(tempPath, parts, args).close();
+    fs.renameSync(tempPath, vrtPath);
+  } finally {
+    for (const source of sources) source.dataset.close();
+  }
+}
+
+// Função para apagar os VRTs gerados de um mosaico (todas as versões)
+function removeMosaicBuild(entry) {
+  const buildDir = path.join(path.dirname(entry.path), MOSAIC_BUILD_DIR);
+  if (!fs.existsSync(buildDir)) return;
+  for (const name of fs.readdirSync(buildDir)) {
+    if (name.startsWith(`${entry.id}.`)) {
+      fs.unlinkSync(path.join(buildDir, name));
+    }
+  }
+}
+
+// Função para apagar as versões de um mosaico substituídas há mais de
+// MOSAIC_BUILD_RETENTION_MS. Uma versão é substituída quando o VRT da seguinte é gravado.
+function pruneMosaicBuilds(entry) {
+  const buildDir = path.join(path.dirname(entry.path), MOSAIC_BUILD_DIR);
+  if (!fs.existsSync(buildDir)) return;
+  const names = fs.readdirSync(buildDir);
+  const versions = names
+    .filter(name => name.startsWith(`${entry.id}.`) && /^[0-9a-f]{16}\.vrt$/.test(name.slice(entry.id.length + 1)))
+    .map(name => ({ prefix: name.slice(0, -'vrt'.length), mtime: fs.statSync(path.join(buildDir, name)).mtimeMs }))
+    .sort((a, b) => b.mtime - a.mtime);
+
+  for (let i = 1; i < versions.length; i++) {
+    if (Date.now() - versions[i - 1].mtime < MOSAIC_BUILD_RETENTION_MS) continue;
+    for (const name of names.filter(item => item.startsWith(versions[i].prefix))) {
+      fs.unlinkSync(path.join(buildDir, name));
+    }
+  }
+}
+
+// Função para obter o VRT de um mosaico, gerando-o quando a definição ou algum arquivo
+// mudou desde a última geração. O nome do VRT traz um hash da definição e dos arquivos.
+// Só roda na thread principal (ver render-worker.js).
+function buildMosaic(entry) {
+  if (!isMainThread) {
+    throw new Error(`Mosaico ${entry.fileName}: o VRT é gerado só na thread principal`);
+  }
+
+  const definition = readMosaicDefinition(entry.path);
+  const files = resolveMosaicFiles(entry.path, definition);
+  const stats = files.map(file => fs.statSync(file));
+  const version = crypto.createHash('sha256')
+    .update(JSON.stringify({ definition, files: files.map((file, i) => [file, stats[i].size, stats[i].mtimeMs]) }))
+    .digest('hex')
+    .slice(0, 16);
+
+  const buildDir = path.join(path.dirname(entry.path), MOSAIC_BUILD_DIR);
+  const prefix = `${entry.id}.${version}.`;
+  const vrtPath = path.join(buildDir, `${prefix}vrt`);
+  if (!fs.existsSync(vrtPath)) {
+    fs.mkdirSync(buildDir, { recursive: true });
+    const startTime = Date.now();
+    writeMosaicVrt(entry, definition, files, vrtPath);
+    logger.info('Mosaico gerado', { dataset: entry.id, files: files.length, durationMs: Date.now() - startTime });
+
+    // Versões anteriores: as antigas saem agora, a recém-substituída depois do prazo
+    const prune = () => {
+      try {
+        pruneMosaicBuilds(entry);
+      } catch (error) {
+        logger.warn('Erro ao apagar versões antigas do mosaico', { dataset: entry.id, error: error.message });
+      }
+    };
+    prune();
+    setTimeout(prune, MOSAIC_BUILD_RETENTION_MS + 1000).unref();
+  } else {
+    // Versão já gerada que volta a ser usada (arquivos restaurados): a data do VRT marca
+    // quando cada versão passou a valer, então a atual precisa ser a mais recente
+    const now = new Date();
+    fs.utimesSync(vrtPath, now, now);
+  }
+
+  return {
+    vrtPath,
+    priority: definition.priority,
+    crs: definition.crs,
+    files: files.map(file => path.relative(path.dirname(entry.path), file))
+  };
+}
+
+module.exports = {
+  MOSAIC_SUFFIX,
+  isMosaicFile,
+  mosaicSignature,
+  buildMosaic,
+  removeMosaicBuild
+};
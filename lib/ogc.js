@@ -0,0 +1,83 @@
+// Funções comuns aos serviços OGC (WMTS e WMS)
+
+// Função para criar o erro de um serviço OGC, respondido como relatório de exceção em XML
+function ogcError(code, message, locator = null) {
+  const error = new Error(message);
+  error.ogcCode = code;
+  error.locator = locator;
+  return error;
+}
+
+// Função para escapar texto inserido em documentos XML
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Função para normalizar os parâmetros KVP: nos serviços OGC os nomes não
+// diferenciam maiúsculas de minúsculas (SERVICE, service, Service, ...)
+function normalizeKvp(query) {
+  const params = {};
+  for (const [name, value] of Object.entries(query)) {
+    params[name.toUpperCase()] = Array.isArray(value) ? value[value.length - 1] : value;
+  }
+  return params;
+}
+
+// Função para obter um parâmetro obrigatório
+function requireParam(params, name) {
+  const value = params[name];
+  if (value === undefined || value === '') {
+    throw ogcError('MissingParameterValue', `Parâmetro ${name} não informado`, name);
+  }
+  return String(value);
+}
+
+// Função para obter um parâmetro inteiro obrigatório dentro de um intervalo
+function requireInteger(params, name, min, max) {
+  const value = Number(requireParam(params, name));
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw ogcError('InvalidParameterValue', `Parâmetro ${name} inválido: ${params[name]} (use de ${min} a ${max})`, name);
+  }
+  return value;
+}
+
+// Função para obter a URL base do servidor a partir da requisição
+function serviceBaseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// Função para gerar o relatório de exceção do WMS 1.3.0
+function wmsExceptionReport(error) {
+  const locator = error.locator ? ` locator="${escapeXml(error.locator)}"` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ServiceExceptionReport version="1.3.0" xmlns="http://www.opengis.net/ogc">
+  <ServiceException code="${escapeXml(error.ogcCode || 'NoApplicableCode')}"${locator}>${escapeXml(error.message)}</ServiceException>
+</ServiceExceptionReport>`;
+}
+
+// Função para gerar o relatório de exceção OWS (usado pelo WMTS)
+function owsExceptionReport(error) {
+  const locator = error.locator ? ` locator="${escapeXml(error.locator)}"` : '';
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<ExceptionReport xmlns="http://www.opengis.net/ows/1.1" version="1.1.0">
+  <Exception exceptionCode="${escapeXml(error.ogcCode || 'NoApplicableCode')}"${locator}>
+    <ExceptionText>${escapeXml(error.message)}</ExceptionText>
+  </Exception>
+</ExceptionReport>`;
+}
+
+module.exports = {
+  ogcError,
+  escapeXml,
+  normalizeKvp,
+  requireParam,
+  requireInteger,
+  serviceBaseUrl,
+  wmsExceptionReport,
+  owsExceptionReport
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const gdal = require('gdal-async');
+const { openDataset, closeDataset, reloadDataset, datasetFilePath } = require('./catalog');
+
+// Algoritmos de reamostragem aceitos na geração de overviews
+const OVERVIEW_RESAMPLING = ['nearest', 'average', 'bilinear', 'cubic', 'gauss', 'mode'];
+
+// Menor dimensão que ainda vale a pena gerar como overview
+const MIN_OVERVIEW_SIZE = 256;
+
+// Função para calcular os fatores de redução padrão (2, 4, 8, ...) até o tamanho mínimo
+function defaultOverviewLevels(width, height) {
+  const levels = [];
+  for (let factor = 2; Math.min(width, height) / factor >= MIN_OVERVIEW_SIZE; factor *= 2) {
+    levels.push(factor);
+  }
+  return levels;
+}
+
+// Função para validar as opções de geração de overviews
+function parseOverviewOptions(options = {}) {
+  const resampling = (options.resampling || 'average').toLowerCase();
+  if (!OVERVIEW_RESAMPLING.includes(resampling)) {
+    throw new Error(`Reamostragem inválida: ${options.resampling}`);
+  }
+
+  let levels = null;
+  if (options.levels !== undefined) {
+    levels = (Array.isArray(options.levels) ? options.levels : String(options.levels).split(','))
+      .map(level => parseInt(level, 10));
+    if (!levels.length || levels.some(level => !Number.isInteger(level) || level < 2)) {
+      throw new Error(`Níveis de overview inválidos: ${options.levels}`);
+    }
+  }
+
+  return {
+    resampling,
+    levels,
+    external: options.external === true || options.external === 'true'
+  };
+}
+
+// Função para gerar os overviews sem alterar o arquivo em uso: os internos são gravados
+// em uma cópia do GeoTIFF e os externos ao lado de um link para ele; no fim a cópia (ou
+// o .ovr) substitui o original com um rename. As threads de renderização que ainda
+// leem a versão anterior continuam com ela e reabrem o arquivo pela assinatura nova.
+async function buildInTempFile(filePath, internal, build) {
+  const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  const overviewPath = `${filePath}.ovr`;
+  try {
+    if (internal) {
+      await fs.promises.copyFile(filePath, tempPath);
+    } else {
+      fs.linkSync(filePath, tempPath);
+      // Um .ovr existente é atualizado, como faria o GDAL no próprio arquivo
+      if (fs.existsSync(overviewPath)) {
+        await fs.promises.copyFile(overviewPath, `${tempPath}.ovr`);
+      }
+    }
+
+    const dataset = gdal.open(tempPath, internal ? 'r+' : 'r');
+    try {
+      await build(dataset);
+    } finally {
+      dataset.close();
+    }
+
+    if (internal) {
+      fs.renameSync(tempPath, filePath);
+    } else {
+      fs.renameSync(`${tempPath}.ovr`, overviewPath);
+    }
+  } finally {
+    for (const leftover of [tempPath, `${tempPath}.ovr`, `${tempPath}.aux.xml`]) {
+      fs.rmSync(leftover, { force: true });
+    }
+  }
+}
+
+// Função para gerar overviews internos (no próprio GeoTIFF) ou externos (.ovr).
+// Nos mosaicos eles são sempre externos, ao lado do VRT gerado. Durante a geração o
+// dataset fica marcado (entry.building): as requisições recebem 503 e o observador do
+// diretório não o reabre. O handle é reaberto ao final para que as leituras os usem.
+async function buildOverviews(entry, options = {}, onProgress = null) {
+  const { resampling, levels, external } = parseOverviewOptions(options);
+  const { info } = openDataset(entry);
+  const filePath = datasetFilePath(entry);
+  const factors = levels || defaultOverviewLevels(info.width, info.height);
+
+  if (!factors.length) {
+    return { levels: [], overviews: info.overviews };
+  }
+
+  // Fechar o handle atual (e o cache de tiles), pois o arquivo será substituído
+  entry.building = true;
+  closeDataset(entry);
+
+  try {
+    // Overviews internos exigem abrir o arquivo em modo de escrita;
+    // em modo somente leitura o GDAL grava um arquivo .ovr ao lado do GeoTIFF
+    const progress = onProgress ? { progress_cb: (complete) => onProgress(complete) } : undefined;
+    await buildInTempFile(filePath, !external && entry.type !== 'mosaic',
+      dataset => dataset.buildOverviewsAsync(resampling.toUpperCase(), factors, undefined, progress));
+  } finally {
+    entry.building = false;
+  }
+
+  const reopened = reloadDataset(entry);
+  return { levels: factors, overviews: reopened.info.overviews };
+}
+
+module.exports = {
+  OVERVIEW_RESAMPLING,
+  defaultOverviewLevels,
+  parseOverviewOptions,
+  buildOverviews
+};
@@ -0,0 +1,113 @@
+const proj4 = require('proj4');
+const gdal = require('gdal-async');
+const { getConfig, getDatasetConfig } = require('./config');
+const { logger } = require('./logger');
+
+// Projeção usada quando o GeoTIFF não informa a sua (projection.default na
+// configuração; por padrão UTM Zone 22S, comum no Brasil)
+const DEFAULT_PROJECTION = getConfig().projection.default;
+
+// Função para obter a projeção do dataset de forma segura
+function getSafeProjection(dataset) {
+  if (!dataset.srs) return null;
+
+  // Tentar obter a projeção como string WKT
+  try {
+    return dataset.srs.toWKT();
+  } catch (error) {
+    logger.error('Erro ao obter WKT da projeção', { error });
+  }
+
+  // Fallback para a projeção padrão
+  return DEFAULT_PROJECTION;
+}
+
+// Função para obter o código de autoridade (ex.: EPSG:31982) do dataset, se houver
+function getAuthorityCode(dataset) {
+  if (!dataset.srs) return null;
+
+  try {
+    const srs = dataset.srs.clone();
+    try {
+      srs.autoIdentifyEPSG();
+    } catch (error) {
+      // Nem todas as projeções são identificáveis; seguimos com o que o arquivo informa
+    }
+    const name = srs.getAuthorityName(null);
+    const code = srs.getAuthorityCode(null);
+    return name && code ? `${name}:${code}` : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Função para converter os limites nativos do dataset para WGS84
+function boundsToWgs84(projection, bounds) {
+  const nw = proj4(projection, 'EPSG:4326', [bounds.minX, bounds.maxY]);
+  const se = proj4(projection, 'EPSG:4326', [bounds.maxX, bounds.minY]);
+  return {
+    northwest: { lon: nw[0], lat: nw[1] },
+    southeast: { lon: se[0], lat: se[1] }
+  };
+}
+
+// Função para transformar um retângulo entre projeções. As bordas são amostradas
+// em vários pontos porque a reprojeção não preserva retas.
+function transformBounds(fromProjection, toProjection, { minX, minY, maxX, maxY }, steps = 20) {
+  const converter = proj4(fromProjection, toProjection);
+  const result = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    const edgePoints = [
+      [minX + (maxX - minX) * t, minY],
+      [minX + (maxX - minX) * t, maxY],
+      [minX, minY + (maxY - minY) * t],
+      [maxX, minY + (maxY - minY) * t]
+    ];
+    for (const point of edgePoints) {
+      const [x, y] = converter.forward(point);
+      result.minX = Math.min(result.minX, x);
+      result.minY = Math.min(result.minY, y);
+      result.maxX = Math.max(result.maxX, x);
+      result.maxY = Math.max(result.maxY, y);
+    }
+  }
+  return result;
+}
+
+// Função para converter um ponto WGS84 (lon, lat) para a projeção nativa do dataset
+function wgs84ToProjection(projection, lon, lat) {
+  const [x, y] = proj4('EPSG:4326', projection, [lon, lat]);
+  return { x, y };
+}
+
+// Função para obter a projeção assumida para um arquivo sem CRS: a indicada para o
+// dataset na configuração (datasets.<id>.crs) ou a projeção padrão
+function fallbackProjection(datasetId) {
+  const { crs } = getDatasetConfig(datasetId);
+  return crs ? crsToProj4(crs) : DEFAULT_PROJECTION;
+}
+
+// Função para converter um identificador de CRS (EPSG:xxxx, URN OGC, WKT, ...) em
+// uma definição aceita pelo proj4. Sem CRS informado, assume WGS84 (lon, lat).
+function crsToProj4(crs) {
+  if (!crs || /^(EPSG:4326|CRS:84|OGC:CRS84|urn:ogc:def:crs:(OGC:1\.3:CRS84|EPSG::4326))$/i.test(String(crs).trim())) {
+    return 'EPSG:4326';
+  }
+  try {
+    return gdal.SpatialReference.fromUserInput(String(crs).trim()).toProj4();
+  } catch (error) {
+    throw new Error(`CRS desconhecido: ${crs}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_PROJECTION,
+  getSafeProjection,
+  getAuthorityCode,
+  boundsToWgs84,
+  transformBounds,
+  wgs84ToProjection,
+  crsToProj4,
+  fallbackProjection
+};
@@ -0,0 +1,79 @@
+const { getConfig } = require('./config');
+const { sendApiError } = require('./errors');
+
+// Limite de requisições (seção "rateLimit" da configuração, ver config.js)
+//   RATE_LIMIT_WINDOW   rateLimit.window  duração da janela em segundos (padrão: 60)
+//   RATE_LIMIT_PER_KEY  rateLimit.perKey  requisições por janela para cada chave de API
+//                                         (padrão: 12000; o rateLimit da chave tem prioridade)
+//   RATE_LIMIT_PER_IP   rateLimit.perIp   requisições por janela para cada IP (padrão: 3000)
+// Com null o limite correspondente fica desligado. Acima do limite a resposta é 429
+// com Retry-After. Os contadores ficam em memória, por processo.
+
+// Rotas que não contam no limite (verificações de vida e prontidão)
+const EXEMPT_PATHS = ['/health', '/ready'];
+
+// Contadores da janela atual, indexados por "ip:<endereço>" ou "key:<id>"
+const windows = new Map();
+
+// Função para contar uma requisição na janela de um cliente
+function consume(bucket, limit, windowMs) {
+  const now = Date.now();
+  let current = windows.get(bucket);
+  if (!current || current.resetAt <= now) {
+    current = { count: 0, resetAt: now + windowMs };
+    windows.set(bucket, current);
+  }
+  current.count++;
+  return {
+    allowed: current.count <= limit,
+    limit,
+    remaining: Math.max(0, limit - current.count),
+    resetAt: current.resetAt
+  };
+}
+
+// Função para descartar as janelas vencidas (executada a cada janela)
+function sweepWindows() {
+  const now = Date.now();
+  for (const [bucket, current] of windows) {
+    if (current.resetAt <= now) windows.delete(bucket);
+  }
+}
+setInterval(sweepWindows, getConfig().rateLimit.window * 1000).unref();
+
+// Função para aplicar um limite: informa os cabeçalhos RateLimit-* e responde 429
+// quando o cliente passou do limite. Retorna false se a requisição foi recusada.
+function applyLimit(res, bucket, limit, message) {
+  const result = consume(bucket, limit, getConfig().rateLimit.window * 1000);
+  const resetIn = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+  res.setHeader('RateLimit-Limit', String(result.limit));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  res.setHeader('RateLimit-Reset', String(resetIn));
+  if (result.allowed) return true;
+
+  res.setHeader('Retry-After', String(resetIn));
+  sendApiError(res, 'RATE_LIMITED', message);
+  return false;
+}
+
+// Middleware do limite por IP (antes da autenticação, para conter também
+// requisições sem chave)
+function limitByIp(req, res, next) {
+  const { perIp } = getConfig().rateLimit;
+  if (perIp === null || EXEMPT_PATHS.includes(req.path)) return next();
+  if (applyLimit(res, `ip:${req.ip}`, perIp, 'Limite de requisições excedido para este IP')) next();
+}
+
+// Middleware do limite por chave de API (depois da autenticação; URLs assinadas
+// contam na chave que as assinou)
+function limitByKey(req, res, next) {
+  if (!req.auth) return next();
+  const limit = req.auth.key.rateLimit || getConfig().rateLimit.perKey;
+  if (limit === null) return next();
+  if (applyLimit(res, `key:${req.auth.key.id}`, limit, 'Limite de requisições excedido para esta chave de API')) next();
+}
+
+module.exports = {
+  limitByIp,
+  limitByKey
+};
@@ -0,0 +1,165 @@
+const { DEFAULT_RESAMPLING, parseResampling } = require('./warp');
+const { DEFAULT_STRETCH, parseStretch, stretchKey } = require('./stretch');
+const { parseExpression } = require('./expression');
+const { findColormap, parseRamp, toHexColor } = require('./colormaps');
+const { parseDem, demKey } = require('./dem');
+const { TILE_SIZE, TILE_SIZES } = require('./tile-grid');
+const { getConfig, getDatasetConfig } = require('./config');
+
+// Opções de renderização usadas quando a requisição não informa nenhuma
+const DEFAULT_RENDER_OPTIONS = {
+  resampling: DEFAULT_RESAMPLING,
+  stretch: DEFAULT_STRETCH,
+  bands: null,
+  expression: null,
+  colormap: null,
+  ramp: null,
+  nodata: null,
+  // Modo de elevação (relevo, sombreamento, declividade ou orientação; ver dem.js)
+  dem: null,
+  tileSize: TILE_SIZE,
+  // Formato da imagem (png, webp, jpeg); null usa o padrão do dataset
+  format: null
+};
+
+// Parâmetros que se excluem: informar um deles na requisição descarta o par inteiro
+// dos padrões da configuração
+const EXCLUSIVE_PARAMS = [['bands', 'expr'], ['colormap', 'ramp']];
+
+// Função para interpretar a lista de bandas (?bands=4,3,2 ou ?bands=1)
+function parseBands(value) {
+  const bands = String(value).split(',').map(band => Number(band.trim()));
+  if (![1, 3].includes(bands.length) || bands.some(band => !Number.isInteger(band) || band < 1)) {
+    throw new Error(`Parâmetro bands inválido: ${value} (informe 1 ou 3 bandas)`);
+  }
+  return bands;
+}
+
+// Função para interpretar o NoData informado na requisição (?nodata=0 ou ?nodata=nan)
+function parseNoData(value) {
+  if (String(value).toLowerCase() === 'nan') return NaN;
+  const nodata = Number(value);
+  if (value === '' || !Number.isFinite(nodata)) {
+    throw new Error(`Parâmetro nodata inválido: ${value}`);
+  }
+  return nodata;
+}
+
+// Função para interpretar as opções de renderização da query string.
+// Lança um erro com mensagem amigável quando algum parâmetro é inválido.
+function parseRenderOptions(query = {}) {
+  const resampling = parseResampling(query.resampling);
+  if (!resampling) {
+    throw new Error(`Reamostragem inválida: ${query.resampling}`);
+  }
+
+  const options = {
+    ...DEFAULT_RENDER_OPTIONS,
+    resampling,
+    stretch: parseStretch(query.stretch, query.gamma)
+  };
+
+  if (query.bands !== undefined && query.expr !== undefined) {
+    throw new Error('Use bands ou expr, não os dois');
+  }
+  if (query.bands !== undefined) {
+    options.bands = parseBands(query.bands);
+  }
+  if (query.expr !== undefined) {
+    options.expression = parseExpression(String(query.expr));
+  }
+
+  if (query.colormap !== undefined && query.ramp !== undefined) {
+    throw new Error('Use colormap ou ramp, não os dois');
+  }
+  if (query.colormap !== undefined) {
+    options.colormap = findColormap(String(query.colormap));
+    if (!options.colormap) {
+      throw new Error(`Colormap desconhecido: ${query.colormap}`);
+    }
+  }
+  if (query.ramp !== undefined) {
+    options.ramp = parseRamp(query.ramp);
+  }
+  if (query.nodata !== undefined) {
+    options.nodata = parseNoData(query.nodata);
+  }
+  options.dem = parseDem(query);
+  if (query.tileSize !== undefined) {
+    options.tileSize = Number(query.tileSize);
+    if (!TILE_SIZES.includes(options.tileSize)) {
+      throw new Error(`Parâmetro tileSize inválido: ${query.tileSize} (use ${TILE_SIZES.join(' ou ')})`);
+    }
+  }
+
+  // Paletas só se aplicam a uma banda ou a uma expressão
+  if ((options.colormap || options.ramp) && options.bands && options.bands.length === 3) {
+    throw new Error('Colormaps só podem ser aplicados a uma banda ou a uma expressão');
+  }
+
+  // Os modos de elevação usam uma única banda (a 1, se nenhuma for informada)
+  if (options.dem && (options.expression || (options.bands && options.bands.length === 3))) {
+    throw new Error('O parâmetro dem exige uma única banda (use bands=N, sem expr)');
+  }
+
+  return options;
+}
+
+// Função para completar a query com os padrões de renderização da configuração:
+// primeiro os globais (rendering), depois os do dataset (datasets.<id>.rendering)
+// e por fim os parâmetros da própria requisição
+function applyRenderDefaults(datasetId, query = {}) {
+  const defaults = { ...getConfig().rendering, ...getDatasetConfig(datasetId).rendering };
+  for (const group of EXCLUSIVE_PARAMS) {
+    if (group.some(name => query[name] !== undefined)) {
+      group.forEach(name => delete defaults[name]);
+    }
+  }
+  return { ...defaults, ...query };
+}
+
+// Função para conferir na inicialização os padrões de renderização da configuração,
+// para que um valor inválido não apareça só como erro 400 nas requisições
+function validateRenderDefaults() {
+  const ids = [null, ...Object.keys(getConfig().datasets)];
+  for (const id of ids) {
+    try {
+      parseRenderOptions(applyRenderDefaults(id));
+    } catch (error) {
+      const prefix = id === null ? 'rendering' : `datasets.${id}.rendering`;
+      throw new Error(`Configuração inválida em ${prefix}: ${error.message}`);
+    }
+  }
+}
+
+// Função para conferir as bandas pedidas contra as bandas existentes no dataset
+function validateRenderOptions(options, info) {
+  const requested = options.expression ? options.expression.bands : (options.bands || []);
+  const missing = requested.filter(band => band > info.bandCount);
+  if (missing.length) {
+    throw new Error(`Banda(s) ${missing.join(', ')} inexistente(s); o dataset tem ${info.bandCount} banda(s)`);
+  }
+}
+
+// Função para serializar as opções de renderização (usada na chave do cache de tiles)
+function renderOptionsKey(options) {
+  const parts = [options.resampling, stretchKey(options.stretch)];
+  if (options.bands) parts.push(`b${options.bands.join(',')}`);
+  if (options.expression) parts.push(`e${options.expression.source}`);
+  if (options.colormap) parts.push(`c${options.colormap.name}`);
+  if (options.ramp) parts.push(`r${options.ramp.map(stop => `${stop.value}:${toHexColor(stop.color)}`).join(',')}`);
+  if (options.nodata !== null) parts.push(`n${options.nodata}`);
+  if (options.dem) parts.push(demKey(options.dem));
+  if (options.tileSize !== TILE_SIZE) parts.push(`s${options.tileSize}`);
+  if (options.format && options.format !== 'png') parts.push(`f${options.format}`);
+  return parts.join('_');
+}
+
+module.exports = {
+  DEFAULT_RENDER_OPTIONS,
+  parseRenderOptions,
+  applyRenderDefaults,
+  validateRenderDefaults,
+  validateRenderOptions,
+  renderOptionsKey
+};
@@ -0,0 +1,314 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+const { addGdalReadBytes } = require('./metrics');
+const { createApiError } = require('./errors');
+const { getDatasetStatistics } = require('./stats');
+const { renderTile } = require('./tiles');
+const { renderChangeTile } = require('./change');
+const { renderStaticMap } = require('./static-map');
+const { renderMap } = require('./wms');
+
+// Pool de threads de renderização (seção "render" da configuração, ver config.js). Além
+// dos tiles, passam pelo pool os tiles de mudança, os mapas estáticos e o GetMap do WMS:
+// toda reprojeção e codificação sai da thread principal e respeita o limite da fila.
+//   RENDER_WORKERS    render.workers     quantidade de threads (padrão: núcleos - 1, no mínimo 1).
+//                                        Com 0 tudo é renderizado na thread principal.
+//   RENDER_MAX_QUEUE  render.maxQueue    renderizações aguardando uma thread livre (padrão: 64); além
+//                                        disso a requisição recebe 503 com Retry-After
+//                     render.retryAfter  segundos sugeridos no Retry-After (padrão: 2)
+const WORKER_SCRIPT = path.join(__dirname, 'render-worker.js');
+
+let pool = null;
+
+// Renderizações em andamento, indexadas pela chave do tile no cache
+const inFlight = new Map();
+
+// Função para criar o erro de uma renderização cancelada
+function createAbortError() {
+  const error = new Error('Renderização cancelada');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Função para criar o erro de fila cheia (responde 503 com Retry-After)
+function createBusyError() {
+  const error = createApiError('SERVER_BUSY', 'Servidor ocupado: muitas renderizações aguardando uma thread livre');
+  error.retryAfter = getConfig().render.retryAfter;
+  return error;
+}
+
+// Função para obter a quantidade de threads configurada
+function getPoolSize() {
+  const { workers } = getConfig().render;
+  if (workers !== null) return workers;
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+// Função para concluir uma tarefa (uma única vez) e soltar o ouvinte de cancelamento
+function settleTask(task, error, result) {
+  if (task.settled) return;
+  task.settled = true;
+  if (task.signal) {
+    task.signal.removeEventListener('abort', task.onAbort);
+  }
+  if (error) {
+    task.reject(error);
+  } else {
+    task.resolve(result);
+  }
+}
+
+// Função para entregar as tarefas da fila às threads livres
+function dispatchTasks() {
+  for (const slot of pool.slots) {
+    if (slot.task || !pool.queue.length) continue;
+    const task = pool.queue.shift();
+    slot.task = task;
+    task.slot = slot;
+    slot.worker.postMessage({ ...task.message, id: task.id });
+  }
+}
+
+// Função para iniciar uma thread do pool. Uma thread que termina inesperadamente
+// falha a tarefa em andamento e é substituída.
+function startWorker() {
+  const slot = { worker: new Worker(WORKER_SCRIPT), task: null };
+  // As threads não impedem o encerramento do processo
+  slot.worker.unref();
+
+  slot.worker.on('message', (message) => {
+    // Leituras do GDAL feitas na thread, somadas às métricas da thread principal
+    if (message.gdalReadBytes) addGdalReadBytes(message.gdalReadBytes);
+
+    const task = slot.task;
+    if (!task || task.id !== message.id) return;
+    slot.task = null;
+
+    if (message.error) {
+      const error = new Error(message.error.message);
+      error.name = message.error.name;
+      error.status = message.error.status;
+      error.code = message.error.code;
+      settleTask(task, error);
+    } else {
+      settleTask(task, null, message.buffer
+        ? Buffer.from(message.buffer.buffer, message.buffer.byteOffset, message.buffer.byteLength)
+        : null);
+    }
+    dispatchTasks();
+  });
+  slot.worker.on('error', (error) => {
+    logger.error('Erro em thread de renderização', { error });
+  });
+  slot.worker.on('exit', (code) => {
+    const task = slot.task;
+    slot.task = null;
+    if (task) {
+      settleTask(task, new Error(`Thread de renderização encerrada (código ${code})`));
+    }
+    const index = pool.slots.indexOf(slot);
+    if (index !== -1) {
+      pool.slots[index] = startWorker();
+    }
+    dispatchTasks();
+  });
+  return slot;
+}
+
+// Função para iniciar o pool (uma única vez). Retorna a quantidade de threads.
+function startRenderPool() {
+  if (!pool) {
+    pool = { slots: [], queue: [], nextId: 1 };
+    const size = getPoolSize();
+    for (let i = 0; i < size; i++) {
+      pool.slots.push(startWorker());
+    }
+  }
+  return pool.slots.length;
+}
+
+// Função para obter a ocupação do pool: threads, threads ocupadas e tiles na fila
+function getRenderPoolStats() {
+  if (!pool) return { workers: 0, busy: 0, queued: 0 };
+  return {
+    workers: pool.slots.length,
+    busy: pool.slots.filter(slot => slot.task).length,
+    queued: pool.queue.length
+  };
+}
+
+// Função para cancelar uma tarefa: na fila ela é descartada; em andamento a
+// thread é avisada e interrompe a renderização na próxima etapa
+function cancelTask(task) {
+  const index = pool.queue.indexOf(task);
+  if (index !== -1) {
+    pool.queue.splice(index, 1);
+  } else if (task.slot && task.slot.task === task) {
+    task.slot.worker.postMessage({ type: 'cancel', id: task.id });
+  }
+  settleTask(task, createAbortError());
+}
+
+// Função para enviar uma tarefa ao pool. Com todas as threads ocupadas e a fila
+// cheia, falha na hora com o erro 503.
+function runTask(message, signal) {
+  if (signal && signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+  const idle = pool.slots.some(slot => !slot.task);
+  if (!idle && pool.queue.length >= getConfig().render.maxQueue) {
+    return Promise.reject(createBusyError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const task = { id: pool.nextId++, message, resolve, reject, signal, slot: null, settled: false };
+    if (signal) {
+      task.onAbort = () => cancelTask(task);
+      signal.addEventListener('abort', task.onAbort, { once: true });
+    }
+    pool.queue.push(task);
+    dispatchTasks();
+  });
+}
+
+// Função para identificar um dataset para as threads, que têm o próprio catálogo
+// (ver resolveEntry em render-worker.js)
+function datasetRef(entry) {
+  return { datasetId: entry.id, filePath: entry.path, signature: entry.signature, mosaic: entry.mosaic };
+}
+
+// Função para enviar uma renderização ao pool, ou fazê-la aqui com o pool desligado
+// (renderLocally recebe o signal)
+async function renderInPool(entries, message, renderLocally, signal) {
+  startRenderPool();
+  if (!pool.slots.length) {
+    return renderLocally(signal);
+  }
+
+  // As estatísticas são calculadas uma vez aqui e gravadas ao lado do raster;
+  // as threads as leem do arquivo em vez de recalcular cada uma
+  for (const entry of entries) {
+    await getDatasetStatistics(entry);
+  }
+  return runTask(message, signal);
+}
+
+// Função para renderizar um tile em uma thread do pool. options são as opções já
+// interpretadas (usadas na thread principal quando o pool está desligado) e query os
+// parâmetros de origem, reinterpretados na thread. Retorna null fora do dataset.
+function renderTileInPool(entry, z, x, y, { query, options }, signal = null) {
+  return renderInPool([entry], {
+    type: 'tile',
+    ...datasetRef(entry),
+    z,
+    x,
+    y,
+    query,
+    tileSize: options.tileSize,
+    format: options.format
+  }, taskSignal => renderTile(entry, z, x, y, options, taskSignal), signal);
+}
+
+// Função para renderizar o tile de mudança entre duas datas em uma thread do pool
+// (query reinterpretada na thread, como nos tiles). Retorna null fora das datas.
+function renderChangeTileInPool(before, after, z, x, y, { query, options }, signal = null) {
+  return renderInPool([before, after], {
+    type: 'change',
+    before: datasetRef(before),
+    after: datasetRef(after),
+    z,
+    x,
+    y,
+    query,
+    tileSize: options.tileSize,
+    format: options.format
+  }, taskSignal => renderChangeTile(before, after, z, x, y, options, taskSignal), signal);
+}
+
+// Função para desenhar um mapa estático em uma thread do pool. params e overlays são
+// os parâmetros de origem do mapa e das camadas, reinterpretados na thread.
+function renderStaticMapInPool(layers, { params, overlays, options }, signal = null) {
+  const entries = layers.map(layer => layer.entry);
+  return renderInPool(entries, {
+    type: 'static',
+    layers: entries.map(datasetRef),
+    params,
+    overlays
+  }, taskSignal => renderStaticMap(layers, options, taskSignal), signal);
+}
+
+// Função para desenhar o mapa de um GetMap do WMS em uma thread do pool. params são os
+// parâmetros KVP normalizados do pedido e query os originais (opções das camadas).
+function renderMapInPool(layers, { params, query, request }, signal = null) {
+  const entries = layers.map(layer => layer.entry);
+  return renderInPool(entries, {
+    type: 'map',
+    layers: entries.map(datasetRef),
+    params,
+    query
+  }, taskSignal => renderMap(layers, request, taskSignal), signal);
+}
+
+// Função para compartilhar uma renderização entre requisições idênticas simultâneas.
+// A primeira chama start(signal); as demais aguardam o mesmo resultado. A
+// renderização só é cancelada quando todas as requisições que a aguardam desistem.
+function coalesce(key, signal, start) {
+  let flight = inFlight.get(key);
+  if (!flight) {
+    const controller = new AbortController();
+    flight = { controller, waiters: 0 };
+    flight.promise = Promise.resolve()
+      .then(() => start(controller.signal))
+      .finally(() => {
+        if (inFlight.get(key) === flight) inFlight.delete(key);
+      });
+    // Evitar rejeição não tratada quando todos já desistiram
+    flight.promise.catch(() => {});
+    inFlight.set(key, flight);
+  }
+  flight.waiters++;
+
+  return new Promise((resolve, reject) => {
+    let done = false;
+    const onAbort = () => {
+      if (done) return;
+      done = true;
+      flight.waiters--;
+      if (!flight.waiters) {
+        if (inFlight.get(key) === flight) inFlight.delete(key);
+        flight.controller.abort();
+      }
+      reject(createAbortError());
+    };
+    if (signal) {
+      if (signal.aborted) return onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    flight.promise.then((result) => {
+      if (done) return;
+      done = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    }, (error) => {
+      if (done) return;
+      done = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      reject(error);
+    });
+  });
+}
+
+module.exports = {
+  startRenderPool,
+  getRenderPoolStats,
+  renderTileInPool,
+  renderChangeTileInPool,
+  renderStaticMapInPool,
+  renderMapInPool,
+  coalesce
+};
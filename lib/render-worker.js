@@ -0,0 +1,108 @@
+// Thread de renderização de tiles, tiles de mudança, mapas estáticos e GetMap do WMS
+// (ver render-pool.js). Cada thread tem o próprio
+// catálogo e, portanto, o próprio handle GDAL de cada dataset: tiles renderizados em
+// paralelo não disputam o mesmo handle.
+const path = require('path');
+const { parentPort } = require('worker_threads');
+
+// O cache de tiles fica na thread principal; aqui os caches do catálogo não são usados
+// e não podem apagar o cache em disco ao reabrir um dataset
+process.env.TILE_CACHE_BACKEND = 'memory';
+
+const { discoverDatasets, getDataset, openDataset, closeDataset } = require('./catalog');
+const { parseRenderOptions, applyRenderDefaults } = require('./render-options');
+const { renderTile } = require('./tiles');
+const { parseChangeOptions, renderChangeTile } = require('./change');
+const { parseStaticMapOptions, renderStaticMap } = require('./static-map');
+const { parseGetMap, renderMap } = require('./wms');
+const { takeGdalReadBytes } = require('./metrics');
+
+// Tarefas em andamento nesta thread, para o cancelamento
+const controllers = new Map();
+
+// Função para obter a entrada do dataset no catálogo desta thread. O arquivo é reaberto
+// quando a thread principal já viu uma versão mais nova que a aberta aqui. Uma versão
+// mais antiga na thread principal (esta thread abriu o arquivo depois de ele mudar,
+// antes do observador) não reabre: o arquivo em disco já é o aberto aqui. Um mosaico
+// é sempre aberto pelo VRT que a thread principal gerou (as threads não o geram).
+function resolveEntry({ datasetId, filePath, signature, mosaic }) {
+  let entry = getDataset(datasetId);
+  if (!entry || entry.path !== filePath) {
+    discoverDatasets(path.dirname(filePath));
+    entry = getDataset(datasetId);
+    if (!entry) {
+      throw new Error(`Dataset ${datasetId} não encontrado`);
+    }
+  }
+
+  if (entry.dataset) {
+    const stale = (signature && signature.mtime > entry.signature.mtime) ||
+      (entry.type === 'mosaic' && (!mosaic || entry.mosaic.vrtPath !== mosaic.vrtPath));
+    if (stale) closeDataset(entry);
+  }
+  if (!entry.dataset && entry.type === 'mosaic') {
+    entry.mosaic = mosaic;
+  }
+  openDataset(entry);
+  return entry;
+}
+
+// Função para renderizar um tile pedido pela thread principal. As opções chegam como
+// a query original, pois paletas e expressões (funções) não atravessam threads.
+async function renderTileTask(message, signal) {
+  const entry = resolveEntry(message);
+  const options = {
+    ...parseRenderOptions(applyRenderDefaults(entry.id, message.query)),
+    tileSize: message.tileSize,
+    format: message.format
+  };
+  return renderTile(entry, message.z, message.x, message.y, options, signal);
+}
+
+// Função para renderizar um tile de mudança entre duas datas
+async function renderChangeTask(message, signal) {
+  const before = resolveEntry(message.before);
+  const after = resolveEntry(message.after);
+  const options = { ...parseChangeOptions(message.query), tileSize: message.tileSize, format: message.format };
+  return renderChangeTile(before, after, message.z, message.x, message.y, options, signal);
+}
+
+// Função para obter as camadas de um mapa com as opções de renderização de cada dataset
+function resolveLayers(refs, query) {
+  return refs.map((ref) => {
+    const entry = resolveEntry(ref);
+    return { entry, options: parseRenderOptions(applyRenderDefaults(entry.id, query)) };
+  });
+}
+
+// Funções de cada tipo de tarefa enviada pela thread principal
+const TASKS = {
+  tile: renderTileTask,
+  change: renderChangeTask,
+  static: (message, signal) => renderStaticMap(resolveLayers(message.layers, message.params),
+    parseStaticMapOptions(message.params, message.overlays), signal),
+  map: (message, signal) => renderMap(resolveLayers(message.layers, message.query), parseGetMap(message.params), signal)
+};
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'cancel') {
+    const controller = controllers.get(message.id);
+    if (controller) controller.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(message.id, controller);
+  try {
+    const buffer = await TASKS[message.type](message, controller.signal);
+    parentPort.postMessage({ id: message.id, buffer, gdalReadBytes: takeGdalReadBytes() });
+  } catch (error) {
+    parentPort.postMessage({
+      id: message.id,
+      error: { name: error.name, message: error.message, status: error.status, code: error.code },
+      gdalReadBytes: takeGdalReadBytes()
+    });
+  } finally {
+    controllers.delete(message.id);
+  }
+});
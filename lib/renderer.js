@@ -0,0 +1,266 @@
+const sharp = require('sharp');
+const { openDataset } = require('./catalog');
+const { getDatasetStatistics, getExpressionStatistics } = require('./stats');
+const { resolveStretchRange, createStretchFunction } = require('./stretch');
+const { findColormap, parseHexColor, interpolateStops, buildLookupTable, toHexColor } = require('./colormaps');
+const { DEM_MARGIN, DEM_VALUE_RANGES, DEM_COLORMAPS, isTerrainMode, createCellSize, computeTerrain } = require('./dem');
+
+// Função para decidir o modo de renderização a partir das opções e das bandas do dataset:
+// composição RGB (3 bandas), banda única (cinza ou paleta), expressão ou terreno
+// (sombreamento, declividade ou orientação calculados de uma banda de elevação).
+function resolveRenderMode(options, info) {
+  if (options.expression) {
+    return { type: 'expression', bands: options.expression.bands };
+  }
+  if (isTerrainMode(options.dem)) {
+    return { type: 'terrain', bands: options.bands || [1] };
+  }
+  if (options.bands) {
+    return options.bands.length === 3
+      ? { type: 'rgb', bands: options.bands }
+      : { type: 'single', bands: options.bands };
+  }
+  // Sem bandas explícitas: RGB quando houver 3 bandas e nenhuma paleta, senão a banda 1
+  if (info.bandCount >= 3 && !options.colormap && !options.ramp) {
+    return { type: 'rgb', bands: [1, 2, 3] };
+  }
+  return { type: 'single', bands: [1] };
+}
+
+// Função para obter as estatísticas que alimentam o realce do valor renderizado
+async function getValueStatistics(entry, options, mode) {
+  if (mode.type === 'expression') {
+    return getExpressionStatistics(entry, options.expression);
+  }
+  const stats = await getDatasetStatistics(entry);
+  return stats.bands[mode.bands[0] - 1];
+}
+
+// Função para obter o realce do valor renderizado. Os valores de terreno têm intervalo
+// fixo (DEM_VALUE_RANGES), a menos que a requisição informe valores absolutos em ?stretch=.
+async function resolveValueStretch(entry, options, mode) {
+  if (mode.type === 'terrain') {
+    if (options.stretch.type === 'values') return { stretch: options.stretch, stats: null };
+    const [low, high] = DEM_VALUE_RANGES[options.dem.mode];
+    return { stretch: { ...options.stretch, type: 'values', low, high }, stats: null };
+  }
+  return { stretch: options.stretch, stats: await getValueStatistics(entry, options, mode) };
+}
+
+// Função para obter a paleta padrão (sem colormap nem ramp): a do modo de elevação ou cinza
+function defaultColormap(options) {
+  return findColormap(options.dem ? DEM_COLORMAPS[options.dem.mode] : 'greys');
+}
+
+// Função para criar o teste de NoData informado na requisição (null = sem teste)
+function createNoDataTest(nodata) {
+  if (nodata === null || nodata === undefined) return () => false;
+  if (Number.isNaN(nodata)) return (value) => Number.isNaN(value);
+  return (value) => value === nodata;
+}
+
+// Função para criar o renderizador de um dataset: informa quais bandas ler e
+// converte os valores lidos (indexados pelo número da banda) em pixels RGBA.
+// O alfa vem da máscara recebida (0 = sem dado) e do NoData da requisição.
+// Renderizadores com margin > 0 (terreno) recebem as bandas e o alfa com essa margem
+// de pixels em volta e a grade lida em paint(data, pixelCount, alpha, grid), onde
+// grid = { source, width, height, margin } (width e height sem a margem).
+async function createRenderer(entry, options) {
+  const { info } = openDataset(entry);
+  const mode = resolveRenderMode(options, info);
+  const isNoData = createNoDataTest(options.nodata);
+
+  if (mode.type === 'rgb') {
+    const stats = await getDatasetStatistics(entry);
+    const [stretch1, stretch2, stretch3] = mode.bands.map(band => createStretchFunction(options.stretch, stats.bands[band - 1]));
+    const [b1, b2, b3] = mode.bands;
+
+    return {
+      bands: mode.bands,
+      // Realce de saturação/brilho só faz sentido para imagens fotográficas
+      enhance: true,
+      paint(data, pixelCount, alpha = null) {
+        const rgbaData = Buffer.alloc(pixelCount * 4);
+        for (let i = 0; i < pixelCount; i++) {
+          const r = data[b1][i];
+          const g = data[b2][i];
+          const b = data[b3][i];
+          if (Number.isNaN(r) || Number.isNaN(g) || Number.isNaN(b) ||
+              (isNoData(r) && isNoData(g) && isNoData(b))) {
+            continue;
+          }
+          rgbaData[i * 4] = stretch1(r);
+          rgbaData[i * 4 + 1] = stretch2(g);
+          rgbaData[i * 4 + 2] = stretch3(b);
+          rgbaData[i * 4 + 3] = alpha ? alpha[i] : 255;
+        }
+        return rgbaData;
+      }
+    };
+  }
+
+  // Banda única ou expressão: calcular o valor de cada pixel
+  const valueAt = mode.type === 'expression'
+    ? (() => {
+      const pixel = [];
+      return (data, i) => {
+        for (const band of mode.bands) {
+          if (isNoData(data[band][i])) return NaN;
+          pixel[band] = data[band][i];
+        }
+        return options.expression.evaluate(pixel);
+      };
+    })()
+    : (data, i) => (isNoData(data[mode.bands[0]][i]) ? NaN : data[mode.bands[0]][i]);
+
+  // Rampa personalizada: cores definidas diretamente em valores absolutos
+  let colorAt;
+  if (options.ramp) {
+    colorAt = (value) => interpolateStops(options.ramp, value);
+  } else {
+    const { stretch, stats } = await resolveValueStretch(entry, options, mode);
+    const stretchValue = createStretchFunction(stretch, stats);
+    const lookupTable = buildLookupTable(options.colormap || defaultColormap(options));
+    colorAt = (value) => {
+      const index = stretchValue(value) * 3;
+      return [lookupTable[index], lookupTable[index + 1], lookupTable[index + 2]];
+    };
+  }
+
+  if (mode.type === 'terrain') {
+    const [band] = mode.bands;
+    return {
+      bands: mode.bands,
+      enhance: false,
+      margin: DEM_MARGIN,
+      paint(data, pixelCount, alpha = null, { source, width, height, margin }) {
+        // Elevações da grade com a margem; sem dado = NaN
+        const gridWidth = width + 2 * margin;
+        const gridHeight = height + 2 * margin;
+        const elevation = new Float64Array(gridWidth * gridHeight);
+        for (let i = 0; i < elevation.length; i++) {
+          const value = data[band][i];
+          elevation[i] = (alpha && alpha[i] === 0) || isNoData(value) ? NaN : value;
+        }
+        const cellSize = createCellSize(source, gridWidth, gridHeight);
+        const values = computeTerrain(elevation, { width, height, margin, cellSize }, options.dem);
+
+        const rgbaData = Buffer.alloc(pixelCount * 4);
+        for (let i = 0; i < pixelCount; i++) {
+          const value = values[i];
+          if (!Number.isFinite(value)) continue;
+          const gridIndex = (Math.floor(i / width) + margin) * gridWidth + (i % width) + margin;
+          const color = colorAt(value);
+          rgbaData[i * 4] = color[0];
+          rgbaData[i * 4 + 1] = color[1];
+          rgbaData[i * 4 + 2] = color[2];
+          rgbaData[i * 4 + 3] = alpha ? alpha[gridIndex] : 255;
+        }
+        return rgbaData;
+      }
+    };
+  }
+
+  return {
+    bands: mode.bands,
+    enhance: false,
+    paint(data, pixelCount, alpha = null) {
+      const rgbaData = Buffer.alloc(pixelCount * 4);
+      for (let i = 0; i < pixelCount; i++) {
+        // Valores inválidos (NoData, divisão por zero, ...) ficam transparentes
+        const value = valueAt(data, i);
+        if (!Number.isFinite(value)) continue;
+        const color = colorAt(value);
+        rgbaData[i * 4] = color[0];
+        rgbaData[i * 4 + 1] = color[1];
+        rgbaData[i * 4 + 2] = color[2];
+        rgbaData[i * 4 + 3] = alpha ? alpha[i] : 255;
+      }
+      return rgbaData;
+    }
+  };
+}
+
+// Função para descrever a legenda da renderização: intervalo de valores e cores
+async function describeLegend(entry, options) {
+  const { info } = openDataset(entry);
+  const mode = resolveRenderMode(options, info);
+
+  if (mode.type === 'rgb') {
+    const stats = await getDatasetStatistics(entry);
+    return {
+      type: 'rgb',
+      bands: mode.bands.map((band, i) => ({
+        band,
+        channel: ['red', 'green', 'blue'][i],
+        ...resolveStretchRange(options.stretch, stats.bands[band - 1])
+      }))
+    };
+  }
+
+  const source = mode.type === 'expression' ? { expression: options.expression.source } : { band: mode.bands[0] };
+  if (options.dem) source.dem = options.dem.mode;
+
+  if (options.ramp) {
+    return {
+      type: 'ramp',
+      ...source,
+      min: options.ramp[0].value,
+      max: options.ramp[options.ramp.length - 1].value,
+      stops: options.ramp.map(stop => ({ value: stop.value, color: toHexColor(stop.color) }))
+    };
+  }
+
+  const colormap = options.colormap || defaultColormap(options);
+  const { stretch, stats } = await resolveValueStretch(entry, options, mode);
+  const { low, high } = resolveStretchRange(stretch, stats);
+  const step = 1 / (colormap.colors.length - 1);
+  return {
+    type: 'colormap',
+    ...source,
+    colormap: colormap.name,
+    min: low,
+    max: high,
+    gamma: stretch.gamma,
+    stops: colormap.colors.map((color, i) => ({
+      value: low + (high - low) * Math.pow(i * step, stretch.gamma),
+      color: toHexColor(color)
+    }))
+  };
+}
+
+// Função para desenhar a legenda como uma barra de cores horizontal em PNG
+function renderLegendImage(legend, width = 256, height = 16) {
+  const stops = legend.stops.map(stop => ({
+    value: stop.value,
+    color: parseHexColor(stop.color)
+  }));
+  const rgbData = Buffer.alloc(width * height * 3);
+  for (let x = 0; x < width; x++) {
+    const value = legend.min + (legend.max - legend.min) * (x / Math.max(1, width - 1));
+    const color = interpolateStops(stops, value);
+    for (let y = 0; y < height; y++) {
+      const index = (y * width + x) * 3;
+      rgbData[index] = color[0];
+      rgbData[index + 1] = color[1];
+      rgbData[index + 2] = color[2];
+    }
+  }
+
+  return sharp(rgbData, {
+    raw: {
+      width,
+      height,
+      channels: 3
+    }
+  })
+  .png()
+  .toBuffer();
+}
+
+module.exports = {
+  resolveRenderMode,
+  createRenderer,
+  describeLegend,
+  renderLegendImage
+};
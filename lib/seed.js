@@ -0,0 +1,134 @@
+const { openDataset } = require('./catalog');
+const { getCachedTile, cacheTile, renderTile } = require('./tiles');
+const { tileRangeForBounds } = require('./tile-grid');
+const { renderOptionsKey } = require('./render-options');
+const { getDatasetEncoding, formatFromExtension } = require('./image-format');
+const { logger } = require('./logger');
+
+// Intervalo de zoom padrão da semeadura (o mesmo do visualizador)
+const DEFAULT_SEED_ZOOM = { minZoom: 10, maxZoom: 18 };
+
+// Função para interpretar um bbox "minLon,minLat,maxLon,maxLat" em WGS84
+function parseBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error(`bbox inválido: ${value} (use minLon,minLat,maxLon,maxLat)`);
+  }
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (minLon >= maxLon || minLat >= maxLat) {
+    throw new Error(`bbox inválido: ${value} (mínimos devem ser menores que os máximos)`);
+  }
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+// Função para interpretar um intervalo de zoom "10-18" (ou um único nível "14")
+function parseZoomRange(value) {
+  const parts = String(value).split('-').map(Number);
+  const [minZoom, maxZoom = minZoom] = parts;
+  if (parts.length > 2 || !Number.isInteger(minZoom) || !Number.isInteger(maxZoom) ||
+      minZoom < 0 || maxZoom > 24 || minZoom > maxZoom) {
+    throw new Error(`Intervalo de zoom inválido: ${value} (use, por exemplo, 10-18)`);
+  }
+  return { minZoom, maxZoom };
+}
+
+// Função para interpretar o formato dos tiles (png, webp, jpg)
+function parseTileFormat(value) {
+  const format = formatFromExtension(value);
+  if (!format) {
+    throw new Error(`Formato inválido: ${value} (use png, webp ou jpg)`);
+  }
+  return format.name;
+}
+
+// Função para completar as opções com o formato padrão do dataset (a chave do cache
+// inclui o formato). É o formato que o servidor usa nas URLs sem extensão sempre que o
+// Accept o aceita, como o de qualquer navegador (ver negotiateFormat em image-format.js)
+function resolveSeedOptions(entry, options) {
+  return { ...options, format: options.format || getDatasetEncoding(entry).format };
+}
+
+// Função para obter o bbox WGS84 do dataset inteiro
+function datasetBbox(entry) {
+  const { info } = openDataset(entry);
+  if (!info.wgs84Bounds) {
+    throw new Error(`Dataset ${entry.id} sem limites em WGS84; informe o bbox`);
+  }
+  const { northwest, southeast } = info.wgs84Bounds;
+  return {
+    minLon: Math.min(northwest.lon, southeast.lon),
+    maxLon: Math.max(northwest.lon, southeast.lon),
+    minLat: Math.min(northwest.lat, southeast.lat),
+    maxLat: Math.max(northwest.lat, southeast.lat)
+  };
+}
+
+// Função para percorrer todos os tiles de um bbox e intervalo de zoom
+function* iterateTiles(bbox, { minZoom, maxZoom }) {
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const range = tileRangeForBounds(bbox, z);
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        yield { z, x, y };
+      }
+    }
+  }
+}
+
+// Função para contar os tiles de um bbox e intervalo de zoom
+function countTiles(bbox, { minZoom, maxZoom }) {
+  let total = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    total += tileRangeForBounds(bbox, z).count;
+  }
+  return total;
+}
+
+// Função para pré-renderizar (semear) os tiles de um dataset no cache.
+// Tiles já existentes são mantidos, a menos que force seja verdadeiro.
+async function seedTiles(entry, { bbox, zoom, options, force = false, onProgress = null }) {
+  const area = bbox || datasetBbox(entry);
+  const zoomRange = zoom || DEFAULT_SEED_ZOOM;
+  const renderOptions = resolveSeedOptions(entry, options);
+  const variant = renderOptionsKey(renderOptions);
+  const total = countTiles(area, zoomRange);
+  const summary = { total, rendered: 0, cached: 0, empty: 0, failed: 0 };
+
+  let done = 0;
+  for (const { z, x, y } of iterateTiles(area, zoomRange)) {
+    const tile = { z, x, y, variant };
+    try {
+      if (!force && await getCachedTile(entry, tile)) {
+        summary.cached++;
+      } else {
+        const tileBuffer = await renderTile(entry, z, x, y, renderOptions);
+        if (tileBuffer) {
+          await cacheTile(entry, tile, tileBuffer);
+          summary.rendered++;
+        } else {
+          summary.empty++;
+        }
+      }
+    } catch (error) {
+      summary.failed++;
+      logger.error('Erro ao semear tile', { dataset: entry.id, tile: `${z}/${x}/${y}`, error: error.message });
+    }
+
+    done++;
+    if (onProgress) onProgress({ z, x, y, done, total });
+  }
+
+  return summary;
+}
+
+module.exports = {
+  DEFAULT_SEED_ZOOM,
+  parseBbox,
+  parseZoomRange,
+  parseTileFormat,
+  resolveSeedOptions,
+  datasetBbox,
+  iterateTiles,
+  countTiles,
+  seedTiles
+};
@@ -0,0 +1,429 @@
+const gdal = require('gdal-async');
+const sharp = require('sharp');
+const { renderRegion } = require('./tiles');
+const { getMercatorBounds, boundsIntersect } = require('./warp');
+const { DEFAULT_ENCODING, formatFromExtension, encodeRaster } = require('./image-format');
+const { ORIGIN_SHIFT, TILE_SIZE, MAX_ZOOM, lonLatToMercator, mercatorToLonLat } = require('./tile-grid');
+const { collectFeatures } = require('./geojson');
+const { escapeXml } = require('./ogc');
+
+// Mapas estáticos: uma única imagem georreferenciada (EPSG:3857) de uma área, com os
+// rasters renderizados como nos tiles e camadas GeoJSON desenhadas por cima.
+// A área vem de center=lon,lat e zoom (a mesma escala dos tiles) ou de
+// bbox=minLon,minLat,maxLon,maxLat; com bbox, largura e altura informadas, o bbox é
+// ampliado para a proporção da imagem, sem distorcê-la.
+// O estilo de cada feição vem das suas propriedades (nomes da simplestyle-spec):
+//   stroke, stroke-width, stroke-opacity    contorno de linhas e polígonos
+//   fill, fill-opacity                      preenchimento de polígonos
+//   marker-color, marker-size               pontos (small, medium ou large)
+//   label, label-color, label-size          texto no ponto ou no centro da feição
+
+// Tamanho máximo de cada lado da imagem e tamanho padrão
+const MAX_STATIC_SIZE = 4096;
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 600;
+
+// Quantidade máxima de feições desenhadas
+const MAX_OVERLAY_FEATURES = 10000;
+
+// Estilo padrão das feições: contornos amarelos sem preenchimento (talhões sobre a imagem)
+const DEFAULT_STYLE = {
+  stroke: '#ffcc00',
+  'stroke-width': 2,
+  'stroke-opacity': 1,
+  fill: '#ffcc00',
+  'fill-opacity': 0,
+  'marker-color': '#e53935',
+  'marker-size': 'medium',
+  'label-color': '#000000',
+  'label-size': 12
+};
+const COLOR_PROPERTIES = ['stroke', 'fill', 'marker-color', 'label-color'];
+const OPACITY_PROPERTIES = ['stroke-opacity', 'fill-opacity'];
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Raio dos marcadores de pontos, em pixels
+const MARKER_SIZES = { small: 4, medium: 6, large: 9 };
+
+// Profundidade dos arrays de coordenadas de cada tipo de geometria
+const GEOMETRY_DEPTHS = { Point: 0, MultiPoint: 1, LineString: 1, MultiLineString: 2, Polygon: 2, MultiPolygon: 3 };
+
+// Largura máxima da barra de escala, em pixels
+const SCALE_BAR_MAX_WIDTH = 150;
+
+// Função para interpretar um parâmetro booleano (true/false, 1/0)
+function parseBoolean(value, name) {
+  if (value === undefined || value === '') return false;
+  const normalized = String(value).toLowerCase();
+  if (normalized === 'true' || normalized === '1') return true;
+  if (normalized === 'false' || normalized === '0') return false;
+  throw new Error(`Parâmetro ${name} inválido: ${value} (use true ou false)`);
+}
+
+// Função para interpretar uma lista de números separados por vírgula
+function parseNumbers(value, count, name, usage) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== count || parts.some(part => !Number.isFinite(part))) {
+    throw new Error(`${name} inválido: ${value} (use ${usage})`);
+  }
+  return parts;
+}
+
+// Função para interpretar a largura ou a altura da imagem (null quando não informada)
+function parseSize(value, name) {
+  if (value === undefined || value === '') return null;
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_STATIC_SIZE) {
+    throw new Error(`Parâmetro ${name} inválido: ${value} (use de 1 a ${MAX_STATIC_SIZE})`);
+  }
+  return size;
+}
+
+// Função para calcular a área do mapa (limites em Web Mercator, resolução e tamanho)
+function resolveMapExtent(params) {
+  const hasCenter = params.center !== undefined;
+  if (hasCenter === (params.bbox !== undefined)) {
+    throw new Error('Informe center e zoom ou bbox (apenas um dos dois)');
+  }
+  let width = parseSize(params.width, 'width');
+  let height = parseSize(params.height, 'height');
+
+  if (hasCenter) {
+    const [lon, lat] = parseNumbers(params.center, 2, 'center', 'lon,lat');
+    if (lon < -180 || lon > 180 || lat < -90 || lat > 90) {
+      throw new Error(`center inválido: ${params.center} (fora dos limites WGS84)`);
+    }
+    const zoom = Number(params.zoom);
+    if (params.zoom === undefined || !Number.isFinite(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      throw new Error(`Parâmetro zoom inválido: ${params.zoom} (use de 0 a ${MAX_ZOOM})`);
+    }
+    width = width || DEFAULT_WIDTH;
+    height = height || DEFAULT_HEIGHT;
+    const resolution = 2 * ORIGIN_SHIFT / (TILE_SIZE * Math.pow(2, zoom));
+    const [x, y] = lonLatToMercator(lon, lat);
+    return { width, height, resolution, center: [x, y] };
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = parseNumbers(params.bbox, 4, 'bbox', 'minLon,minLat,maxLon,maxLat');
+  if (minLon >= maxLon || minLat >= maxLat) {
+    throw new Error(`bbox inválido: ${params.bbox} (mínimos devem ser menores que os máximos)`);
+  }
+  const [minX, minY] = lonLatToMercator(minLon, minLat);
+  const [maxX, maxY] = lonLatToMercator(maxLon, maxLat);
+  const spanX = maxX - minX;
+  const spanY = maxY - minY;
+  const clampSize = size => Math.max(1, Math.min(MAX_STATIC_SIZE, Math.round(size)));
+  if (!width && !height) width = DEFAULT_WIDTH;
+  if (!height) height = clampSize(width * spanY / spanX);
+  if (!width) width = clampSize(height * spanX / spanY);
+
+  return {
+    width,
+    height,
+    resolution: Math.max(spanX / width, spanY / height),
+    center: [(minX + maxX) / 2, (minY + maxY) / 2]
+  };
+}
+
+// Função para verificar se as coordenadas têm a profundidade do tipo de geometria
+function checkCoordinates(value, depth) {
+  if (depth === 0) {
+    return Array.isArray(value) && value.length >= 2 && Number.isFinite(value[0]) && Number.isFinite(value[1]);
+  }
+  return Array.isArray(value) && value.every(item => checkCoordinates(item, depth - 1));
+}
+
+// Função para validar a geometria de uma feição da sobreposição
+function validateGeometry(geometry, prefix) {
+  if (!geometry) {
+    throw new Error(`${prefix}: feição sem geometria`);
+  }
+  if (geometry.type === 'GeometryCollection' && Array.isArray(geometry.geometries)) {
+    geometry.geometries.forEach(item => validateGeometry(item, prefix));
+    return;
+  }
+  const depth = GEOMETRY_DEPTHS[geometry.type];
+  if (depth === undefined) {
+    throw new Error(`${prefix}: geometria ${geometry.type} não suportada`);
+  }
+  if (!checkCoordinates(geometry.coordinates, depth)) {
+    throw new Error(`${prefix}: coordenadas inválidas para ${geometry.type}`);
+  }
+}
+
+// Função para obter o estilo de uma feição a partir das suas propriedades
+function parseFeatureStyle(properties, prefix) {
+  const style = { ...DEFAULT_STYLE };
+  for (const name of Object.keys(DEFAULT_STYLE)) {
+    const value = properties[name];
+    if (value === undefined || value === null) continue;
+
+    if (COLOR_PROPERTIES.includes(name)) {
+      if (!COLOR_PATTERN.test(value)) {
+        throw new Error(`${prefix}.${name}: cor inválida: ${value} (use #rgb ou #rrggbb)`);
+      }
+      style[name] = value;
+    } else if (name === 'marker-size') {
+      if (!MARKER_SIZES[value]) {
+        throw new Error(`${prefix}.marker-size: inválido: ${value} (use ${Object.keys(MARKER_SIZES).join(', ')})`);
+      }
+      style[name] = value;
+    } else {
+      const number = Number(value);
+      const max = OPACITY_PROPERTIES.includes(name) ? 1 : 100;
+      if (!Number.isFinite(number) || number < 0 || number > max) {
+        throw new Error(`${prefix}.${name}: inválido: ${value} (use de 0 a ${max})`);
+      }
+      style[name] = number;
+    }
+  }
+  return style;
+}
+
+// Função para interpretar as camadas GeoJSON sobrepostas (Feature ou FeatureCollection
+// em WGS84, como objeto ou texto JSON)
+function parseOverlays(value) {
+  if (value === undefined || value === null || value === '') return [];
+  let geojson = value;
+  if (typeof value === 'string') {
+    try {
+      geojson = JSON.parse(value);
+    } catch (error) {
+      throw new Error(`overlays inválido: ${error.message}`);
+    }
+  }
+
+  const features = collectFeatures(geojson);
+  if (features.length > MAX_OVERLAY_FEATURES) {
+    throw new Error(`overlays com feições demais: ${features.length} (máximo ${MAX_OVERLAY_FEATURES})`);
+  }
+  return features.map((feature, index) => {
+    const prefix = `overlays.features[${index}]`;
+    validateGeometry(feature && feature.geometry, prefix);
+    const properties = feature.properties || {};
+    const label = properties.label;
+    return {
+      geometry: feature.geometry,
+      style: parseFeatureStyle(properties, `${prefix}.properties`),
+      label: label === undefined || label === null || label === '' ? null : String(label)
+    };
+  });
+}
+
+// Função para interpretar e validar as opções do mapa estático. Os parâmetros chegam
+// como texto (query ou campos do corpo); as sobreposições, como GeoJSON.
+function parseStaticMapOptions(params, overlays) {
+  const format = formatFromExtension(params.format || 'png');
+  if (!format) {
+    throw new Error(`Formato inválido: ${params.format} (use png, jpg ou webp)`);
+  }
+
+  const { width, height, resolution, center } = resolveMapExtent(params);
+  return {
+    format,
+    width,
+    height,
+    resolution,
+    bounds: {
+      minX: center[0] - width / 2 * resolution,
+      maxX: center[0] + width / 2 * resolution,
+      minY: center[1] - height / 2 * resolution,
+      maxY: center[1] + height / 2 * resolution
+    },
+    overlays: parseOverlays(overlays),
+    scaleBar: parseBoolean(params.scaleBar, 'scaleBar'),
+    northArrow: parseBoolean(params.northArrow, 'northArrow'),
+    worldFile: parseBoolean(params.worldFile, 'worldFile')
+  };
+}
+
+// Função para verificar se o mapa intersecta a imagem de um dataset
+function staticMapIntersects(entry, options) {
+  return boundsIntersect(options.bounds, getMercatorBounds(entry));
+}
+
+// Função para converter uma coordenada WGS84 para o pixel da imagem
+function toPixel(options, position) {
+  const [x, y] = lonLatToMercator(position[0], position[1]);
+  return [
+    Math.round((x - options.bounds.minX) / options.resolution * 100) / 100,
+    Math.round((options.bounds.maxY - y) / options.resolution * 100) / 100
+  ];
+}
+
+// Função para gerar o caminho SVG de uma linha ou anel (fechado nos polígonos)
+function pathData(options, positions, close) {
+  const commands = positions.map((position, i) => `${i ? 'L' : 'M'}${toPixel(options, position).join(' ')}`);
+  return commands.join('') + (close ? 'Z' : '');
+}
+
+// Função para listar as coordenadas de uma geometria (para posicionar o rótulo)
+function geometryPositions(geometry) {
+  if (geometry.type === 'GeometryCollection') {
+    return geometry.geometries.flatMap(geometryPositions);
+  }
+  return [geometry.coordinates].flat(GEOMETRY_DEPTHS[geometry.type]);
+}
+
+// Função para desenhar uma geometria em SVG com o estilo da feição
+function geometrySvg(options, geometry, style) {
+  const stroke = `stroke="${style.stroke}" stroke-width="${style['stroke-width']}" stroke-opacity="${style['stroke-opacity']}" stroke-linejoin="round" stroke-linecap="round"`;
+  const marker = position => {
+    const [x, y] = toPixel(options, position);
+    return `<circle cx="${x}" cy="${y}" r="${MARKER_SIZES[style['marker-size']]}" fill="${style['marker-color']}" stroke="#ffffff" stroke-width="1.5"/>`;
+  };
+
+  switch (geometry.type) {
+    case 'Point':
+      return marker(geometry.coordinates);
+    case 'MultiPoint':
+      return geometry.coordinates.map(marker).join('');
+    case 'LineString':
+      return `<path d="${pathData(options, geometry.coordinates, false)}" fill="none" ${stroke}/>`;
+    case 'MultiLineString':
+      return `<path d="${geometry.coordinates.map(line => pathData(options, line, false)).join('')}" fill="none" ${stroke}/>`;
+    case 'Polygon':
+    case 'MultiPolygon': {
+      const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+      const d = polygons.flat().map(ring => pathData(options, ring, true)).join('');
+      return `<path d="${d}" fill="${style.fill}" fill-opacity="${style['fill-opacity']}" fill-rule="evenodd" ${stroke}/>`;
+    }
+    default:
+      return geometry.geometries.map(item => geometrySvg(options, item, style)).join('');
+  }
+}
+
+// Função para desenhar o rótulo de uma feição: acima do marcador nos pontos e no
+// centro do retângulo envolvente nas demais geometrias
+function labelSvg(options, feature) {
+  const { geometry, style, label } = feature;
+  let x;
+  let y;
+  if (geometry.type === 'Point') {
+    [x, y] = toPixel(options, geometry.coordinates);
+    y -= MARKER_SIZES[style['marker-size']] + 4;
+  } else {
+    const pixels = geometryPositions(geometry).map(position => toPixel(options, position));
+    const xs = pixels.map(pixel => pixel[0]);
+    const ys = pixels.map(pixel => pixel[1]);
+    x = (Math.min(...xs) + Math.max(...xs)) / 2;
+    y = (Math.min(...ys) + Math.max(...ys)) / 2 + style['label-size'] / 3;
+  }
+  return `<text x="${x}" y="${y}" font-family="sans-serif" font-size="${style['label-size']}" fill="${style['label-color']}" text-anchor="middle" stroke="#ffffff" stroke-width="3" stroke-linejoin="round" paint-order="stroke">${escapeXml(label)}</text>`;
+}
+
+// Função para formatar o comprimento da barra de escala
+function formatDistance(meters) {
+  return meters >= 1000 ? `${meters / 1000} km` : `${meters} m`;
+}
+
+// Função para desenhar a barra de escala no canto inferior esquerdo. A escala vale
+// para a latitude do centro do mapa (em Web Mercator ela varia com a latitude).
+function scaleBarSvg(options) {
+  const { bounds, resolution, height, width } = options;
+  const [, lat] = mercatorToLonLat((bounds.minX + bounds.maxX) / 2, (bounds.minY + bounds.maxY) / 2);
+  const metersPerPixel = resolution * Math.cos(lat * Math.PI / 180);
+
+  // Maior comprimento "redondo" (1, 2 ou 5 x 10^n metros) que cabe na largura máxima
+  const maxMeters = metersPerPixel * Math.min(SCALE_BAR_MAX_WIDTH, width / 3);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(maxMeters)));
+  const meters = Number(([5, 2, 1].find(factor => factor * magnitude <= maxMeters) * magnitude).toPrecision(1));
+  const barWidth = Math.round(meters / metersPerPixel);
+
+  const x = 12;
+  const y = height - 12;
+  return `<g>
+<rect x="${x - 6}" y="${y - 22}" width="${barWidth + 12}" height="28" fill="#ffffff" fill-opacity="0.7" rx="3"/>
+<path d="M${x} ${y - 6}V${y}H${x + barWidth}V${y - 6}" fill="none" stroke="#000000" stroke-width="2"/>
+<text x="${x}" y="${y - 9}" font-family="sans-serif" font-size="11" fill="#000000">${formatDistance(meters)}</text>
+</g>`;
+}
+
+// Função para desenhar a seta do norte no canto superior direito (em Web Mercator o
+// norte fica sempre para cima)
+function northArrowSvg(options) {
+  const x = options.width - 22;
+  const y = 10;
+  return `<g>
+<text x="${x}" y="${y + 12}" font-family="sans-serif" font-size="13" font-weight="bold" fill="#000000" text-anchor="middle" stroke="#ffffff" stroke-width="3" paint-order="stroke">N</text>
+<path d="M${x} ${y + 16}L${x + 8} ${y + 40}L${x} ${y + 34}L${x - 8} ${y + 40}Z" fill="#000000" stroke="#ffffff" stroke-width="1.5"/>
+</g>`;
+}
+
+// Função para montar o SVG das sobreposições (feições, rótulos, escala e norte).
+// Retorna null quando não há nada para desenhar.
+function buildOverlaySvg(options) {
+  const parts = [
+    ...options.overlays.map(feature => geometrySvg(options, feature.geometry, feature.style)),
+    ...options.overlays.filter(feature => feature.label !== null).map(feature => labelSvg(options, feature))
+  ];
+  if (options.scaleBar) parts.push(scaleBarSvg(options));
+  if (options.northArrow) parts.push(northArrowSvg(options));
+  if (!parts.length) return null;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${options.width}" height="${options.height}">
+${parts.join('\n')}
+</svg>`;
+}
+
+// Função para desenhar o mapa estático: os rasters (na ordem indicada, os seguintes por
+// cima) e as sobreposições. JPEG não tem transparência, então o fundo fica branco.
+// Com um AbortSignal, o desenho é interrompido entre as camadas.
+async function renderStaticMap(layers, options, signal = null) {
+  const { width, height, bounds, format } = options;
+  const srs = gdal.SpatialReference.fromEPSG(3857);
+  const images = [];
+  for (const { entry, options: renderOptions } of layers) {
+    if (signal) signal.throwIfAborted();
+    const buffer = await renderRegion(entry, { bounds, srs, width, height }, { ...renderOptions, format: 'png' });
+    images.push({ input: buffer });
+  }
+  if (signal) signal.throwIfAborted();
+  const svg = buildOverlaySvg(options);
+  if (svg) images.push({ input: Buffer.from(svg) });
+
+  // A composição é feita antes da codificação: no sharp, a remoção do alfa (JPEG)
+  // seria aplicada antes das camadas
+  const rgbaData = await sharp({
+    create: {
+      width,
+      height,
+      channels: 4,
+      background: { r: 255, g: 255, b: 255, alpha: format.transparency ? 0 : 1 }
+    }
+  })
+  .composite(images)
+  .raw()
+  .toBuffer();
+  const image = sharp(rgbaData, { raw: { width, height, channels: 4 } });
+  return encodeRaster(image, { ...DEFAULT_ENCODING, format: format.name }, false);
+}
+
+// Função para obter a geotransformação GDAL da imagem (EPSG:3857)
+function staticMapGeoTransform({ bounds, resolution }) {
+  return [bounds.minX, resolution, 0, bounds.maxY, 0, -resolution];
+}
+
+// Função para gerar o world file da imagem: tamanho do pixel e centro do pixel
+// superior esquerdo, em EPSG:3857
+function buildWorldFile({ bounds, resolution }) {
+  const lines = [resolution, 0, 0, -resolution, bounds.minX + resolution / 2, bounds.maxY - resolution / 2];
+  return `${lines.join('\n')}\n`;
+}
+
+// Função para obter a extensão do world file (primeira e última letra da extensão
+// da imagem mais "w": .pgw, .jgw, .wpw)
+function worldFileExtension(format) {
+  const { extension } = format;
+  return `${extension[0]}${extension[extension.length - 1]}w`;
+}
+
+module.exports = {
+  MAX_STATIC_SIZE,
+  parseStaticMapOptions,
+  staticMapIntersects,
+  renderStaticMap,
+  staticMapGeoTransform,
+  buildWorldFile,
+  worldFileExtension
+};
@@ -0,0 +1,256 @@
+const fs = require('fs');
+const { openDataset, fileSignature } = require('./catalog');
+const { logger } = require('./logger');
+const { trackGdalRead } = require('./metrics');
+
+// Tamanho máximo (lado maior) da amostra lida para as estatísticas.
+// A leitura reduzida faz o GDAL usar os overviews, então o cálculo é aproximado e rápido.
+const STATS_SAMPLE_SIZE = 1024;
+
+// Quantidade de classes do histograma de cada banda
+const HISTOGRAM_BINS = 256;
+
+// Versão do formato do arquivo de estatísticas persistido. A versão 2 passou a descartar
+// os pixels mascarados (banda alfa ou máscara interna), então as da versão 1 são refeitas.
+const STATS_VERSION = 2;
+
+// Função para obter o caminho do arquivo de estatísticas, gravado ao lado do raster
+function statsFilePath(entry) {
+  return `${entry.path}.stats.json`;
+}
+
+// Função para calcular o percentil p (0 a 100) de um vetor já ordenado
+function percentileOfSorted(sorted, p) {
+  if (!sorted.length) return null;
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Função para resumir um vetor de valores válidos: mínimo, máximo, média,
+// desvio padrão, percentis inteiros de 0 a 100 e histograma
+function summarizeValues(values, count) {
+  const sorted = values.subarray(0, count).sort();
+  if (!count) {
+    return { count: 0, min: null, max: null, mean: null, stdDev: null, percentiles: [], histogram: null };
+  }
+
+  const min = sorted[0];
+  const max = sorted[count - 1];
+  let sum = 0;
+  for (let i = 0; i < count; i++) {
+    sum += sorted[i];
+  }
+  const mean = sum / count;
+  let squares = 0;
+  for (let i = 0; i < count; i++) {
+    squares += (sorted[i] - mean) * (sorted[i] - mean);
+  }
+
+  // Percentis inteiros de 0 a 100; valores intermediários são interpolados na consulta
+  const percentiles = [];
+  for (let p = 0; p <= 100; p++) {
+    percentiles.push(percentileOfSorted(sorted, p));
+  }
+
+  // Histograma com classes de mesma largura entre o mínimo e o máximo
+  const counts = new Array(HISTOGRAM_BINS).fill(0);
+  const binWidth = (max - min) / HISTOGRAM_BINS || 1;
+  for (let i = 0; i < count; i++) {
+    counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((sorted[i] - min) / binWidth))]++;
+  }
+
+  return {
+    count,
+    min,
+    max,
+    mean,
+    stdDev: Math.sqrt(squares / count),
+    percentiles,
+    histogram: { min, max, bins: HISTOGRAM_BINS, counts }
+  };
+}
+
+// Função para calcular o tamanho da amostra reduzida usada nas estatísticas
+function sampleSize(info) {
+  const scale = Math.min(STATS_SAMPLE_SIZE / info.width, STATS_SAMPLE_SIZE / info.height, 1);
+  return {
+    width: Math.max(1, Math.round(info.width * scale)),
+    height: Math.max(1, Math.round(info.height * scale)),
+    approximate: scale < 1
+  };
+}
+
+// Função para ler a amostra reduzida de uma banda como Float64
+async function readBandSample(band, info, sample) {
+  return trackGdalRead(await band.pixels.readAsync(0, 0, info.width, info.height, undefined, {
+    buffer_width: sample.width,
+    buffer_height: sample.height,
+    data_type: 'Float64'
+  }));
+}
+
+// Função para ler a máscara de validade da banda (0 = sem dado) na mesma amostra. O
+// GDAL combina NoData, banda alfa e máscaras internas, como na renderização.
+async function readMaskSample(band, info, sample) {
+  return trackGdalRead(await band.getMaskBand().pixels.readAsync(0, 0, info.width, info.height, undefined, {
+    buffer_width: sample.width,
+    buffer_height: sample.height,
+    data_type: 'Byte'
+  }));
+}
+
+// Função para calcular as estatísticas de uma banda a partir de uma amostra reduzida
+async function computeBandStatistics(band, info, sample) {
+  const data = await readBandSample(band, info, sample);
+  const mask = await readMaskSample(band, info, sample);
+  const noData = band.noDataValue;
+
+  // Descartar NoData, pixels mascarados (ex.: bordas transparentes) e valores inválidos
+  const values = new Float64Array(data.length);
+  let count = 0;
+  for (let i = 0; i < data.length; i++) {
+    const value = data[i];
+    if (!mask[i] || Number.isNaN(value) || (noData !== null && value === noData)) continue;
+    values[count++] = value;
+  }
+
+  return { band: band.id, ...summarizeValues(values, count) };
+}
+
+// Função para calcular as estatísticas de todas as bandas do dataset
+async function computeDatasetStatistics(entry) {
+  const { dataset, info } = openDataset(entry);
+  const sample = sampleSize(info);
+
+  const bands = [];
+  for (let i = 1; i <= info.bandCount; i++) {
+    bands.push(await computeBandStatistics(dataset.bands.get(i), info, sample));
+  }
+
+  return {
+    version: STATS_VERSION,
+    file: fileSignature(entry),
+    sample,
+    bands
+  };
+}
+
+// Função para carregar as estatísticas persistidas, se ainda forem válidas para o arquivo
+function loadPersistedStatistics(entry) {
+  const statsPath = statsFilePath(entry);
+  if (!fs.existsSync(statsPath)) return null;
+
+  try {
+    const stats = JSON.parse(fs.readFileSync(statsPath, 'utf8'));
+    const signature = fileSignature(entry);
+    if (stats.version !== STATS_VERSION ||
+        stats.file.size !== signature.size || stats.file.mtime !== signature.mtime) {
+      return null;
+    }
+    return stats;
+  } catch (error) {
+    logger.error('Erro ao ler estatísticas', { dataset: entry.id, error });
+    return null;
+  }
+}
+
+// Função para gravar as estatísticas ao lado do arquivo raster
+function persistStatistics(entry, stats) {
+  try {
+    fs.writeFileSync(statsFilePath(entry), JSON.stringify(stats));
+  } catch (error) {
+    // Diretório somente leitura: as estatísticas continuam valendo em memória
+    logger.error('Erro ao gravar estatísticas', { dataset: entry.id, error });
+  }
+}
+
+// Função para obter as estatísticas do dataset, calculando-as uma única vez.
+// Requisições simultâneas compartilham o mesmo cálculo em andamento.
+function getDatasetStatistics(entry, { refresh = false } = {}) {
+  if (refresh) {
+    entry.stats = null;
+  }
+
+  if (!entry.stats) {
+    const promise = (async () => {
+      const persisted = refresh ? null : loadPersistedStatistics(entry);
+      if (persisted) return persisted;
+
+      const startTime = Date.now();
+      const stats = await computeDatasetStatistics(entry);
+      logger.info('Estatísticas calculadas', { dataset: entry.id, durationMs: Date.now() - startTime });
+      persistStatistics(entry, stats);
+      return stats;
+    })();
+    entry.stats = promise;
+
+    // Em caso de erro, permitir uma nova tentativa na próxima requisição
+    promise.catch(() => {
+      if (entry.stats === promise) entry.stats = null;
+    });
+  }
+
+  return entry.stats;
+}
+
+// Função para calcular as estatísticas de uma expressão de bandas (ex.: NDVI) sobre
+// a mesma amostra reduzida. O resultado fica em memória, por expressão.
+function getExpressionStatistics(entry, expression) {
+  if (!entry.expressionStats.has(expression.source)) {
+    const promise = (async () => {
+      const { dataset, info } = openDataset(entry);
+      const sample = sampleSize(info);
+
+      const data = [];
+      const masks = [];
+      const noData = [];
+      for (const bandIndex of expression.bands) {
+        const band = dataset.bands.get(bandIndex);
+        data[bandIndex] = await readBandSample(band, info, sample);
+        masks[bandIndex] = await readMaskSample(band, info, sample);
+        noData[bandIndex] = band.noDataValue;
+      }
+
+      const pixelCount = sample.width * sample.height;
+      const values = new Float64Array(pixelCount);
+      const pixel = [];
+      let count = 0;
+      for (let i = 0; i < pixelCount; i++) {
+        let valid = true;
+        for (const bandIndex of expression.bands) {
+          const value = data[bandIndex][i];
+          if (!masks[bandIndex][i] || Number.isNaN(value) || (noData[bandIndex] !== null && value === noData[bandIndex])) {
+            valid = false;
+            break;
+          }
+          pixel[bandIndex] = value;
+        }
+        if (!valid) continue;
+
+        const result = expression.evaluate(pixel);
+        if (Number.isFinite(result)) {
+          values[count++] = result;
+        }
+      }
+
+      return { expression: expression.source, sample, ...summarizeValues(values, count) };
+    })();
+    entry.expressionStats.set(expression.source, promise);
+
+    // Em caso de erro, permitir uma nova tentativa na próxima requisição
+    promise.catch(() => {
+      if (entry.expressionStats.get(expression.source) === promise) {
+        entry.expressionStats.delete(expression.source);
+      }
+    });
+  }
+
+  return entry.expressionStats.get(expression.source);
+}
+
+module.exports = {
+  getDatasetStatistics,
+  getExpressionStatistics
+};
@@ -0,0 +1,103 @@
+// Realce de contraste padrão: percentis 2 e 98 de cada banda, sem correção gama
+const DEFAULT_STRETCH = { type: 'percentile', low: 2, high: 98, gamma: 1 };
+
+// Função para interpretar os parâmetros de realce da requisição.
+// Formatos aceitos em ?stretch=: "minmax", "p2,p98" (percentis) ou "100,2000" (valores absolutos).
+function parseStretch(stretchParam, gammaParam) {
+  const stretch = { ...DEFAULT_STRETCH };
+
+  if (stretchParam !== undefined) {
+    const value = String(stretchParam).trim().toLowerCase();
+    if (value === 'minmax') {
+      stretch.type = 'minmax';
+      stretch.low = null;
+      stretch.high = null;
+    } else {
+      const parts = value.split(',');
+      if (parts.length !== 2) {
+        throw new Error(`Parâmetro stretch inválido: ${stretchParam}`);
+      }
+
+      const isPercentile = parts.every(part => part.startsWith('p'));
+      if (!isPercentile && parts.some(part => part.startsWith('p'))) {
+        throw new Error(`Parâmetro stretch inválido: ${stretchParam}`);
+      }
+
+      const [low, high] = parts.map(part => Number(isPercentile ? part.slice(1) : part));
+      if (!Number.isFinite(low) || !Number.isFinite(high) || low >= high ||
+          (isPercentile && (low < 0 || high > 100))) {
+        throw new Error(`Parâmetro stretch inválido: ${stretchParam}`);
+      }
+
+      stretch.type = isPercentile ? 'percentile' : 'values';
+      stretch.low = low;
+      stretch.high = high;
+    }
+  }
+
+  if (gammaParam !== undefined) {
+    const gamma = Number(gammaParam);
+    if (!Number.isFinite(gamma) || gamma <= 0 || gamma > 10) {
+      throw new Error(`Parâmetro gamma inválido: ${gammaParam}`);
+    }
+    stretch.gamma = gamma;
+  }
+
+  return stretch;
+}
+
+// Função para obter um percentil interpolando a tabela de percentis inteiros da banda
+function lookupPercentile(bandStats, p) {
+  const lower = Math.floor(p);
+  const upper = Math.ceil(p);
+  const a = bandStats.percentiles[lower];
+  const b = bandStats.percentiles[upper];
+  return a + (b - a) * (p - lower);
+}
+
+// Função para calcular o intervalo [low, high] de uma banda a partir das estatísticas globais
+function resolveStretchRange(stretch, bandStats) {
+  if (stretch.type === 'values') {
+    return { low: stretch.low, high: stretch.high };
+  }
+  if (!bandStats || !bandStats.count) {
+    return { low: 0, high: 255 };
+  }
+  if (stretch.type === 'minmax') {
+    return { low: bandStats.min, high: bandStats.max };
+  }
+  return {
+    low: lookupPercentile(bandStats, stretch.low),
+    high: lookupPercentile(bandStats, stretch.high)
+  };
+}
+
+// Função para criar a conversão linear (com gama) de valores da banda para 0-255.
+// O mesmo intervalo é usado em todos os tiles, evitando emendas entre tiles vizinhos.
+function createStretchFunction(stretch, bandStats) {
+  const { low, high } = resolveStretchRange(stretch, bandStats);
+  const range = high - low || 1;
+  const exponent = 1 / stretch.gamma;
+
+  return (value) => {
+    let t = (value - low) / range;
+    if (t <= 0) return 0;
+    if (t >= 1) return 255;
+    if (exponent !== 1) t = Math.pow(t, exponent);
+    return Math.round(t * 255);
+  };
+}
+
+// Função para serializar o realce (usada na chave do cache de tiles)
+function stretchKey(stretch) {
+  const range = stretch.type === 'minmax' ? 'minmax' : `${stretch.type}:${stretch.low},${stretch.high}`;
+  return `${range}:g${stretch.gamma}`;
+}
+
+module.exports = {
+  DEFAULT_STRETCH,
+  parseStretch,
+  resolveStretchRange,
+  createStretchFunction,
+  stretchKey
+};
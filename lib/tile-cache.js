@@ -0,0 +1,310 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { IMAGE_FORMATS, detectFormat } = require('./image-format');
+
+// Configuração do cache de tiles (seção "cache" da configuração, ver config.js)
+//   TILE_CACHE_BACKEND   cache.backend   memory (padrão) ou disk (diretório XYZ)
+//   TILE_CACHE_DIR       cache.directory diretório do cache em disco (padrão: ./cache/tiles)
+//   TILE_CACHE_MAX_TILES cache.maxTiles  quantidade máxima de tiles por dataset (padrão: 1000 em memória, 100000 em disco)
+//   TILE_CACHE_MAX_BYTES cache.maxBytes  tamanho máximo em bytes por dataset (padrão: sem limite)
+//   TILE_CACHE_EVICTION  cache.eviction  lru (padrão) ou fifo
+const CACHE_BACKENDS = ['memory', 'disk'];
+
+// Arquivo, na raiz do cache em disco de cada dataset, com a assinatura do arquivo de origem
+const SIGNATURE_FILE = 'signature.json';
+const EVICTION_POLICIES = ['lru', 'fifo'];
+
+// Intervalo mínimo entre releituras do diretório do cache em disco (tiles gravados por
+// outro processo, como o scripts/seed-tiles.js com o servidor no ar)
+const DISK_RESCAN_INTERVAL_MS = 60 * 1000;
+
+// Função para obter a configuração do cache; overrides têm prioridade sobre a configuração
+function getCacheConfig(overrides = {}) {
+  const settings = getConfig().cache;
+  const backend = overrides.backend || settings.backend;
+  if (!CACHE_BACKENDS.includes(backend)) {
+    throw new Error(`Backend de cache inválido: ${backend} (use ${CACHE_BACKENDS.join(' ou ')})`);
+  }
+
+  const eviction = overrides.eviction || settings.eviction;
+  if (!EVICTION_POLICIES.includes(eviction)) {
+    throw new Error(`Política de descarte inválida: ${eviction} (use ${EVICTION_POLICIES.join(' ou ')})`);
+  }
+
+  const maxTiles = Number(overrides.maxTiles || settings.maxTiles || (backend === 'disk' ? 100000 : 1000));
+  const maxBytes = Number(overrides.maxBytes || settings.maxBytes || Infinity);
+  if (!(maxTiles > 0) || !(maxBytes > 0)) {
+    throw new Error('Os limites de tiles e de bytes do cache devem ser positivos');
+  }
+
+  return {
+    backend,
+    eviction,
+    maxTiles,
+    maxBytes,
+    directory: overrides.directory || settings.directory,
+    // Extensão fixa dos arquivos em disco (ex.: pbf); sem ela, a do formato da imagem
+    extension: overrides.extension || null
+  };
+}
+
+// Função para gerar o identificador curto de uma variante de renderização
+// (opções serializadas), usado como nome de diretório no cache em disco
+function variantId(optionsKey) {
+  return crypto.createHash('sha1').update(optionsKey).digest('hex').slice(0, 12);
+}
+
+// Função para montar a chave interna de um tile
+function tileKey({ variant, z, x, y }) {
+  return `${variantId(variant)}/${z}/${x}/${y}`;
+}
+
+// Índice com política de descarte (LRU ou FIFO) e limites de quantidade e bytes.
+// O Map preserva a ordem de inserção; no LRU um acesso move a chave para o fim.
+function createEvictionIndex({ eviction, maxTiles, maxBytes }, onEvict) {
+  const sizes = new Map();
+  let totalBytes = 0;
+
+  return {
+    touch(key) {
+      if (eviction === 'lru' && sizes.has(key)) {
+        const size = sizes.get(key);
+        sizes.delete(key);
+        sizes.set(key, size);
+      }
+    },
+    add(key, size) {
+      if (sizes.has(key)) {
+        totalBytes -= sizes.get(key);
+        sizes.delete(key);
+      }
+      sizes.set(key, size);
+      totalBytes += size;
+
+      // Descartar os tiles mais antigos até respeitar os limites
+      while (sizes.size > maxTiles || totalBytes > maxBytes) {
+        const oldestKey = sizes.keys().next().value;
+        if (oldestKey === key) break;
+        this.remove(oldestKey);
+        onEvict(oldestKey);
+      }
+    },
+    remove(key) {
+      if (sizes.has(key)) {
+        totalBytes -= sizes.get(key);
+        sizes.delete(key);
+      }
+    },
+    clear() {
+      sizes.clear();
+      totalBytes = 0;
+    },
+    has(key) {
+      return sizes.has(key);
+    },
+    stats() {
+      return { tiles: sizes.size, bytes: totalBytes };
+    }
+  };
+}
+
+// Cache em memória (perdido ao reiniciar o servidor)
+function createMemoryCache(config) {
+  const tiles = new Map();
+  const index = createEvictionIndex(config, key => tiles.delete(key));
+
+  return {
+    backend: 'memory',
+    async get(tile) {
+      const key = tileKey(tile);
+      const buffer = tiles.get(key);
+      if (buffer) index.touch(key);
+      return buffer || null;
+    },
+    async set(tile, buffer) {
+      const key = tileKey(tile);
+      tiles.set(key, buffer);
+      index.add(key, buffer.length);
+    },
+    async clear() {
+      tiles.clear();
+      index.clear();
+    },
+    // Em memória o cache já começa vazio a cada inicialização
+    validate() {},
+    stats() {
+      return { backend: 'memory', ...index.stats() };
+    }
+  };
+}
+
+// Cache em disco, em diretórios XYZ: <dir>/<dataset>/<variante>/<z>/<x>/<y>.<extensão>,
+// com a extensão do formato identificado pelo conteúdo (png, webp ou jpg) ou a fixa
+// da configuração do cache (pbf nas camadas vetoriais).
+// O índice em memória é montado na primeira consulta a partir dos arquivos existentes.
+// Um tile fora do índice mas presente em disco (gravado por outro processo) faz o
+// diretório ser relido, no máximo a cada DISK_RESCAN_INTERVAL_MS, para que esses tiles
+// também contem nos limites e no descarte.
+// A assinatura do arquivo de origem fica em <dir>/<dataset>/signature.json (ver validate).
+function createDiskCache(config, datasetId) {
+  const root = path.join(config.directory, datasetId);
+  const knownExtensions = config.extension
+    ? [config.extension]
+    : Object.values(IMAGE_FORMATS).map(format => format.extension);
+  // Extensão do arquivo de cada tile indexado
+  const extensions = new Map();
+  const tilePath = (key, extension) => path.join(root, `${key}.${extension}`);
+  const forget = (key) => {
+    const extension = extensions.get(key);
+    extensions.delete(key);
+    return extension;
+  };
+  const index = createEvictionIndex(config, (key) => {
+    fs.promises.unlink(tilePath(key, forget(key))).catch(() => {});
+  });
+  let indexed = false;
+  let scannedAt = 0;
+
+  // Função para apagar a raiz do cache. Ela é renomeada na hora e removida em segundo
+  // plano, então o que for gravado em seguida (tiles, assinatura) não é apagado junto.
+  function removeRoot() {
+    if (!fs.existsSync(root)) return Promise.resolve();
+    const trashPath = `${root}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.removido`;
+    fs.renameSync(root, trashPath);
+    return fs.promises.rm(trashPath, { recursive: true, force: true });
+  }
+
+  // Função para acrescentar ao índice os tiles gravados que ele ainda não tem (mais
+  // antigos primeiro); os já indexados mantêm a posição no descarte
+  function scanFiles() {
+    scannedAt = Date.now();
+    if (!fs.existsSync(root)) return;
+
+    const files = [];
+    const walk = (dir) => {
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        const itemPath = path.join(dir, item.name);
+        if (item.isDirectory()) {
+          walk(itemPath);
+        } else {
+          const extension = path.extname(item.name).slice(1);
+          if (!knownExtensions.includes(extension)) continue;
+          const key = path.relative(root, itemPath).slice(0, -extension.length - 1).split(path.sep).join('/');
+          if (index.has(key)) continue;
+          files.push({ key, extension, stat: fs.statSync(itemPath) });
+        }
+      }
+    };
+    walk(root);
+    files.sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+    for (const file of files) {
+      extensions.set(file.key, file.extension);
+      index.add(file.key, file.stat.size);
+    }
+  }
+
+  // Função para montar o índice na primeira consulta
+  function ensureIndex() {
+    if (indexed) return;
+    indexed = true;
+    scanFiles();
+  }
+
+  // Função para indexar um tile que não está no índice mas existe em disco. Retorna
+  // false quando o arquivo não existe.
+  function indexFromDisk(key) {
+    const extension = knownExtensions.find(item => fs.existsSync(tilePath(key, item)));
+    if (!extension) return false;
+    if (Date.now() - scannedAt >= DISK_RESCAN_INTERVAL_MS) {
+      scanFiles();
+    }
+    if (!index.has(key)) {
+      extensions.set(key, extension);
+      index.add(key, fs.statSync(tilePath(key, extension)).size);
+    }
+    return index.has(key);
+  }
+
+  return {
+    backend: 'disk',
+    directory: root,
+    async get(tile) {
+      ensureIndex();
+      const key = tileKey(tile);
+      if (!index.has(key) && !indexFromDisk(key)) return null;
+      try {
+        const buffer = await fs.promises.readFile(tilePath(key, extensions.get(key)));
+        index.touch(key);
+        return buffer;
+      } catch (error) {
+        index.remove(key);
+        forget(key);
+        return null;
+      }
+    },
+    async set(tile, buffer) {
+      ensureIndex();
+      const key = tileKey(tile);
+      const extension = config.extension || detectFormat(buffer).extension;
+      const filePath = tilePath(key, extension);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // Gravar em arquivo temporário e renomear, para nunca servir um tile pela metade
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, filePath);
+      // O mesmo tile em outro formato (ex.: JPEG que passou a ter transparência) é substituído
+      const previous = extensions.get(key);
+      if (previous && previous !== extension) {
+        fs.promises.unlink(tilePath(key, previous)).catch(() => {});
+      }
+      extensions.set(key, extension);
+      index.add(key, buffer.length);
+    },
+    async clear() {
+      index.clear();
+      extensions.clear();
+      indexed = true;
+      await removeRoot();
+    },
+    // Função para descartar os tiles gravados para outra versão do arquivo de origem
+    // (ex.: raster trocado com o servidor parado) e registrar a versão atual
+    validate(signature) {
+      const signaturePath = path.join(root, SIGNATURE_FILE);
+      const current = JSON.stringify({ size: signature.size, mtime: signature.mtime });
+      let stored = null;
+      try {
+        stored = fs.readFileSync(signaturePath, 'utf8');
+      } catch (error) {
+        // Cache novo (ou sem assinatura): tratado como de outra versão
+      }
+      if (stored === current) return;
+
+      index.clear();
+      extensions.clear();
+      indexed = true;
+      removeRoot().catch(() => {});
+      fs.mkdirSync(root, { recursive: true });
+      fs.writeFileSync(signaturePath, current);
+    },
+    stats() {
+      ensureIndex();
+      return { backend: 'disk', directory: root, ...index.stats() };
+    }
+  };
+}
+
+// Função para criar o cache de tiles de um dataset com o backend configurado
+function createTileCache(datasetId, overrides = {}) {
+  const config = getCacheConfig(overrides);
+  return config.backend === 'disk'
+    ? createDiskCache(config, datasetId)
+    : createMemoryCache(config);
+}
+
+module.exports = {
+  getCacheConfig,
+  variantId,
+  createTileCache
+};
@@ -0,0 +1,112 @@
+// Grade de tiles XYZ (GoogleMapsCompatible / EPSG:3857)
+const { createApiError } = require('./errors');
+
+// Metade da circunferência da Terra em Web Mercator (EPSG:3857)
+const ORIGIN_SHIFT = 20037508.342789244;
+
+// Latitude máxima representável em Web Mercator
+const MAX_LATITUDE = 85.0511287798066;
+
+// Tamanho padrão dos tiles (em pixels) e tamanhos aceitos (512 = tiles de alta densidade, @2x)
+const TILE_SIZE = 256;
+const TILE_SIZES = [256, 512];
+
+// Zoom máximo aceito nas URLs de tiles
+const MAX_ZOOM = 24;
+
+// Função para calcular os limites de um tile XYZ em Web Mercator
+function tileBoundsMercator(z, x, y) {
+  const tileSpan = 2 * ORIGIN_SHIFT / Math.pow(2, z);
+  return {
+    minX: x * tileSpan - ORIGIN_SHIFT,
+    maxX: (x + 1) * tileSpan - ORIGIN_SHIFT,
+    minY: ORIGIN_SHIFT - (y + 1) * tileSpan,
+    maxY: ORIGIN_SHIFT - y * tileSpan
+  };
+}
+
+// Função para converter uma coordenada WGS84 para Web Mercator (a latitude é limitada
+// à faixa representável)
+function lonLatToMercator(lon, lat) {
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  return [
+    lon * ORIGIN_SHIFT / 180,
+    Math.log(Math.tan((90 + clampedLat) * Math.PI / 360)) * ORIGIN_SHIFT / Math.PI
+  ];
+}
+
+// Função para converter uma coordenada Web Mercator para WGS84
+function mercatorToLonLat(x, y) {
+  return [
+    x * 180 / ORIGIN_SHIFT,
+    (2 * Math.atan(Math.exp(y * Math.PI / ORIGIN_SHIFT)) - Math.PI / 2) * 180 / Math.PI
+  ];
+}
+
+// Função para obter o tile XYZ que contém uma coordenada WGS84
+function lonLatToTile(lon, lat, z) {
+  const n = Math.pow(2, z);
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const latRad = clampedLat * Math.PI / 180;
+  const x = Math.floor((lon + 180) / 360 * n);
+  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+  return {
+    x: Math.max(0, Math.min(n - 1, x)),
+    y: Math.max(0, Math.min(n - 1, y))
+  };
+}
+
+// Função para calcular o intervalo de tiles de um zoom que cobre um bbox WGS84
+function tileRangeForBounds({ minLon, minLat, maxLon, maxLat }, z) {
+  const topLeft = lonLatToTile(minLon, maxLat, z);
+  const bottomRight = lonLatToTile(maxLon, minLat, z);
+  return {
+    minX: topLeft.x,
+    maxX: bottomRight.x,
+    minY: topLeft.y,
+    maxY: bottomRight.y,
+    count: (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1)
+  };
+}
+
+// Função para interpretar as coordenadas z/x/y de um tile vindas da URL. Aceita só
+// inteiros sem sinal, com o zoom até MAX_ZOOM e x/y dentro da grade do zoom.
+function parseTileCoordinates(zValue, xValue, yValue) {
+  const parse = value => (/^\d+$/.test(String(value)) ? Number(value) : NaN);
+  const z = parse(zValue);
+  if (!Number.isInteger(z) || z > MAX_ZOOM) {
+    throw createApiError('INVALID_TILE_COORDINATES', `Zoom inválido: ${zValue} (use de 0 a ${MAX_ZOOM})`);
+  }
+
+  const max = Math.pow(2, z) - 1;
+  const x = parse(xValue);
+  const y = parse(yValue);
+  if (!Number.isInteger(x) || x > max) {
+    throw createApiError('INVALID_TILE_COORDINATES', `Coluna x inválida no zoom ${z}: ${xValue} (use de 0 a ${max})`);
+  }
+  if (!Number.isInteger(y) || y > max) {
+    throw createApiError('INVALID_TILE_COORDINATES', `Linha y inválida no zoom ${z}: ${yValue} (use de 0 a ${max})`);
+  }
+  return { z, x, y };
+}
+
+// Função para calcular o zoom (fracionário) em que um pixel do tile tem a resolução
+// informada, em metros de Web Mercator
+function zoomForResolution(resolution, tileSize = TILE_SIZE) {
+  return Math.log2(2 * ORIGIN_SHIFT / (tileSize * resolution));
+}
+
+module.exports = {
+  ORIGIN_SHIFT,
+  MAX_LATITUDE,
+  TILE_SIZE,
+  TILE_SIZES,
+  MAX_ZOOM,
+  zoomForResolution,
+  tileBoundsMercator,
+  lonLatToMercator,
+  mercatorToLonLat,
+  lonLatToTile,
+  parseTileCoordinates,
+  tileRangeForBounds
+};
@@ -0,0 +1,74 @@
+const { openDataset } = require('./catalog');
+const { getMercatorBounds } = require('./warp');
+const { ORIGIN_SHIFT, TILE_SIZE, zoomForResolution } = require('./tile-grid');
+const { getDatasetConfig } = require('./config');
+
+// Faixa de zoom anunciada aos clientes
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 24;
+
+// Função para limitar um zoom à faixa anunciada
+function clampZoom(zoom) {
+  return Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+}
+
+// Função para calcular a faixa de zoom útil de um dataset: o zoom mínimo é o primeiro
+// em que a imagem ocupa pelo menos um tile e o máximo é o primeiro em que um pixel
+// do tile fica menor que um pixel da imagem. Os limites de zoom da configuração do
+// dataset (datasets.<id>.minZoom/maxZoom) têm prioridade.
+function zoomRange(entry, tileSize) {
+  const { minZoom, maxZoom } = getDatasetConfig(entry.id);
+  if (minZoom !== null && maxZoom !== null) {
+    return { minzoom: minZoom, maxzoom: maxZoom };
+  }
+
+  const { info } = openDataset(entry);
+  const mercator = getMercatorBounds(entry);
+  const mercatorWidth = mercator.maxX - mercator.minX;
+  const mercatorHeight = mercator.maxY - mercator.minY;
+
+  const maxzoom = clampZoom(Math.ceil(zoomForResolution(mercatorWidth / info.width, tileSize)));
+  const extent = Math.max(mercatorWidth, mercatorHeight);
+  const minzoom = Math.min(maxzoom, clampZoom(Math.floor(Math.log2(2 * ORIGIN_SHIFT / extent))));
+  if (maxZoom !== null) {
+    return { minzoom: Math.min(minzoom, maxZoom), maxzoom: maxZoom };
+  }
+  if (minZoom !== null) {
+    return { minzoom: minZoom, maxzoom: Math.max(maxzoom, minZoom) };
+  }
+  return { minzoom, maxzoom };
+}
+
+// Função para gerar o documento TileJSON 3.0.0 de um dataset, para que clientes
+// (Leaflet, MapLibre, OpenLayers) configurem a camada sozinhos.
+// A busca (?bands=...&colormap=...) é repassada ao modelo de URL dos tiles.
+function buildTileJson(entry, { baseUrl, search = '', tileSize = TILE_SIZE }) {
+  const { info } = openDataset(entry);
+  const { minzoom, maxzoom } = zoomRange(entry, tileSize);
+
+  const tileJson = {
+    tilejson: '3.0.0',
+    name: entry.id,
+    scheme: 'xyz',
+    tiles: [`${baseUrl}/api/datasets/${encodeURIComponent(entry.id)}/tiles/{z}/{x}/{y}${search}`],
+    minzoom,
+    maxzoom,
+    tileSize
+  };
+
+  if (info.wgs84Bounds) {
+    const { northwest, southeast } = info.wgs84Bounds;
+    const west = Math.min(northwest.lon, southeast.lon);
+    const east = Math.max(northwest.lon, southeast.lon);
+    const south = Math.min(northwest.lat, southeast.lat);
+    const north = Math.max(northwest.lat, southeast.lat);
+    tileJson.bounds = [west, south, east, north];
+    tileJson.center = [(west + east) / 2, (south + north) / 2, Math.min(maxzoom, minzoom + 2)];
+  }
+
+  return tileJson;
+}
+
+module.exports = {
+  buildTileJson
+};
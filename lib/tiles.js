@@ -0,0 +1,197 @@
+const sharp = require('sharp');
+const { openDataset } = require('./catalog');
+const { getConfig } = require('./config');
+const { logger } = require('./logger');
+const { createRenderer } = require('./renderer');
+const { DEFAULT_RENDER_OPTIONS } = require('./render-options');
+const { TILE_SIZE, tileBoundsMercator } = require('./tile-grid');
+const { getDatasetEncoding, hasTransparency, encodeRaster } = require('./image-format');
+const { trackGdalRead } = require('./metrics');
+const {
+  getMercatorBounds,
+  boundsIntersect,
+  warpRegion,
+  warpTile
+} = require('./warp');
+
+// Função auxiliar para gerar um tile vazio (transparente)
+function createEmptyTile(tileSize = TILE_SIZE) {
+  return sharp({
+    create: {
+      width: tileSize,
+      height: tileSize,
+      channels: 4,
+      background: { r: 255, g: 255, b: 255, alpha: 0 }
+    }
+  })
+  .png()
+  .toBuffer();
+}
+
+// Função para consultar o cache de tiles do dataset.
+// O tile é identificado por { z, x, y, variant }, onde variant são as opções de renderização.
+function getCachedTile(entry, tile) {
+  return entry.tileCache.get(tile);
+}
+
+// Função para armazenar um tile no cache do dataset (o backend aplica os limites).
+// Uma falha ao gravar no cache não impede que o tile seja servido.
+async function cacheTile(entry, tile, tileBuffer) {
+  try {
+    await entry.tileCache.set(tile, tileBuffer);
+  } catch (error) {
+    logger.error('Erro ao gravar tile no cache', { dataset: entry.id, tile: `${tile.z}/${tile.x}/${tile.y}`, error });
+  }
+}
+
+// Função para ler as bandas indicadas como Float64 (para aceitar qualquer tipo de dado).
+// Os valores ficam indexados pelo número da banda.
+async function readBands(source, bandIndexes, readOptions = {}) {
+  const options = { ...readOptions, data_type: 'Float64' };
+  const data = [];
+  for (const bandIndex of bandIndexes) {
+    const band = source.bands.get(bandIndex);
+    data[bandIndex] = trackGdalRead(await band.pixels.readAsync(0, 0, band.size.x, band.size.y, undefined, options));
+  }
+  return data;
+}
+
+// Função para obter a codificação da imagem: o formato pedido (ou o padrão do
+// dataset) com a qualidade configurada para o dataset
+function resolveEncoding(entry, options) {
+  const encoding = getDatasetEncoding(entry);
+  return { ...encoding, format: options.format || encoding.format };
+}
+
+// Função para ler as bandas pedidas pelo renderizador e gerar a imagem (PNG, WebP
+// ou JPEG) com transparência. O realce vem das estatísticas do dataset inteiro,
+// então todos os tiles (e a prévia) usam o mesmo intervalo de contraste.
+// margin é a margem de pixels em volta da imagem que a origem tem (ver createRenderer).
+async function encodeImage(source, renderer, width, height, readOptions, alpha, encoding, margin = 0) {
+  const data = await readBands(source, renderer.bands, readOptions);
+  const rgbaData = renderer.paint(data, width * height, alpha, { source, width, height, margin });
+
+  // Processar a imagem com sharp
+  let image = sharp(rgbaData, {
+    raw: {
+      width,
+      height,
+      channels: 4
+    }
+  });
+  if (renderer.enhance) {
+    const { brightness, saturation } = getConfig().enhancement;
+    image = image.modulate({ brightness, saturation });
+  }
+  return encodeRaster(image, encoding, hasTransparency(rgbaData));
+}
+
+// Função para ler a máscara de validade (0 = sem dado, 255 = válido) das bandas
+// renderizadas. O GDAL combina NoData, banda alfa e máscaras internas do arquivo.
+async function readMask(dataset, bandIndexes, readOptions) {
+  const options = { ...readOptions, data_type: 'Byte' };
+  let mask = null;
+  for (const bandIndex of bandIndexes) {
+    const band = dataset.bands.get(bandIndex);
+    const bandMask = trackGdalRead(await band.getMaskBand().pixels.readAsync(0, 0, band.size.x, band.size.y, undefined, options));
+    if (!mask) {
+      mask = bandMask;
+    } else {
+      for (let i = 0; i < mask.length; i++) {
+        if (bandMask[i] < mask[i]) mask[i] = bandMask[i];
+      }
+    }
+  }
+  return mask;
+}
+
+// Função para ler o alfa de uma reprojeção: a última banda do resultado
+// (0 fora da imagem, no NoData e na máscara; 255 onde há dado)
+async function readWarpedAlpha(warped, width, height) {
+  const alphaBand = warped.bands.get(warped.bands.count());
+  return trackGdalRead(await alphaBand.pixels.readAsync(0, 0, width, height, undefined, { data_type: 'Byte' }));
+}
+
+// Função para renderizar o resultado de uma reprojeção (warpRegion/warpTile), feita
+// com a margem pedida pelo renderizador
+async function encodeWarped(warped, renderer, width, height, encoding) {
+  const margin = renderer.margin || 0;
+  try {
+    const alpha = await readWarpedAlpha(warped, width + 2 * margin, height + 2 * margin);
+    return await encodeImage(warped, renderer, width, height, {}, alpha, encoding, margin);
+  } finally {
+    warped.close();
+  }
+}
+
+// Função para renderizar um tile XYZ de um dataset do catálogo. Com tileSize 512
+// (tiles @2x) a mesma área é renderizada com o dobro de pixels por lado.
+// Retorna null quando o tile fica fora da área coberta pelo dataset. Com um
+// AbortSignal, a renderização é interrompida entre as etapas quando ele é abortado.
+async function renderTile(entry, z, x, y, options = DEFAULT_RENDER_OPTIONS, signal = null) {
+  const tileSize = options.tileSize || TILE_SIZE;
+
+  // Descartar tiles que não intersectam a imagem
+  if (!boundsIntersect(tileBoundsMercator(z, x, y), getMercatorBounds(entry))) {
+    return null;
+  }
+
+  // Reprojetar o tile pixel a pixel para EPSG:3857
+  const renderer = await createRenderer(entry, options);
+  if (signal) signal.throwIfAborted();
+  const warped = await warpTile(entry, z, x, y, tileSize, options, renderer.margin || 0);
+  if (signal && signal.aborted) {
+    warped.close();
+    signal.throwIfAborted();
+  }
+  return encodeWarped(warped, renderer, tileSize, tileSize, resolveEncoding(entry, options));
+}
+
+// Função para renderizar uma região qualquer (limites, tamanho e CRS de saída),
+// como no GetMap do WMS. O chamador verifica antes se a região intersecta a imagem.
+async function renderRegion(entry, { bounds, srs, width, height }, options = DEFAULT_RENDER_OPTIONS) {
+  const renderer = await createRenderer(entry, options);
+  const warped = await warpRegion(entry, {
+    bounds,
+    srs,
+    width,
+    height,
+    resampling: options.resampling,
+    nodata: options.nodata,
+    margin: renderer.margin || 0
+  });
+  return encodeWarped(warped, renderer, width, height, resolveEncoding(entry, options));
+}
+
+// Função para gerar uma prévia em baixa resolução do dataset inteiro
+async function renderPreview(entry, options = DEFAULT_RENDER_OPTIONS) {
+  const { dataset, info } = openDataset(entry);
+  const width = info.width;
+  const height = info.height;
+
+  // Definir uma resolução máxima para a prévia
+  const maxPreviewSize = 1024;
+  const scale = Math.min(maxPreviewSize / width, maxPreviewSize / height, 1);
+  const previewWidth = Math.max(1, Math.round(width * scale));
+  const previewHeight = Math.max(1, Math.round(height * scale));
+
+  // Ler as bandas já reduzidas ao tamanho da prévia; o GDAL escolhe o
+  // overview mais adequado em vez de ler a resolução completa
+  const readOptions = { buffer_width: previewWidth, buffer_height: previewHeight, resampling: 'average' };
+  const renderer = await createRenderer(entry, options);
+  const mask = await readMask(dataset, renderer.bands, readOptions);
+  return encodeImage(dataset, renderer, previewWidth, previewHeight, readOptions, mask, resolveEncoding(entry, options));
+}
+
+module.exports = {
+  TILE_SIZE,
+  createEmptyTile,
+  readBands,
+  readWarpedAlpha,
+  resolveEncoding,
+  getCachedTile,
+  cacheTile,
+  renderTile,
+  renderRegion,
+  renderPreview
+};
@@ -0,0 +1,78 @@
+const { listDatasets } = require('./catalog');
+
+// Padrão dos nomes de arquivo de uma série temporal: área e data do voo, como em
+// "Iturama-2019", "Iturama_2021-03" ou "Iturama-20220415"
+const DATED_ID_PATTERN = /^(.+?)[-_](\d{4})(?:[-_]?(\d{2}))?(?:[-_]?(\d{2}))?$/;
+
+// Função para extrair a área e a data (AAAA, AAAA-MM ou AAAA-MM-DD) do id de um dataset.
+// Retorna null quando o nome não segue o padrão.
+function parseDatasetDate(id) {
+  const match = DATED_ID_PATTERN.exec(id);
+  if (!match) return null;
+
+  const [, area, year, month, day] = match;
+  if (month && (Number(month) < 1 || Number(month) > 12)) return null;
+  if (day && (Number(day) < 1 || Number(day) > 31)) return null;
+  return {
+    area,
+    date: [year, month, day].filter(Boolean).join('-')
+  };
+}
+
+// Função para agrupar os datasets do catálogo em séries temporais por área.
+// As datas de cada série ficam em ordem cronológica.
+function listTimeSeries() {
+  const series = new Map();
+  for (const entry of listDatasets()) {
+    const parsed = parseDatasetDate(entry.id);
+    if (!parsed) continue;
+
+    const key = parsed.area.toLowerCase();
+    if (!series.has(key)) {
+      series.set(key, { area: parsed.area, datasets: [] });
+    }
+    series.get(key).datasets.push({ id: entry.id, date: parsed.date, entry });
+  }
+
+  const result = Array.from(series.values());
+  for (const item of result) {
+    item.datasets.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return result.sort((a, b) => a.area.localeCompare(b.area));
+}
+
+// Função para localizar a série temporal de uma área (sem diferenciar maiúsculas)
+function getTimeSeries(area) {
+  return listTimeSeries().find(series => series.area.toLowerCase() === String(area).toLowerCase()) || null;
+}
+
+// Função para resumir uma série temporal (sem as entradas do catálogo)
+function describeTimeSeries(series) {
+  return {
+    area: series.area,
+    dates: series.datasets.map(({ id, date }) => ({ id, date }))
+  };
+}
+
+// Função para localizar o dataset de uma data da série. Aceita a data completa,
+// um prefixo único ("2019" quando só há um voo em 2019) ou o id do dataset.
+function resolveSeriesDate(series, value) {
+  const text = String(value);
+  const exact = series.datasets.find(item => item.date === text || item.id === text);
+  if (exact) return exact;
+
+  const matches = series.datasets.filter(item => item.date.startsWith(text));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) {
+    throw new Error(`Data ambígua em ${series.area}: ${text} (${matches.map(item => item.date).join(', ')})`);
+  }
+  throw new Error(`Data ${text} não encontrada em ${series.area} (disponíveis: ${series.datasets.map(item => item.date).join(', ')})`);
+}
+
+module.exports = {
+  parseDatasetDate,
+  listTimeSeries,
+  getTimeSeries,
+  describeTimeSeries,
+  resolveSeriesDate
+};
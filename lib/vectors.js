@@ -0,0 +1,366 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const gdal = require('gdal-async');
+const { datasetIdFromFile, fileSignature, validateTileCache } = require('./catalog');
+const { transformBounds, boundsToWgs84, fallbackProjection } = require('./projection');
+const { tileBoundsMercator } = require('./tile-grid');
+const { getCacheConfig, createTileCache } = require('./tile-cache');
+const { logger } = require('./logger');
+
+// Extensões de arquivos vetoriais reconhecidas no diretório de dados (lidos pelo OGR).
+// Arquivos .json ficam de fora: são os auxiliares dos rasters (.stats.json, .settings.json).
+const VECTOR_EXTENSIONS = ['.geojson', '.shp', '.gpkg'];
+
+// Paginação da consulta de feições
+const DEFAULT_FEATURE_LIMIT = 1000;
+const MAX_FEATURE_LIMIT = 10000;
+
+// Margem em volta de cada vector tile (em unidades da grade de 4096 do MVT), para
+// que linhas e polígonos não mostrem emendas na borda dos tiles
+const MVT_EXTENT = 4096;
+const MVT_BUFFER = 80;
+
+// Operadores aceitos nos filtros de atributo (?filter=cultura=soja&filter=area>=10)
+const FILTER_PATTERN = /^([A-Za-z_][\w]*)\s*(>=|<=|!=|=|>|<|~)\s*(.*)$/;
+const NUMERIC_FIELD_TYPES = [gdal.OFTInteger, gdal.OFTInteger64, gdal.OFTReal];
+
+// Subdiretório do cache em disco com os vector tiles, separado dos caches dos rasters
+// (que ficam direto em cache.directory, um diretório por dataset)
+const VECTOR_CACHE_DIR = '_vectors';
+
+// Catálogo de camadas vetoriais indexado pelo id (nome do arquivo sem extensão)
+const vectorLayers = new Map();
+
+// Função para criar a entrada de uma camada vetorial no catálogo
+function createVectorEntry(id, filePath) {
+  return {
+    id,
+    path: filePath,
+    fileName: path.basename(filePath),
+    dataset: null,
+    layer: null,
+    info: null,
+    signature: null,
+    tileCache: createTileCache(id, {
+      directory: path.join(getCacheConfig().directory, VECTOR_CACHE_DIR),
+      extension: 'pbf'
+    })
+  };
+}
+
+// Função para descobrir os arquivos vetoriais do diretório de dados
+function discoverVectorLayers(dataPath) {
+  const files = fs.readdirSync(dataPath)
+    .filter(file => VECTOR_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .sort();
+
+  const found = new Set();
+  for (const file of files) {
+    let id = datasetIdFromFile(file);
+    // Evitar colisão de ids entre arquivos como "lotes.shp" e "lotes.gpkg"
+    for (let suffix = 2; found.has(id); suffix++) {
+      id = `${datasetIdFromFile(file)}_${suffix}`;
+    }
+    found.add(id);
+
+    const filePath = path.join(dataPath, file);
+    const existing = vectorLayers.get(id);
+    if (!existing || existing.path !== filePath) {
+      if (existing) closeVectorLayer(existing);
+      vectorLayers.set(id, createVectorEntry(id, filePath));
+    }
+  }
+
+  // Remover do catálogo os arquivos que não existem mais
+  for (const [id, entry] of vectorLayers) {
+    if (!found.has(id)) {
+      closeVectorLayer(entry);
+      vectorLayers.delete(id);
+    }
+  }
+
+  return listVectorLayers();
+}
+
+// Função para calcular os metadados de uma camada vetorial aberta. Sem CRS declarado
+// (shapefile sem .prj), vale a mesma projeção assumida dos rasters.
+function computeVectorInfo(id, layer) {
+  const extent = layer.getExtent();
+  const bounds = { minX: extent.minX, minY: extent.minY, maxX: extent.maxX, maxY: extent.maxY };
+  const projection = layer.srs ? layer.srs.toProj4() : fallbackProjection(id);
+
+  const info = {
+    layerName: layer.name,
+    geometryType: gdal.Geometry.getName(layer.geomType),
+    featureCount: layer.features.count(),
+    fields: Array.from(layer.fields).map(field => ({ name: field.name, type: field.type })),
+    projection,
+    bounds
+  };
+  try {
+    info.wgs84Bounds = boundsToWgs84(projection, bounds);
+  } catch (error) {
+    logger.error('Erro ao converter limites da camada para WGS84', { layer: id, error });
+  }
+  return info;
+}
+
+// Função para abrir (sob demanda) uma camada vetorial. Arquivos com várias
+// camadas (GeoPackage) publicam a primeira.
+function openVectorLayer(entry) {
+  if (!entry.dataset) {
+    if (!fs.existsSync(entry.path)) {
+      throw new Error(`Arquivo ${entry.fileName} não encontrado`);
+    }
+
+    entry.signature = fileSignature(entry);
+    entry.dataset = gdal.open(entry.path);
+    if (!entry.dataset.layers.count()) {
+      entry.dataset.close();
+      entry.dataset = null;
+      throw new Error(`Arquivo ${entry.fileName} não tem camadas vetoriais`);
+    }
+    entry.layer = entry.dataset.layers.get(0);
+    entry.info = computeVectorInfo(entry.id, entry.layer);
+    validateTileCache(entry);
+  }
+  return { layer: entry.layer, info: entry.info };
+}
+
+// Função para fechar o handle OGR e descartar o estado e os tiles de uma camada
+function closeVectorLayer(entry) {
+  if (entry.dataset) {
+    try {
+      entry.dataset.close();
+    } catch (error) {
+      logger.error('Erro ao fechar camada', { layer: entry.id, error });
+    }
+  }
+  entry.dataset = null;
+  entry.layer = null;
+  entry.info = null;
+  entry.signature = null;
+  entry.tileCache.clear().catch((error) => {
+    logger.error('Erro ao limpar o cache de tiles', { layer: entry.id, error });
+  });
+}
+
+// Função para reabrir uma camada cujo arquivo mudou
+function reloadVectorLayer(entry) {
+  closeVectorLayer(entry);
+  return openVectorLayer(entry);
+}
+
+function getVectorLayer(id) {
+  return vectorLayers.get(id) || null;
+}
+
+function listVectorLayers() {
+  return Array.from(vectorLayers.values());
+}
+
+// Função para localizar a camada de um arquivo do diretório de dados
+function findVectorLayerByPath(filePath) {
+  return listVectorLayers().find(entry => entry.path === filePath) || null;
+}
+
+// Função para resumir uma camada vetorial para a listagem
+function describeVectorLayer(entry) {
+  const { info } = openVectorLayer(entry);
+  return {
+    id: entry.id,
+    file: entry.fileName,
+    layer: info.layerName,
+    geometryType: info.geometryType,
+    featureCount: info.featureCount,
+    fields: info.fields,
+    bounds: info.bounds,
+    wgs84Bounds: info.wgs84Bounds || null
+  };
+}
+
+// Função para converter um filtro "campo<op>valor" em uma condição OGR SQL.
+// O campo precisa existir na camada e o valor é sempre citado, então a
+// requisição não consegue injetar SQL.
+function filterToSql(filter, fields) {
+  const match = FILTER_PATTERN.exec(String(filter));
+  if (!match) {
+    throw new Error(`Filtro inválido: ${filter} (use campo=valor, campo>=valor, campo~texto, ...)`);
+  }
+  const [, name, operator, value] = match;
+  const field = fields.find(item => item.name.toLowerCase() === name.toLowerCase());
+  if (!field) {
+    throw new Error(`Campo desconhecido no filtro: ${name} (campos: ${fields.map(item => item.name).join(', ')})`);
+  }
+
+  const column = `"${field.name}"`;
+  if (operator === '~') {
+    return `${column} LIKE '%${value.replace(/'/g, "''")}%'`;
+  }
+  if (NUMERIC_FIELD_TYPES.includes(field.type)) {
+    const number = Number(value);
+    if (value === '' || !Number.isFinite(number)) {
+      throw new Error(`Valor numérico inválido no filtro: ${filter}`);
+    }
+    return `${column} ${operator === '!=' ? '<>' : operator} ${number}`;
+  }
+  return `${column} ${operator === '!=' ? '<>' : operator} '${value.replace(/'/g, "''")}'`;
+}
+
+// Função para interpretar o bbox "minLon,minLat,maxLon,maxLat" em WGS84
+function parseFeatureBbox(value) {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error(`bbox inválido: ${value} (use minLon,minLat,maxLon,maxLat)`);
+  }
+  const [minX, minY, maxX, maxY] = parts;
+  if (minX >= maxX || minY >= maxY) {
+    throw new Error(`bbox inválido: ${value} (mínimos devem ser menores que os máximos)`);
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+// Função para interpretar um inteiro da paginação
+function parsePageInteger(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new Error(`Parâmetro ${name} inválido: ${value} (use de ${min} a ${max})`);
+  }
+  return number;
+}
+
+// Função para interpretar a consulta de feições: bbox em WGS84, filtros de
+// atributo (repetíveis, combinados com AND) e paginação (limit/offset).
+function parseFeatureQuery(query, info) {
+  const filters = query.filter === undefined ? [] : [].concat(query.filter);
+  const where = filters.map(filter => filterToSql(filter, info.fields));
+  return {
+    bbox: query.bbox !== undefined ? parseFeatureBbox(query.bbox) : null,
+    where: where.length ? where.join(' AND ') : null,
+    limit: query.limit !== undefined ? parsePageInteger(query.limit, 'limit', 1, MAX_FEATURE_LIMIT) : DEFAULT_FEATURE_LIMIT,
+    offset: query.offset !== undefined ? parsePageInteger(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER) : 0
+  };
+}
+
+// Função para aplicar os filtros espacial e de atributos na camada
+function applyLayerFilters(layer, info, { bbox, where }) {
+  if (bbox) {
+    const bounds = transformBounds('EPSG:4326', info.projection, bbox);
+    layer.setSpatialFilter(bounds.minX, bounds.minY, bounds.maxX, bounds.maxY);
+  } else {
+    layer.setSpatialFilter(null);
+  }
+  layer.setAttributeFilter(where);
+}
+
+// Função para consultar as feições de uma camada como GeoJSON (RFC 7946, em WGS84).
+// Retorna a página pedida com o total de feições encontradas.
+function queryFeatures(entry, options) {
+  const { layer, info } = openVectorLayer(entry);
+  applyLayerFilters(layer, info, options);
+
+  try {
+    const toWgs84 = new gdal.CoordinateTransformation(
+      layer.srs || gdal.SpatialReference.fromProj4(info.projection),
+      gdal.SpatialReference.fromProj4('+proj=longlat +datum=WGS84 +no_defs')
+    );
+
+    const features = [];
+    let matched = 0;
+    for (let feature = layer.features.first(); feature; feature = layer.features.next()) {
+      matched++;
+      if (matched <= options.offset || features.length >= options.limit) continue;
+
+      const geometry = feature.getGeometry();
+      if (geometry) {
+        geometry.transform(toWgs84);
+      }
+      features.push({
+        type: 'Feature',
+        id: feature.fid,
+        geometry: geometry ? geometry.toObject() : null,
+        properties: feature.fields.toObject()
+      });
+    }
+
+    return {
+      type: 'FeatureCollection',
+      numberMatched: matched,
+      numberReturned: features.length,
+      features
+    };
+  } finally {
+    // Não deixar filtros ativos no handle compartilhado
+    layer.setSpatialFilter(null);
+    layer.setAttributeFilter(null);
+  }
+}
+
+// Função para gerar um Mapbox Vector Tile com o driver MVT do GDAL/OGR: as feições
+// do tile (com margem) são reprojetadas para Web Mercator, recortadas e codificadas.
+// Retorna null quando o tile não tem feições.
+async function renderVectorTile(entry, z, x, y, { where = null } = {}) {
+  const { info } = openVectorLayer(entry);
+  const tileBounds = tileBoundsMercator(z, x, y);
+  const margin = (tileBounds.maxX - tileBounds.minX) * MVT_BUFFER / MVT_EXTENT;
+  const clip = [
+    tileBounds.minX - margin,
+    tileBounds.minY - margin,
+    tileBounds.maxX + margin,
+    tileBounds.maxY + margin
+  ].map(String);
+
+  const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'evolx-mvt-'));
+  // Cada tile usa um handle próprio: o ogr2ogr altera os filtros da camada de origem
+  const source = await gdal.openAsync(entry.path);
+  try {
+    const args = [
+      '-f', 'MVT',
+      '-t_srs', 'EPSG:3857',
+      '-spat', ...clip,
+      '-spat_srs', 'EPSG:3857',
+      '-clipdst', ...clip,
+      '-nln', entry.id,
+      '-dsco', `MINZOOM=${z}`,
+      '-dsco', `MAXZOOM=${z}`,
+      '-dsco', `EXTENT=${MVT_EXTENT}`,
+      '-dsco', `BUFFER=${MVT_BUFFER}`,
+      '-dsco', 'COMPRESS=NO'
+    ];
+    if (!source.layers.get(0).srs) {
+      args.push('-s_srs', info.projection);
+    }
+    if (where) {
+      args.push('-where', where);
+    }
+    args.push(info.layerName);
+
+    const outputDir = path.join(tempDir, 'tiles');
+    const output = await gdal.vectorTranslateAsync(outputDir, source, args);
+    output.close();
+
+    const tilePath = path.join(outputDir, String(z), String(x), `${y}.pbf`);
+    return fs.existsSync(tilePath) ? await fs.promises.readFile(tilePath) : null;
+  } finally {
+    source.close();
+    await fs.promises.rm(tempDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  VECTOR_EXTENSIONS,
+  DEFAULT_FEATURE_LIMIT,
+  MAX_FEATURE_LIMIT,
+  discoverVectorLayers,
+  openVectorLayer,
+  closeVectorLayer,
+  reloadVectorLayer,
+  getVectorLayer,
+  listVectorLayers,
+  findVectorLayerByPath,
+  describeVectorLayer,
+  parseFeatureQuery,
+  queryFeatures,
+  renderVectorTile
+};
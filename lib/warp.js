@@ -0,0 +1,110 @@
+const gdal = require('gdal-async');
+const { openDataset } = require('./catalog');
+const { DEFAULT_PROJECTION, transformBounds } = require('./projection');
+const { tileBoundsMercator } = require('./tile-grid');
+
+// Algoritmos de reamostragem aceitos (nome da API -> nome do gdalwarp)
+const RESAMPLING_METHODS = {
+  nearest: 'near',
+  bilinear: 'bilinear',
+  cubic: 'cubic'
+};
+const DEFAULT_RESAMPLING = 'bilinear';
+
+// Função para calcular (uma vez por dataset) os limites da imagem em Web Mercator
+function getMercatorBounds(entry) {
+  const { info } = openDataset(entry);
+  if (!info.mercatorBounds) {
+    info.mercatorBounds = transformBounds(info.projection || DEFAULT_PROJECTION, 'EPSG:3857', info.bounds);
+  }
+  return info.mercatorBounds;
+}
+
+// Função para verificar se dois retângulos se intersectam
+function boundsIntersect(a, b) {
+  return a.minX < b.maxX && a.maxX > b.minX && a.minY < b.maxY && a.maxY > b.minY;
+}
+
+// Função para normalizar o parâmetro de reamostragem da requisição
+function parseResampling(value) {
+  if (!value) return DEFAULT_RESAMPLING;
+  const resampling = String(value).toLowerCase();
+  return RESAMPLING_METHODS[resampling] ? resampling : null;
+}
+
+// Função para reprojetar (warp) uma região do dataset para uma grade de saída.
+// Cada pixel de saída é transformado de volta para o CRS do GeoTIFF pelo GDAL,
+// então o resultado fica alinhado com mapas base em qualquer nível de zoom.
+// A última banda da saída é sempre um alfa: 0 onde não há dado (fora da imagem,
+// NoData, máscara ou banda alfa do arquivo) e 255 onde há.
+// Com margin > 0 a grade ganha essa quantidade de pixels em cada lado (a saída tem
+// width + 2 * margin por height + 2 * margin pixels), para cálculos com vizinhança.
+async function warpRegion(entry, { bounds, srs, width, height, resampling = DEFAULT_RESAMPLING, nodata = null, margin = 0 }) {
+  const { dataset, info } = openDataset(entry);
+  const firstBand = dataset.bands.get(1);
+
+  if (margin > 0) {
+    const marginX = margin * (bounds.maxX - bounds.minX) / width;
+    const marginY = margin * (bounds.maxY - bounds.minY) / height;
+    bounds = {
+      minX: bounds.minX - marginX,
+      minY: bounds.minY - marginY,
+      maxX: bounds.maxX + marginX,
+      maxY: bounds.maxY + marginY
+    };
+    width += 2 * margin;
+    height += 2 * margin;
+  }
+
+  // Dataset em memória com a grade de saída (limites e tamanho pedidos). Se o
+  // arquivo já tem banda alfa, ela ocupa a mesma posição na saída; senão uma é criada.
+  const bandCount = info.hasAlphaBand ? info.bandCount : info.bandCount + 1;
+  const output = gdal.drivers.get('MEM').create('', width, height, bandCount, firstBand.dataType);
+  output.srs = srs;
+  output.geoTransform = [
+    bounds.minX,
+    (bounds.maxX - bounds.minX) / width,
+    0,
+    bounds.maxY,
+    0,
+    -(bounds.maxY - bounds.minY) / height
+  ];
+
+  // Com -ovr AUTO o GDAL lê do overview mais próximo da resolução de saída,
+  // evitando ler janelas enormes em resolução total nos zooms baixos
+  const args = ['-r', RESAMPLING_METHODS[resampling], '-ovr', 'AUTO', '-dstalpha'];
+  if (nodata !== null) {
+    // NoData informado na requisição, para arquivos sem esse metadado
+    args.push('-srcnodata', String(nodata));
+  }
+  if (!dataset.srs) {
+    // GeoTIFF sem projeção: assumir a projeção configurada para o dataset
+    args.push('-s_srs', info.projection);
+  }
+
+  await gdal.warpAsync(null, output, [dataset], args);
+  return output;
+}
+
+// Função para reprojetar um tile XYZ para EPSG:3857 (com margem opcional, ver warpRegion)
+function warpTile(entry, z, x, y, tileSize, { resampling, nodata }, margin = 0) {
+  return warpRegion(entry, {
+    bounds: tileBoundsMercator(z, x, y),
+    srs: gdal.SpatialReference.fromEPSG(3857),
+    width: tileSize,
+    height: tileSize,
+    resampling,
+    nodata,
+    margin
+  });
+}
+
+module.exports = {
+  RESAMPLING_METHODS,
+  DEFAULT_RESAMPLING,
+  getMercatorBounds,
+  boundsIntersect,
+  parseResampling,
+  warpRegion,
+  warpTile
+};
@@ -0,0 +1,161 @@
+const path = require('path');
+const fs = require('fs');
+const {
+  RASTER_EXTENSIONS,
+  fileSignature,
+  discoverDatasets,
+  reloadDataset,
+  findDatasetByPath,
+  listDatasets
+} = require('./catalog');
+const { isMosaicFile } = require('./mosaic');
+const {
+  VECTOR_EXTENSIONS,
+  discoverVectorLayers,
+  closeVectorLayer,
+  findVectorLayerByPath
+} = require('./vectors');
+const { logger } = require('./logger');
+
+// Tempo sem novos eventos antes de tratar a mudança de um arquivo. Uma cópia
+// grande gera dezenas de eventos; só o último interessa.
+const WATCH_DEBOUNCE_MS = 1000;
+
+// Sufixo do arquivo de configurações de um raster (ver image-format.js)
+const SETTINGS_SUFFIX = '.settings.json';
+
+// Arquivos que acompanham um shapefile (atributos, índice e projeção)
+const SHAPEFILE_SIDECARS = ['.dbf', '.shx', '.prj', '.cpg'];
+
+// Função para verificar se o arquivo do dataset mudou desde que foi aberto
+function signatureChanged(entry) {
+  if (!entry.signature) return true;
+  const signature = fileSignature(entry);
+  return signature.size !== entry.signature.size || signature.mtime !== entry.signature.mtime;
+}
+
+// Função para refazer os mosaicos abertos cujos arquivos mudaram (um bloco substituído,
+// removido ou novo que entra em um padrão da definição)
+function handleMosaicSourceChange() {
+  for (const entry of listDatasets()) {
+    if (entry.type !== 'mosaic' || !entry.signature || entry.building) continue;
+    try {
+      if (!signatureChanged(entry)) continue;
+      reloadDataset(entry);
+      logger.info('Mosaico alterado: refeito e cache de tiles descartado', { dataset: entry.id });
+    } catch (error) {
+      logger.warn('Erro ao refazer mosaico alterado', { dataset: entry.id, error: error.message });
+    }
+  }
+}
+
+// Função para tratar a mudança de um raster ou da definição de um mosaico: arquivos
+// novos ou removidos atualizam o catálogo; um arquivo substituído é reaberto e seus
+// tiles em cache são descartados
+function handleRasterChange(dataPath, filePath) {
+  discoverDatasets(dataPath);
+  handleMosaicSourceChange();
+  const entry = findDatasetByPath(filePath);
+  if (!entry || entry.building || !fs.existsSync(filePath) || !signatureChanged(entry)) return;
+
+  const wasOpen = Boolean(entry.signature);
+  try {
+    reloadDataset(entry);
+    logger.info(wasOpen
+      ? 'Dataset alterado: reaberto e cache de tiles descartado'
+      : 'Dataset adicionado ao catálogo', { dataset: entry.id });
+  } catch (error) {
+    // Arquivo ainda sendo copiado ou inválido; o próximo evento tenta de novo
+    logger.warn('Erro ao reabrir dataset alterado', { dataset: entry.id, error: error.message });
+  }
+}
+
+// Função para tratar a mudança das configurações de um raster (codificação dos tiles)
+function handleSettingsChange(filePath) {
+  const entry = findDatasetByPath(filePath.slice(0, -SETTINGS_SUFFIX.length));
+  if (!entry) return;
+
+  entry.encoding = null;
+  entry.tileCache.clear().catch((error) => {
+    logger.error('Erro ao limpar o cache de tiles', { dataset: entry.id, error });
+  });
+  logger.info('Configurações alteradas: cache de tiles descartado', { dataset: entry.id });
+}
+
+// Função para tratar a mudança de um arquivo em um subdiretório. Ali ficam só os blocos
+// dos mosaicos (não entram no catálogo), então basta refazer os mosaicos alterados.
+// Diretórios ocultos (VRTs gerados em .mosaics) são ignorados.
+function handleSubdirectoryChange(fileName) {
+  if (fileName.split(/[\\/]/)[0].startsWith('.')) return;
+  handleMosaicSourceChange();
+}
+
+// Função para tratar a mudança de um arquivo vetorial: o catálogo de camadas é
+// atualizado e a camada alterada é fechada, para ser reaberta na próxima consulta.
+// Nos shapefiles os atributos mudam no .dbf, então a assinatura do .shp não basta.
+function handleVectorChange(dataPath, filePath, sidecarChanged = false) {
+  discoverVectorLayers(dataPath);
+  const entry = findVectorLayerByPath(filePath);
+  if (!entry || !entry.signature) return;
+  if (!sidecarChanged && fs.existsSync(filePath) && !signatureChanged(entry)) return;
+
+  closeVectorLayer(entry);
+  logger.info('Camada vetorial alterada: será reaberta e cache de tiles descartado', { layer: entry.id });
+}
+
+// Função para observar o diretório de dados (e os subdiretórios, onde ficam os blocos
+// dos mosaicos) e manter o catálogo atualizado sem reiniciar o servidor. Retorna o
+// observador (fs.FSWatcher) ou null.
+function watchDataDirectory(dataPath) {
+  const pending = new Map();
+
+  const handleChange = (fileName) => {
+    if (path.dirname(fileName) !== '.') {
+      handleSubdirectoryChange(fileName);
+      return;
+    }
+
+    const filePath = path.join(dataPath, fileName);
+    if (fileName.endsWith(SETTINGS_SUFFIX)) {
+      handleSettingsChange(filePath);
+      return;
+    }
+
+    const extension = path.extname(fileName).toLowerCase();
+    if (RASTER_EXTENSIONS.includes(extension) || isMosaicFile(fileName)) {
+      handleRasterChange(dataPath, filePath);
+    } else if (VECTOR_EXTENSIONS.includes(extension)) {
+      handleVectorChange(dataPath, filePath);
+    } else if (SHAPEFILE_SIDECARS.includes(extension)) {
+      handleVectorChange(dataPath, `${filePath.slice(0, -extension.length)}.shp`, true);
+    }
+  };
+
+  let watcher;
+  try {
+    watcher = fs.watch(dataPath, { recursive: true }, (eventType, fileName) => {
+      if (!fileName) return;
+      clearTimeout(pending.get(fileName));
+      pending.set(fileName, setTimeout(() => {
+        pending.delete(fileName);
+        try {
+          handleChange(fileName);
+        } catch (error) {
+          logger.error('Erro ao tratar alteração no diretório de dados', { file: fileName, error });
+        }
+      }, WATCH_DEBOUNCE_MS));
+    });
+  } catch (error) {
+    logger.error('Não foi possível observar o diretório de dados', { directory: dataPath, error: error.message });
+    return null;
+  }
+
+  watcher.on('error', (error) => {
+    logger.error('Erro ao observar o diretório de dados', { directory: dataPath, error: error.message });
+  });
+  return watcher;
+}
+
+module.exports = {
+  watchDataDirectory
+};
@@ -0,0 +1,278 @@
+const gdal = require('gdal-async');
+const proj4 = require('proj4');
+const sharp = require('sharp');
+const { openDataset } = require('./catalog');
+const { renderRegion } = require('./tiles');
+const { identifyPoint } = require('./identify');
+const { DEFAULT_PROJECTION, transformBounds } = require('./projection');
+const { boundsIntersect } = require('./warp');
+const { ogcError, escapeXml, requireParam, requireInteger } = require('./ogc');
+
+// Tamanho máximo de uma imagem do GetMap
+const WMS_MAX_SIZE = 4096;
+
+// CRS anunciados para todas as camadas (além do CRS nativo de cada uma)
+const WMS_CRS = ['EPSG:3857', 'EPSG:4326', 'CRS:84'];
+
+// Formatos de resposta do GetFeatureInfo
+const INFO_FORMATS = ['application/json', 'text/plain', 'text/html'];
+
+// Função para obter os limites WGS84 (lon/lat) de um dataset resumido
+function geographicBounds(dataset) {
+  const { northwest, southeast } = dataset.wgs84Bounds;
+  return {
+    west: Math.min(northwest.lon, southeast.lon),
+    east: Math.max(northwest.lon, southeast.lon),
+    south: Math.min(northwest.lat, southeast.lat),
+    north: Math.max(northwest.lat, southeast.lat)
+  };
+}
+
+// Função para gerar o retângulo geográfico de uma camada
+function geographicBoundsXml(bounds, indent) {
+  return `${indent}<EX_GeographicBoundingBox>
+${indent}  <westBoundLongitude>${bounds.west}</westBoundLongitude>
+${indent}  <eastBoundLongitude>${bounds.east}</eastBoundLongitude>
+${indent}  <southBoundLatitude>${bounds.south}</southBoundLatitude>
+${indent}  <northBoundLatitude>${bounds.north}</northBoundLatitude>
+${indent}</EX_GeographicBoundingBox>`;
+}
+
+// Função para gerar a camada WMS de um dataset (resumo de describeDataset)
+function layerXml(dataset) {
+  const id = escapeXml(dataset.id);
+  const lines = [`      <Layer queryable="1" opaque="0">`, `        <Name>${id}</Name>`, `        <Title>${id}</Title>`];
+  if (dataset.crs && !WMS_CRS.includes(dataset.crs)) {
+    lines.push(`        <CRS>${escapeXml(dataset.crs)}</CRS>`);
+  }
+  if (dataset.wgs84Bounds) {
+    const bounds = geographicBounds(dataset);
+    lines.push(geographicBoundsXml(bounds, '        '));
+    lines.push(`        <BoundingBox CRS="CRS:84" minx="${bounds.west}" miny="${bounds.south}" maxx="${bounds.east}" maxy="${bounds.north}"/>`);
+  }
+  if (dataset.crs) {
+    const { minX, minY, maxX, maxY } = dataset.bounds;
+    lines.push(`        <BoundingBox CRS="${escapeXml(dataset.crs)}" minx="${Math.min(minX, maxX)}" miny="${Math.min(minY, maxY)}" maxx="${Math.max(minX, maxX)}" maxy="${Math.max(minY, maxY)}"/>`);
+  }
+  lines.push('      </Layer>');
+  return lines.join('\n');
+}
+
+// Função para gerar a declaração de uma operação WMS
+function operationXml(baseUrl, name, formats) {
+  return `      <${name}>
+${formats.map(format => `        <Format>${format}</Format>`).join('\n')}
+        <DCPType>
+          <HTTP>
+            <Get>
+              <OnlineResource xlink:type="simple" xlink:href="${escapeXml(baseUrl)}/wms?"/>
+            </Get>
+          </HTTP>
+        </DCPType>
+      </${name}>`;
+}
+
+// Função para gerar o documento GetCapabilities do WMS 1.3.0 com uma camada por dataset
+function buildWmsCapabilities(baseUrl, datasets) {
+  const withBounds = datasets.filter(dataset => dataset.wgs84Bounds).map(geographicBounds);
+  const rootBounds = withBounds.length
+    ? geographicBoundsXml({
+      west: Math.min(...withBounds.map(bounds => bounds.west)),
+      east: Math.max(...withBounds.map(bounds => bounds.east)),
+      south: Math.min(...withBounds.map(bounds => bounds.south)),
+      north: Math.max(...withBounds.map(bounds => bounds.north))
+    }, '      ')
+    : '';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<WMS_Capabilities xmlns="http://www.opengis.net/wms" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.3.0">
+  <Service>
+    <Name>WMS</Name>
+    <Title>EVOLX - GeoTIFFs</Title>
+    <OnlineResource xlink:type="simple" xlink:href="${escapeXml(baseUrl)}/wms"/>
+    <MaxWidth>${WMS_MAX_SIZE}</MaxWidth>
+    <MaxHeight>${WMS_MAX_SIZE}</MaxHeight>
+  </Service>
+  <Capability>
+    <Request>
+${operationXml(baseUrl, 'GetCapabilities', ['text/xml'])}
+${operationXml(baseUrl, 'GetMap', ['image/png'])}
+${operationXml(baseUrl, 'GetFeatureInfo', INFO_FORMATS)}
+    </Request>
+    <Exception>
+      <Format>XML</Format>
+    </Exception>
+    <Layer>
+      <Title>EVOLX - GeoTIFFs</Title>
+${WMS_CRS.map(crs => `      <CRS>${crs}</CRS>`).join('\n')}
+${rootBounds}
+${datasets.map(layerXml).join('\n')}
+    </Layer>
+  </Capability>
+</WMS_Capabilities>`;
+}
+
+// Função para interpretar o CRS do pedido. No WMS 1.3.0 o bbox segue a ordem de
+// eixos do CRS (lat/lon no EPSG:4326); o CRS:84 e o WMS 1.1.1 usam sempre lon/lat.
+function resolveRequestCrs(crs, version) {
+  if (/^CRS:84$/i.test(crs)) {
+    return { projection: 'EPSG:4326', srs: gdal.SpatialReference.fromEPSG(4326), latLong: false };
+  }
+  let srs;
+  try {
+    srs = gdal.SpatialReference.fromUserInput(crs);
+  } catch (error) {
+    throw ogcError('InvalidCRS', `CRS não suportado: ${crs}`, 'CRS');
+  }
+  return {
+    projection: srs.toProj4(),
+    srs,
+    latLong: version === '1.3.0' && srs.EPSGTreatsAsLatLong()
+  };
+}
+
+// Função para interpretar um GetMap (parâmetros já em maiúsculas)
+function parseGetMap(params) {
+  const version = params.VERSION || '1.3.0';
+  const layers = requireParam(params, 'LAYERS').split(',').filter(Boolean);
+  const crs = version === '1.3.0' ? requireParam(params, 'CRS') : requireParam(params, 'SRS');
+  const { projection, srs, latLong } = resolveRequestCrs(crs, version);
+
+  const bbox = requireParam(params, 'BBOX').split(',').map(Number);
+  if (bbox.length !== 4 || bbox.some(value => !Number.isFinite(value))) {
+    throw ogcError('InvalidParameterValue', `BBOX inválido: ${params.BBOX}`, 'BBOX');
+  }
+  const bounds = latLong
+    ? { minX: bbox[1], minY: bbox[0], maxX: bbox[3], maxY: bbox[2] }
+    : { minX: bbox[0], minY: bbox[1], maxX: bbox[2], maxY: bbox[3] };
+  if (bounds.minX >= bounds.maxX || bounds.minY >= bounds.maxY) {
+    throw ogcError('InvalidParameterValue', `BBOX inválido: ${params.BBOX} (mínimos devem ser menores que os máximos)`, 'BBOX');
+  }
+
+  const format = params.FORMAT || 'image/png';
+  if (format !== 'image/png') {
+    throw ogcError('InvalidFormat', `Formato não suportado: ${format} (use image/png)`, 'FORMAT');
+  }
+
+  return {
+    version,
+    layers,
+    crs,
+    projection,
+    srs,
+    bounds,
+    width: requireInteger(params, 'WIDTH', 1, WMS_MAX_SIZE),
+    height: requireInteger(params, 'HEIGHT', 1, WMS_MAX_SIZE),
+    format
+  };
+}
+
+// Função para interpretar um GetFeatureInfo: o mapa de referência mais o pixel consultado
+function parseGetFeatureInfo(params) {
+  const request = parseGetMap({ ...params, LAYERS: params.LAYERS || params.QUERY_LAYERS });
+  const infoFormat = params.INFO_FORMAT || 'application/json';
+  if (!INFO_FORMATS.includes(infoFormat)) {
+    throw ogcError('InvalidFormat', `INFO_FORMAT não suportado: ${infoFormat} (use ${INFO_FORMATS.join(', ')})`, 'INFO_FORMAT');
+  }
+  const [columnParam, rowParam] = request.version === '1.3.0' ? ['I', 'J'] : ['X', 'Y'];
+  return {
+    ...request,
+    queryLayers: requireParam(params, 'QUERY_LAYERS').split(',').filter(Boolean),
+    infoFormat,
+    i: requireInteger(params, columnParam, 0, request.width - 1),
+    j: requireInteger(params, rowParam, 0, request.height - 1)
+  };
+}
+
+// Função para verificar se o mapa pedido intersecta a imagem de um dataset
+function mapIntersectsDataset(entry, request) {
+  const { info } = openDataset(entry);
+  const datasetBounds = transformBounds(info.projection || DEFAULT_PROJECTION, request.projection, info.bounds);
+  return boundsIntersect(request.bounds, datasetBounds);
+}
+
+// Função para desenhar o mapa: cada camada é reprojetada para a grade pedida
+// e as camadas são sobrepostas na ordem do parâmetro LAYERS. Com um AbortSignal, o
+// desenho é interrompido entre as camadas.
+async function renderMap(layers, request, signal = null) {
+  const images = [];
+  for (const { entry, options } of layers) {
+    if (!mapIntersectsDataset(entry, request)) continue;
+    if (signal) signal.throwIfAborted();
+    images.push(await renderRegion(entry, request, options));
+  }
+  if (signal) signal.throwIfAborted();
+
+  return sharp({
+    create: {
+      width: request.width,
+      height: request.height,
+      channels: 4,
+      background: { r: 255, g: 255, b: 255, alpha: 0 }
+    }
+  })
+  .composite(images.map(input => ({ input })))
+  .png()
+  .toBuffer();
+}
+
+// Função para consultar os valores das camadas no pixel (I, J) do mapa
+async function getFeatureInfo(layers, request) {
+  const { minX, minY, maxX, maxY } = request.bounds;
+  const x = minX + (request.i + 0.5) * (maxX - minX) / request.width;
+  const y = maxY - (request.j + 0.5) * (maxY - minY) / request.height;
+  const [lon, lat] = proj4(request.projection, 'EPSG:4326', [x, y]);
+
+  const results = [];
+  for (const entry of layers) {
+    results.push({ layer: entry.id, ...await identifyPoint(entry, { lat, lon }) });
+  }
+  return results;
+}
+
+// Função para formatar a resposta do GetFeatureInfo no formato pedido
+function formatFeatureInfo(results, infoFormat) {
+  const found = results.filter(result => result.inside);
+  const bandValue = band => (band.isNoData ? null : band.value);
+
+  if (infoFormat === 'text/plain') {
+    const lines = found.map(result => [
+      `Camada ${result.layer} (pixel ${result.pixel}, linha ${result.line})`,
+      ...result.bands.map(band => `  Banda ${band.band}: ${band.isNoData ? 'NoData' : band.value}`)
+    ].join('\n'));
+    return lines.length ? lines.join('\n') : 'Nenhum valor no ponto consultado';
+  }
+
+  if (infoFormat === 'text/html') {
+    const tables = found.map(result => `<h4>${escapeXml(result.layer)}</h4>
+<table>
+${result.bands.map(band => `<tr><td>Banda ${band.band}</td><td>${band.isNoData ? 'NoData' : band.value}</td></tr>`).join('\n')}
+</table>`);
+    return `<html><body>${tables.join('\n') || '<p>Nenhum valor no ponto consultado</p>'}</body></html>`;
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: found.map(result => ({
+      type: 'Feature',
+      id: result.layer,
+      geometry: { type: 'Point', coordinates: [result.lon, result.lat] },
+      properties: {
+        layer: result.layer,
+        pixel: result.pixel,
+        line: result.line,
+        ...Object.fromEntries(result.bands.map(band => [`b${band.band}`, bandValue(band)]))
+      }
+    }))
+  };
+}
+
+module.exports = {
+  WMS_MAX_SIZE,
+  buildWmsCapabilities,
+  parseGetMap,
+  parseGetFeatureInfo,
+  renderMap,
+  getFeatureInfo,
+  formatFeatureInfo
+};
@@ -0,0 +1,126 @@
+const { ORIGIN_SHIFT, TILE_SIZE } = require('./tile-grid');
+const { ogcError, escapeXml, requireParam, requireInteger } = require('./ogc');
+const { IMAGE_FORMATS, formatFromMimeType } = require('./image-format');
+
+// Conjunto de matrizes de tiles publicado (o mesmo esquema XYZ/EPSG:3857 das rotas de tiles)
+const TILE_MATRIX_SET = 'GoogleMapsCompatible';
+const WMTS_MAX_ZOOM = 22;
+
+// Denominador de escala do nível 0 no GoogleMapsCompatible (pixel de 0,28 mm)
+const SCALE_DENOMINATOR_Z0 = 559082264.0287178;
+
+// Função para gerar a definição do conjunto de matrizes GoogleMapsCompatible
+function tileMatrixSetXml() {
+  const matrices = [];
+  for (let z = 0; z <= WMTS_MAX_ZOOM; z++) {
+    const size = Math.pow(2, z);
+    matrices.push(`      <TileMatrix>
+        <ows:Identifier>${z}</ows:Identifier>
+        <ScaleDenominator>${SCALE_DENOMINATOR_Z0 / size}</ScaleDenominator>
+        <TopLeftCorner>${-ORIGIN_SHIFT} ${ORIGIN_SHIFT}</TopLeftCorner>
+        <TileWidth>${TILE_SIZE}</TileWidth>
+        <TileHeight>${TILE_SIZE}</TileHeight>
+        <MatrixWidth>${size}</MatrixWidth>
+        <MatrixHeight>${size}</MatrixHeight>
+      </TileMatrix>`);
+  }
+  return `    <TileMatrixSet>
+      <ows:Identifier>${TILE_MATRIX_SET}</ows:Identifier>
+      <ows:SupportedCRS>urn:ogc:def:crs:EPSG::3857</ows:SupportedCRS>
+      <WellKnownScaleSet>urn:ogc:def:wkss:OGC:1.0:GoogleMapsCompatible</WellKnownScaleSet>
+${matrices.join('\n')}
+    </TileMatrixSet>`;
+}
+
+// Função para gerar a camada WMTS de um dataset (resumo de describeDataset)
+function layerXml(baseUrl, dataset) {
+  let boundingBox = '';
+  if (dataset.wgs84Bounds) {
+    const { northwest, southeast } = dataset.wgs84Bounds;
+    boundingBox = `
+      <ows:WGS84BoundingBox>
+        <ows:LowerCorner>${Math.min(northwest.lon, southeast.lon)} ${Math.min(northwest.lat, southeast.lat)}</ows:LowerCorner>
+        <ows:UpperCorner>${Math.max(northwest.lon, southeast.lon)} ${Math.max(northwest.lat, southeast.lat)}</ows:UpperCorner>
+      </ows:WGS84BoundingBox>`;
+  }
+  const id = escapeXml(dataset.id);
+  const formats = Object.values(IMAGE_FORMATS);
+  return `    <Layer>
+      <ows:Title>${id}</ows:Title>${boundingBox}
+      <ows:Identifier>${id}</ows:Identifier>
+      <Style isDefault="true">
+        <ows:Identifier>default</ows:Identifier>
+      </Style>
+${formats.map(format => `      <Format>${format.mimeType}</Format>`).join('\n')}
+      <TileMatrixSetLink>
+        <TileMatrixSet>${TILE_MATRIX_SET}</TileMatrixSet>
+      </TileMatrixSetLink>
+${formats.map(format => `      <ResourceURL format="${format.mimeType}" resourceType="tile" template="${escapeXml(baseUrl)}/wmts/1.0.0/${id}/{Style}/{TileMatrixSet}/{TileMatrix}/{TileRow}/{TileCol}.${format.extension}"/>`).join('\n')}
+    </Layer>`;
+}
+
+// Função para gerar a declaração de uma operação com codificação KVP
+function operationXml(baseUrl, name) {
+  return `    <ows:Operation name="${name}">
+      <ows:DCP>
+        <ows:HTTP>
+          <ows:Get xlink:href="${escapeXml(baseUrl)}/wmts?">
+            <ows:Constraint name="GetEncoding">
+              <ows:AllowedValues>
+                <ows:Value>KVP</ows:Value>
+              </ows:AllowedValues>
+            </ows:Constraint>
+          </ows:Get>
+        </ows:HTTP>
+      </ows:DCP>
+    </ows:Operation>`;
+}
+
+// Função para gerar o documento GetCapabilities do WMTS 1.0.0 com uma camada por dataset
+function buildWmtsCapabilities(baseUrl, datasets) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<Capabilities xmlns="http://www.opengis.net/wmts/1.0" xmlns:ows="http://www.opengis.net/ows/1.1" xmlns:xlink="http://www.w3.org/1999/xlink" version="1.0.0">
+  <ows:ServiceIdentification>
+    <ows:Title>EVOLX - GeoTIFFs</ows:Title>
+    <ows:ServiceType>OGC WMTS</ows:ServiceType>
+    <ows:ServiceTypeVersion>1.0.0</ows:ServiceTypeVersion>
+  </ows:ServiceIdentification>
+  <ows:OperationsMetadata>
+${operationXml(baseUrl, 'GetCapabilities')}
+${operationXml(baseUrl, 'GetTile')}
+  </ows:OperationsMetadata>
+  <Contents>
+${datasets.map(dataset => layerXml(baseUrl, dataset)).join('\n')}
+${tileMatrixSetXml()}
+  </Contents>
+  <ServiceMetadataURL xlink:href="${escapeXml(baseUrl)}/wmts/1.0.0/WMTSCapabilities.xml"/>
+</Capabilities>`;
+}
+
+// Função para interpretar um GetTile (KVP ou RESTful, com os nomes já em maiúsculas).
+// Retorna o dataset, o tile XYZ correspondente e o formato da imagem.
+function parseGetTile(params) {
+  const layer = requireParam(params, 'LAYER');
+  const tileMatrixSet = requireParam(params, 'TILEMATRIXSET');
+  if (tileMatrixSet !== TILE_MATRIX_SET) {
+    throw ogcError('InvalidParameterValue', `TileMatrixSet desconhecido: ${tileMatrixSet} (use ${TILE_MATRIX_SET})`, 'TILEMATRIXSET');
+  }
+  const format = formatFromMimeType(params.FORMAT || 'image/png');
+  if (!format) {
+    const supported = Object.values(IMAGE_FORMATS).map(imageFormat => imageFormat.mimeType).join(', ');
+    throw ogcError('InvalidParameterValue', `Formato não suportado: ${params.FORMAT} (use ${supported})`, 'FORMAT');
+  }
+
+  const z = requireInteger(params, 'TILEMATRIX', 0, WMTS_MAX_ZOOM);
+  const size = Math.pow(2, z);
+  const y = requireInteger(params, 'TILEROW', 0, size - 1);
+  const x = requireInteger(params, 'TILECOL', 0, size - 1);
+  return { layer, z, x, y, format };
+}
+
+module.exports = {
+  TILE_MATRIX_SET,
+  WMTS_MAX_ZOOM,
+  buildWmtsCapabilities,
+  parseGetTile
+};
@@ -0,0 +1,292 @@
+const proj4 = require('proj4');
+const { openDataset } = require('./catalog');
+const { getDatasetStatistics } = require('./stats');
+const { DEFAULT_PROJECTION, crsToProj4 } = require('./projection');
+const { projectionToPixel } = require('./identify');
+const { collectFeatures, geojsonCrs, geometryPolygons } = require('./geojson');
+const { trackGdalRead } = require('./metrics');
+
+// Quantidade de linhas lidas por vez ao percorrer um polígono
+const ZONAL_CHUNK_ROWS = 256;
+
+// Área máxima (em pixels, dentro da imagem) do retângulo envolvente de um polígono
+const MAX_ZONE_PIXELS = 50000000;
+
+// Quantidade máxima de feições por requisição
+const MAX_ZONAL_FEATURES = 5000;
+
+// Limites das saídas opcionais (histograma e frações de classes)
+const MAX_HISTOGRAM_BINS = 256;
+const MAX_CLASSES = 1024;
+
+// Função para interpretar as opções da estatística zonal (query string):
+// bands=1,2 (padrão: todas), histogram=32, categorical=true e crs=EPSG:xxxx.
+// O CRS informado na requisição tem prioridade sobre o declarado no GeoJSON.
+function parseZonalOptions(query, geojson, info) {
+  const features = collectFeatures(geojson);
+  if (features.length > MAX_ZONAL_FEATURES) {
+    throw new Error(`Máximo de ${MAX_ZONAL_FEATURES} feições por requisição`);
+  }
+
+  const options = {
+    features,
+    bands: Array.from({ length: info.bandCount }, (_, i) => i + 1),
+    histogram: 0,
+    categorical: query.categorical === 'true',
+    sourceProjection: crsToProj4(query.crs || geojsonCrs(geojson))
+  };
+
+  if (query.bands !== undefined) {
+    options.bands = String(query.bands).split(',').map(band => Number(band.trim()));
+    if (options.bands.some(band => !Number.isInteger(band) || band < 1)) {
+      throw new Error(`Parâmetro bands inválido: ${query.bands}`);
+    }
+    const missing = options.bands.filter(band => band > info.bandCount);
+    if (missing.length) {
+      throw new Error(`Banda(s) ${missing.join(', ')} inexistente(s); o dataset tem ${info.bandCount} banda(s)`);
+    }
+  }
+  if (query.histogram !== undefined) {
+    options.histogram = Number(query.histogram);
+    if (!Number.isInteger(options.histogram) || options.histogram < 1 || options.histogram > MAX_HISTOGRAM_BINS) {
+      throw new Error(`Parâmetro histogram inválido: ${query.histogram} (use de 1 a ${MAX_HISTOGRAM_BINS} classes)`);
+    }
+  }
+  return options;
+}
+
+// Função para calcular a área (em pixels) dos polígonos pela fórmula do laço,
+// descontando os buracos
+function polygonsArea(polygons) {
+  const ringArea = (ring) => {
+    let area = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      area += (ring[j][0] + ring[i][0]) * (ring[j][1] - ring[i][1]);
+    }
+    return Math.abs(area / 2);
+  };
+  return polygons.reduce((total, [outer, ...holes]) =>
+    total + ringArea(outer) - holes.reduce((sum, hole) => sum + ringArea(hole), 0), 0);
+}
+
+// Função para calcular os intervalos de colunas cujo centro está dentro do polígono
+// na linha informada (varredura com a regra par-ímpar, como o rasterize do GDAL)
+function scanlineSpans(edges, row) {
+  const center = row + 0.5;
+  const crossings = [];
+  for (const [x1, y1, x2, y2] of edges) {
+    if ((y1 <= center) !== (y2 <= center)) {
+      crossings.push(x1 + (center - y1) * (x2 - x1) / (y2 - y1));
+    }
+  }
+  crossings.sort((a, b) => a - b);
+
+  const spans = [];
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    const start = Math.ceil(crossings[i] - 0.5);
+    const end = Math.ceil(crossings[i + 1] - 0.5);
+    if (end > start) spans.push([start, end]);
+  }
+  return spans;
+}
+
+// Função para criar o acumulador das estatísticas de uma banda
+function createAccumulator(band, options, bandStats) {
+  return {
+    band,
+    count: 0,
+    nodata: 0,
+    min: Infinity,
+    max: -Infinity,
+    mean: 0,
+    m2: 0,
+    sum: 0,
+    histogram: options.histogram && bandStats && bandStats.count
+      ? { min: bandStats.min, max: bandStats.max, counts: new Array(options.histogram).fill(0) }
+      : null,
+    classes: options.categorical ? new Map() : null
+  };
+}
+
+// Função para incluir um valor válido no acumulador (média e variância de Welford)
+function accumulate(acc, value) {
+  acc.count++;
+  acc.sum += value;
+  if (value < acc.min) acc.min = value;
+  if (value > acc.max) acc.max = value;
+  const delta = value - acc.mean;
+  acc.mean += delta / acc.count;
+  acc.m2 += delta * (value - acc.mean);
+
+  if (acc.histogram) {
+    const { min, max, counts } = acc.histogram;
+    const bin = Math.floor((value - min) / ((max - min) / counts.length || 1));
+    counts[Math.max(0, Math.min(counts.length - 1, bin))]++;
+  }
+  if (acc.classes) {
+    acc.classes.set(value, (acc.classes.get(value) || 0) + 1);
+    if (acc.classes.size > MAX_CLASSES) {
+      throw new Error(`Banda ${acc.band} tem mais de ${MAX_CLASSES} classes; não parece categórica`);
+    }
+  }
+}
+
+// Função para converter o acumulador nas propriedades da feição (prefixo b<n>_)
+function accumulatorProperties(acc) {
+  const prefix = `b${acc.band}_`;
+  const valid = acc.count > 0;
+  const properties = {
+    [`${prefix}count`]: acc.count,
+    [`${prefix}nodata`]: acc.nodata,
+    [`${prefix}min`]: valid ? acc.min : null,
+    [`${prefix}max`]: valid ? acc.max : null,
+    [`${prefix}mean`]: valid ? acc.mean : null,
+    [`${prefix}std`]: valid ? Math.sqrt(acc.m2 / acc.count) : null,
+    [`${prefix}sum`]: acc.sum
+  };
+  if (acc.histogram) {
+    properties[`${prefix}histogram`] = acc.histogram;
+  }
+  if (acc.classes) {
+    // Fração de cada classe em relação aos pixels válidos
+    properties[`${prefix}classes`] = Object.fromEntries(
+      Array.from(acc.classes.entries())
+        .sort((a, b) => a[0] - b[0])
+        .map(([value, count]) => [value, { count, fraction: count / acc.count }])
+    );
+  }
+  return properties;
+}
+
+// Função para calcular as estatísticas de polígonos já convertidos para pixels
+async function polygonStatistics(dataset, info, polygons, options, bandStats) {
+  const rings = polygons.flat();
+  const edges = [];
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const ring of rings) {
+    for (let i = 0; i < ring.length; i++) {
+      const [x1, y1] = ring[i];
+      const [x2, y2] = ring[(i + 1) % ring.length];
+      edges.push([x1, y1, x2, y2]);
+      minX = Math.min(minX, x1);
+      minY = Math.min(minY, y1);
+      maxX = Math.max(maxX, x1);
+      maxY = Math.max(maxY, y1);
+    }
+  }
+
+  const accumulators = options.bands.map(band => createAccumulator(band, options, bandStats[band - 1]));
+  const area = polygonsArea(polygons);
+
+  // Janela do polígono recortada aos limites da imagem
+  const windowX = Math.max(0, Math.floor(minX));
+  const windowY = Math.max(0, Math.floor(minY));
+  const windowWidth = Math.min(info.width, Math.ceil(maxX)) - windowX;
+  const windowHeight = Math.min(info.height, Math.ceil(maxY)) - windowY;
+  if (windowWidth <= 0 || windowHeight <= 0) {
+    return { pixels: 0, coverage: 0, accumulators };
+  }
+  if (windowWidth * windowHeight > MAX_ZONE_PIXELS) {
+    throw new Error(`Polígono grande demais (máximo de ${MAX_ZONE_PIXELS} pixels no retângulo envolvente)`);
+  }
+
+  let pixels = 0;
+  for (let chunkY = windowY; chunkY < windowY + windowHeight; chunkY += ZONAL_CHUNK_ROWS) {
+    const chunkHeight = Math.min(ZONAL_CHUNK_ROWS, windowY + windowHeight - chunkY);
+
+    // Intervalos de colunas de cada linha do bloco, recortados à janela
+    const rowSpans = [];
+    let hasPixels = false;
+    for (let row = 0; row < chunkHeight; row++) {
+      const spans = scanlineSpans(edges, chunkY + row)
+        .map(([start, end]) => [Math.max(start, windowX), Math.min(end, windowX + windowWidth)])
+        .filter(([start, end]) => end > start);
+      rowSpans.push(spans);
+      if (spans.length) hasPixels = true;
+    }
+    if (!hasPixels) continue;
+
+    for (const acc of accumulators) {
+      const band = dataset.bands.get(acc.band);
+      const data = trackGdalRead(await band.pixels.readAsync(windowX, chunkY, windowWidth, chunkHeight, undefined, { data_type: 'Float64' }));
+      // A máscara cobre NoData, banda alfa e máscaras internas (0 = sem dado)
+      const mask = trackGdalRead(await band.getMaskBand().pixels.readAsync(windowX, chunkY, windowWidth, chunkHeight));
+
+      rowSpans.forEach((spans, row) => {
+        for (const [start, end] of spans) {
+          for (let column = start; column < end; column++) {
+            const index = row * windowWidth + (column - windowX);
+            const value = data[index];
+            if (mask[index] === 0 || Number.isNaN(value)) {
+              acc.nodata++;
+            } else {
+              accumulate(acc, value);
+            }
+          }
+        }
+      });
+    }
+
+    for (const spans of rowSpans) {
+      for (const [start, end] of spans) pixels += end - start;
+    }
+  }
+
+  return {
+    pixels,
+    // Fração aproximada da área do polígono que está dentro da imagem
+    coverage: area > 0 ? Math.min(1, pixels / area) : 0,
+    accumulators
+  };
+}
+
+// Função para calcular estatísticas zonais de cada polígono do GeoJSON, com as
+// opções já validadas por parseZonalOptions. Retorna as feições com as estatísticas
+// anexadas às propriedades; feições inválidas recebem a propriedade zonal_error.
+async function zonalStatistics(entry, geojson, options) {
+  const { dataset, info } = openDataset(entry);
+  const converter = proj4(options.sourceProjection, info.projection || DEFAULT_PROJECTION);
+  const toPixel = ([x, y]) => {
+    const [px, py] = converter.forward([x, y]);
+    const { pixel, line } = projectionToPixel(info, px, py);
+    return [pixel, line];
+  };
+
+  // O histograma usa o intervalo global da banda, para que as feições sejam comparáveis
+  const bandStats = options.histogram ? (await getDatasetStatistics(entry)).bands : [];
+
+  const results = [];
+  for (const feature of options.features) {
+    let properties;
+    try {
+      const polygons = geometryPolygons(feature && feature.geometry)
+        .map(polygon => polygon.map(ring => ring.map(toPixel)));
+      const result = await polygonStatistics(dataset, info, polygons, options, bandStats);
+      properties = {
+        pixel_count: result.pixels,
+        coverage: result.coverage
+      };
+      for (const acc of result.accumulators) {
+        Object.assign(properties, accumulatorProperties(acc));
+      }
+    } catch (error) {
+      properties = { zonal_error: error.message };
+    }
+    results.push({
+      ...feature,
+      properties: { ...(feature && feature.properties), ...properties }
+    });
+  }
+
+  return geojson.type === 'Feature'
+    ? results[0]
+    : { ...geojson, features: results };
+}
+
+module.exports = {
+  parseZonalOptions,
+  zonalStatistics
+};
@@ -0,0 +1,110 @@
+// Gerencia as chaves de API do arquivo de chaves (auth.keysFile, ver lib/auth.js).
+// Uso: npm run api-keys -- create <id> [--datasets=a,b|*] [--admin] [--rate-limit=600]
+//        [--expires=2026-12-31T23:59:59Z]
+//      npm run api-keys -- list
+//      npm run api-keys -- revoke <id>
+//      npm run api-keys -- delete <id>
+// A chave criada é mostrada uma única vez: o arquivo guarda só o hash dela.
+const { getConfig } = require('../lib/config');
+const { hashApiKey, generateApiKey, readKeysFile, writeKeysFile } = require('../lib/auth');
+
+const COMMANDS = ['create', 'list', 'revoke', 'delete'];
+
+// Função para interpretar os argumentos da linha de comando
+function parseArgs(argv) {
+  const args = { ids: [], datasets: [], admin: false, rateLimit: null, expiresAt: null };
+  for (const arg of argv) {
+    const [name, ...rest] = arg.split('=');
+    const value = rest.join('=');
+    if (name === '--datasets') {
+      args.datasets = value.split(',').map(id => id.trim()).filter(Boolean);
+    } else if (name === '--admin') {
+      args.admin = true;
+    } else if (name === '--rate-limit') {
+      args.rateLimit = Number(value);
+      if (!Number.isInteger(args.rateLimit) || args.rateLimit <= 0) {
+        throw new Error('--rate-limit deve ser um inteiro positivo');
+      }
+    } else if (name === '--expires') {
+      if (Number.isNaN(Date.parse(value))) throw new Error(`--expires: data inválida: ${value}`);
+      args.expiresAt = new Date(value).toISOString();
+    } else if (name.startsWith('--')) {
+      throw new Error(`Opção desconhecida: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.ids.push(arg);
+    }
+  }
+  if (!COMMANDS.includes(args.command)) {
+    throw new Error(`Informe um comando: ${COMMANDS.join(', ')}`);
+  }
+  if (args.command !== 'list' && args.ids.length !== 1) {
+    throw new Error('Informe o id de uma chave');
+  }
+  return args;
+}
+
+// Função para localizar uma chave pelo id
+function findRecord(records, id) {
+  const record = records.find(item => item.id === id);
+  if (!record) throw new Error(`Chave ${id} não encontrada`);
+  return record;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const file = getConfig().auth.keysFile;
+  const records = readKeysFile(file);
+  const [id] = args.ids;
+
+  if (args.command === 'list') {
+    if (!records.length) console.log(`Nenhuma chave em ${file}`);
+    for (const record of records) {
+      const status = record.disabled ? 'revogada' :
+        record.expiresAtMs !== null && record.expiresAtMs <= Date.now() ? 'expirada' : 'ativa';
+      const details = [`datasets: ${record.datasets.join(',') || '-'}`];
+      if (record.admin) details.push('admin');
+      if (record.rateLimit) details.push(`limite: ${record.rateLimit}/janela`);
+      if (record.expiresAt) details.push(`expira em ${record.expiresAt}`);
+      console.log(`${record.id} (${status}) ${details.join(', ')}`);
+    }
+    return;
+  }
+
+  if (args.command === 'create') {
+    if (records.some(record => record.id === id)) throw new Error(`Chave ${id} já existe`);
+    const key = generateApiKey();
+    records.push({
+      id,
+      hash: hashApiKey(key),
+      datasets: args.datasets,
+      admin: args.admin,
+      rateLimit: args.rateLimit,
+      expiresAt: args.expiresAt,
+      disabled: false
+    });
+    writeKeysFile(records, file);
+    console.log(`Chave ${id} criada em ${file}. Guarde-a agora, ela não será mostrada de novo:`);
+    console.log(key);
+    return;
+  }
+
+  if (args.command === 'revoke') {
+    findRecord(records, id).disabled = true;
+    writeKeysFile(records, file);
+    console.log(`Chave ${id} revogada`);
+    return;
+  }
+
+  findRecord(records, id);
+  writeKeysFile(records.filter(record => record.id !== id), file);
+  console.log(`Chave ${id} removida`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Erro ao gerenciar as chaves de API:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,63 @@
+// Gera overviews para um ou todos os datasets do diretório de dados.
+// Uso: npm run overviews -- <id|--all> [--external] [--resampling=average] [--levels=2,4,8]
+const { discoverDatasets, getDataset, listDatasets } = require('../lib/catalog');
+const { parseOverviewOptions, buildOverviews } = require('../lib/overviews');
+const { getConfig } = require('../lib/config');
+
+const dataPath = getConfig().data.directory;
+
+// Função para interpretar os argumentos da linha de comando
+function parseArgs(argv) {
+  const args = { ids: [], options: {} };
+  for (const arg of argv) {
+    if (arg === '--all') {
+      args.all = true;
+    } else if (arg === '--external') {
+      args.options.external = true;
+    } else if (arg.startsWith('--resampling=')) {
+      args.options.resampling = arg.slice('--resampling='.length);
+    } else if (arg.startsWith('--levels=')) {
+      args.options.levels = arg.slice('--levels='.length);
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Opção desconhecida: ${arg}`);
+    } else {
+      args.ids.push(arg);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  parseOverviewOptions(args.options);
+
+  discoverDatasets(dataPath);
+  const entries = args.all ? listDatasets() : args.ids.map(id => {
+    const entry = getDataset(id);
+    if (!entry) throw new Error(`Dataset ${id} não encontrado`);
+    return entry;
+  });
+
+  if (!entries.length) {
+    throw new Error('Informe o id de um dataset ou --all');
+  }
+
+  for (const entry of entries) {
+    console.log(`Gerando overviews de ${entry.id}...`);
+    let lastPercent = -1;
+    const result = await buildOverviews(entry, args.options, (complete) => {
+      const percent = Math.floor(complete * 100);
+      if (percent !== lastPercent && percent % 10 === 0) {
+        lastPercent = percent;
+        console.log(`  ${percent}%`);
+      }
+    });
+    const levels = result.overviews.map(level => `${level.factor}x (${level.width}x${level.height})`);
+    console.log(`${entry.id}: ${levels.length ? levels.join(', ') : 'nenhum overview necessário'}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao gerar overviews:', error.message);
+  process.exit(1);
+});
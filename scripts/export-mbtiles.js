@@ -0,0 +1,66 @@
+// Empacota os tiles já semeados de um dataset em um arquivo .mbtiles.
+// Uso: npm run export-mbtiles -- <id> --output=saida.mbtiles [--bbox=minLon,minLat,maxLon,maxLat]
+//        [--zoom=10-18] [--options="bands=4,3,2"] [--format=png|webp|jpg]
+const path = require('path');
+
+// Os tiles semeados ficam no cache em disco
+process.env.TILE_CACHE_BACKEND = 'disk';
+
+const { discoverDatasets, getDataset, openDataset } = require('../lib/catalog');
+const { parseRenderOptions, applyRenderDefaults, validateRenderOptions } = require('../lib/render-options');
+const { getConfig } = require('../lib/config');
+const { parseBbox, parseZoomRange, parseTileFormat, datasetBbox, DEFAULT_SEED_ZOOM } = require('../lib/seed');
+const { exportMBTiles } = require('../lib/mbtiles');
+
+const dataPath = getConfig().data.directory;
+
+// Função para interpretar os argumentos da linha de comando
+function parseArgs(argv) {
+  const args = { ids: [] };
+  for (const arg of argv) {
+    const [name, ...rest] = arg.split('=');
+    const value = rest.join('=');
+    if (name === '--bbox') args.bbox = parseBbox(value);
+    else if (name === '--zoom') args.zoom = parseZoomRange(value);
+    else if (name === '--options') args.query = Object.fromEntries(new URLSearchParams(value));
+    else if (name === '--format') args.format = parseTileFormat(value);
+    else if (name === '--output') args.output = path.resolve(value);
+    else if (name.startsWith('--')) throw new Error(`Opção desconhecida: ${arg}`);
+    else args.ids.push(arg);
+  }
+  if (args.ids.length !== 1) {
+    throw new Error('Informe o id de um dataset');
+  }
+  if (!args.output) {
+    throw new Error('Informe o arquivo de saída com --output=arquivo.mbtiles');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  discoverDatasets(dataPath);
+  const entry = getDataset(args.ids[0]);
+  if (!entry) throw new Error(`Dataset ${args.ids[0]} não encontrado`);
+
+  const options = parseRenderOptions(applyRenderDefaults(entry.id, args.query));
+  options.format = args.format || null;
+  validateRenderOptions(options, openDataset(entry).info);
+
+  const result = await exportMBTiles(entry, {
+    output: args.output,
+    bbox: args.bbox || datasetBbox(entry),
+    zoom: args.zoom || DEFAULT_SEED_ZOOM,
+    options
+  });
+  console.log(`MBTiles gerado em ${result.output}: ${result.written} tiles (${result.missing} não semeados)`);
+  if (!result.written) {
+    console.log('Nenhum tile encontrado no cache; rode "npm run seed" antes de exportar');
+  }
+}
+
+main().catch((error) => {
+  console.error('Erro ao exportar MBTiles:', error.message);
+  process.exit(1);
+});
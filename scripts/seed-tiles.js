@@ -0,0 +1,85 @@
+// Pré-renderiza (semeia) os tiles de um dataset no cache em disco e, opcionalmente,
+// empacota o resultado em um arquivo .mbtiles.
+// Uso: npm run seed -- <id> [--bbox=minLon,minLat,maxLon,maxLat] [--zoom=10-18]
+//        [--options="bands=4,3,2&stretch=p2,p98"] [--format=png|webp|jpg] [--force] [--mbtiles=saida.mbtiles]
+const path = require('path');
+
+// A semeadura só faz sentido com um cache persistente
+process.env.TILE_CACHE_BACKEND = 'disk';
+
+const { discoverDatasets, getDataset, openDataset } = require('../lib/catalog');
+const { parseRenderOptions, applyRenderDefaults, validateRenderOptions } = require('../lib/render-options');
+const { getConfig } = require('../lib/config');
+const { parseBbox, parseZoomRange, parseTileFormat, datasetBbox, seedTiles, DEFAULT_SEED_ZOOM } = require('../lib/seed');
+const { exportMBTiles } = require('../lib/mbtiles');
+
+const dataPath = getConfig().data.directory;
+
+// Função para interpretar os argumentos da linha de comando
+function parseArgs(argv) {
+  const args = { ids: [], force: false };
+  for (const arg of argv) {
+    const [name, ...rest] = arg.split('=');
+    const value = rest.join('=');
+    if (name === '--bbox') args.bbox = parseBbox(value);
+    else if (name === '--zoom') args.zoom = parseZoomRange(value);
+    else if (name === '--options') args.query = Object.fromEntries(new URLSearchParams(value));
+    else if (name === '--format') args.format = parseTileFormat(value);
+    else if (name === '--mbtiles') args.mbtiles = path.resolve(value);
+    else if (name === '--force') args.force = true;
+    else if (name.startsWith('--')) throw new Error(`Opção desconhecida: ${arg}`);
+    else args.ids.push(arg);
+  }
+  if (args.ids.length !== 1) {
+    throw new Error('Informe o id de um dataset');
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  discoverDatasets(dataPath);
+  const entry = getDataset(args.ids[0]);
+  if (!entry) throw new Error(`Dataset ${args.ids[0]} não encontrado`);
+
+  const options = parseRenderOptions(applyRenderDefaults(entry.id, args.query));
+  options.format = args.format || null;
+  validateRenderOptions(options, openDataset(entry).info);
+
+  const bbox = args.bbox || datasetBbox(entry);
+  const zoom = args.zoom || DEFAULT_SEED_ZOOM;
+  console.log(`Semeando ${entry.id}: zoom ${zoom.minZoom}-${zoom.maxZoom}, bbox ${Object.values(bbox).join(',')}`);
+
+  const startTime = Date.now();
+  let lastPercent = -1;
+  const summary = await seedTiles(entry, {
+    bbox,
+    zoom,
+    options,
+    force: args.force,
+    onProgress: ({ z, done, total }) => {
+      const percent = Math.floor(done / total * 100);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        console.log(`  ${percent}% (${done}/${total} tiles, zoom ${z})`);
+      }
+    }
+  });
+  console.log(`Semeadura concluída em ${((Date.now() - startTime) / 1000).toFixed(1)}s:`,
+    `${summary.rendered} renderizados, ${summary.cached} já em cache,`,
+    `${summary.empty} vazios, ${summary.failed} com erro`);
+  console.log(`Cache: ${entry.tileCache.directory}`);
+
+  if (args.mbtiles) {
+    const result = await exportMBTiles(entry, { output: args.mbtiles, bbox, zoom, options });
+    console.log(`MBTiles gerado em ${result.output} com ${result.written} tiles`);
+  }
+
+  if (summary.failed) process.exitCode = 1;
+}
+
+main().catch((error) => {
+  console.error('Erro ao semear tiles:', error.message);
+  process.exit(1);
+});
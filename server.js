@@ -2,568 +2,1254 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const gdal = require('gdal-async');
-const proj4 = require('proj4');
-const sharp = require('sharp');
+const { getConfig, getDatasetConfig, describeConfig } = require('./lib/config');
+
+// Validar a configuração antes de carregar os demais módulos, que a consultam ao
+// serem carregados: um valor inválido encerra o servidor com a lista dos problemas
+let config;
+try {
+  config = getConfig();
+} catch (error) {
+  // O log estruturado depende da própria configuração (nível)
+  console.error(error.message);
+  process.exit(1);
+}
+
+const {
+  discoverDatasets,
+  openDataset,
+  getDataset,
+  listDatasets,
+  getDefaultDataset,
+  describeDataset,
+  getDetailedInfo,
+  removeDataset
+} = require('./lib/catalog');
+const {
+  createEmptyTile,
+  getCachedTile,
+  cacheTile,
+  renderPreview
+} = require('./lib/tiles');
+const {
+  startRenderPool,
+  getRenderPoolStats,
+  renderTileInPool,
+  renderChangeTileInPool,
+  renderStaticMapInPool,
+  renderMapInPool,
+  coalesce
+} = require('./lib/render-pool');
+const {
+  parseRenderOptions,
+  applyRenderDefaults,
+  validateRenderDefaults,
+  validateRenderOptions,
+  renderOptionsKey
+} = require('./lib/render-options');
+const { TILE_SIZE, parseTileCoordinates } = require('./lib/tile-grid');
+const { fallbackProjection } = require('./lib/projection');
+const { getDatasetEncoding, formatFromExtension, negotiateFormat, detectFormat } = require('./lib/image-format');
+const { setImageCacheHeaders } = require('./lib/http-cache');
+const { watchDataDirectory } = require('./lib/watcher');
+const { buildTileJson } = require('./lib/tilejson');
+const { listTimeSeries, getTimeSeries, describeTimeSeries, resolveSeriesDate } = require('./lib/timeseries');
+const { parseChangeOptions, validateChangeOptions } = require('./lib/change');
+const {
+  discoverVectorLayers,
+  openVectorLayer,
+  getVectorLayer,
+  listVectorLayers,
+  describeVectorLayer,
+  parseFeatureQuery,
+  queryFeatures,
+  renderVectorTile
+} = require('./lib/vectors');
+const { describeLegend, renderLegendImage } = require('./lib/renderer');
+const { getDatasetStatistics } = require('./lib/stats');
+const { parseOverviewOptions, buildOverviews } = require('./lib/overviews');
+const { parsePoint, parsePoints, identifyPoint, identifyPoints } = require('./lib/identify');
+const { parseZonalOptions, zonalStatistics } = require('./lib/zonal');
+const { parseExportOptions, exportRegion } = require('./lib/export');
+const { parseContourOptions, generateContours } = require('./lib/contours');
+const {
+  parseStaticMapOptions,
+  staticMapIntersects,
+  staticMapGeoTransform,
+  buildWorldFile,
+  worldFileExtension
+} = require('./lib/static-map');
+const { MAX_UPLOAD_BYTES, parseIngestOptions, receiveUpload, ingestUpload } = require('./lib/ingest');
+const { getJob, listJobs } = require('./lib/jobs');
+const { ogcError, normalizeKvp, serviceBaseUrl, wmsExceptionReport, owsExceptionReport } = require('./lib/ogc');
+const { buildWmtsCapabilities, parseGetTile } = require('./lib/wmts');
+const {
+  buildWmsCapabilities,
+  parseGetMap,
+  parseGetFeatureInfo,
+  getFeatureInfo,
+  formatFeatureInfo
+} = require('./lib/wms');
+const { logger, requestLogger } = require('./lib/logger');
+const { errorCode, sendApiError } = require('./lib/errors');
+const { signDatasetAccess, canAccessDataset, authenticate, requireAdmin } = require('./lib/auth');
+const { limitByIp, limitByKey } = require('./lib/rate-limit');
+const {
+  CONTENT_TYPE: METRICS_CONTENT_TYPE,
+  observeTileLatency,
+  countCacheLookup,
+  countRenderError,
+  renderMetrics
+} = require('./lib/metrics');
 
 const app = express();
-const port = 3000;
+const port = config.server.port;
+
+// Conferir os padrões de renderização e os CRS por dataset da configuração
+try {
+  validateRenderDefaults();
+  for (const id of Object.keys(config.datasets)) {
+    try {
+      fallbackProjection(id);
+    } catch (error) {
+      throw new Error(`Configuração inválida em datasets.${id}.crs: ${error.message}`);
+    }
+  }
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
 
-// Configurações globais
-let gdalDataset = null;
-let imageInfo = null;
+// Atrás de um proxy reverso, o IP do cliente (limite por IP) vem do X-Forwarded-For
+if (config.server.trustProxy !== null) {
+  const trustProxy = config.server.trustProxy;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
 
-app.use(cors());
+// Identificar cada requisição (X-Request-Id) e registrá-la no log ao final
+app.use(requestLogger);
+// CORS só para as origens configuradas (cors.origins; "*" libera todas)
+app.use(cors({
+  origin: config.cors.origins.includes('*') ? '*' : config.cors.origins,
+  exposedHeaders: ['X-Request-Id', 'X-Cache', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+// Limite por IP, chave de API (ou URL assinada) e limite por chave (ver auth.js e rate-limit.js)
+app.use(limitByIp);
+app.use(authenticate);
+app.use(limitByKey);
+// Limite maior que o padrão para aceitar camadas GeoJSON de talhões/lotes
+app.use(express.json({ limit: config.server.jsonLimit }));
 
 // Verificar se o diretório de dados existe
-const dataPath = path.join(__dirname, 'data');
+const dataPath = config.data.directory;
 if (!fs.existsSync(dataPath)) {
-  console.log(`Criando diretório de dados em ${dataPath}`);
+  logger.info('Criando diretório de dados', { directory: dataPath });
   fs.mkdirSync(dataPath, { recursive: true });
 }
 
-// Função para obter a projeção do dataset de forma segura
-function getSafeProjection(dataset) {
-  if (!dataset.srs) return null;
-  
-  // Tentar obter a projeção como string WKT
-  try {
-    return dataset.srs.toWKT();
-  } catch (error) {
-    console.error('Erro ao obter WKT da projeção:', error);
-  }
-  
-  // Fallback para UTM Zone 22S (comum no Brasil)
-  return '+proj=utm +zone=22 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs';
-}
-
-// Função para inicializar o dataset GDAL
-function initGdalDataset() {
-  if (!gdalDataset) {
-    const tifPath = path.join(dataPath, 'Iturama-2019.tif');
-    if (!fs.existsSync(tifPath)) {
-      throw new Error('Arquivo TIF não encontrado');
-    }
-    
-    gdalDataset = gdal.open(tifPath);
-    const width = gdalDataset.rasterSize.x;
-    const height = gdalDataset.rasterSize.y;
-    const [originX, pixelWidth, skewX, originY, skewY, pixelHeight] = gdalDataset.geoTransform;
-    
-    // Calcular os limites geográficos do GeoTIFF em sua projeção nativa
-    const minX = originX;
-    const maxX = originX + width * pixelWidth;
-    const minY = originY + height * pixelHeight; // Normalmente negativo para UTM sul
-    const maxY = originY;
-    
-    // Obter a projeção do GeoTIFF de forma segura
-    const projection = getSafeProjection(gdalDataset);
-    
-    imageInfo = {
-      width,
-      height,
-      originX,
-      originY,
-      pixelWidth,
-      pixelHeight,
-      skewX,
-      skewY,
-      projection,
-      bounds: {
-        minX,
-        minY,
-        maxX,
-        maxY
-      }
-    };
-    
-    console.log('Dataset inicializado:', JSON.stringify(imageInfo, null, 2));
-    
-    // Converter os limites para WGS84 (EPSG:4326) para referência
-    try {
-      if (projection) {
-        const nw = proj4(projection, 'EPSG:4326', [minX, maxY]);
-        const se = proj4(projection, 'EPSG:4326', [maxX, minY]);
-        console.log('Limites em WGS84:', {
-          northwest: { lon: nw[0], lat: nw[1] },
-          southeast: { lon: se[0], lat: se[1] }
-        });
-      }
-    } catch (error) {
-      console.error('Erro ao converter limites para WGS84:', error);
-    }
+// Descobrir os rasters e as camadas vetoriais disponíveis no diretório de dados
+discoverDatasets(dataPath);
+discoverVectorLayers(dataPath);
+
+// Observar o diretório de dados: arquivos novos, removidos ou substituídos
+// atualizam o catálogo e o cache de tiles sem reiniciar o servidor
+watchDataDirectory(dataPath);
+
+// Função para localizar o dataset da requisição (ou o padrão, nas rotas antigas).
+// Com autenticação, a chave precisa ter acesso ao dataset.
+function resolveDataset(req, res) {
+  const entry = req.params.id ? getDataset(req.params.id) : getDefaultDataset();
+  if (!entry) {
+    sendApiError(res, 'DATASET_NOT_FOUND',
+      req.params.id ? `Dataset ${req.params.id} não encontrado` : 'Nenhum dataset disponível');
+    return null;
   }
-  return { dataset: gdalDataset, info: imageInfo };
+  if (!canAccessDataset(req, entry.id)) {
+    sendApiError(res, 'FORBIDDEN', `Sem acesso ao dataset ${entry.id}`);
+    return null;
+  }
+  return entry;
 }
 
-// Middleware para logging de requisições
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
+// Função para abrir o dataset da requisição. Um arquivo ausente ou que não abre é
+// uma falha do servidor, não da requisição: responde 503 e retorna null.
+function openRequestDataset(res, entry) {
+  try {
+    return openDataset(entry);
+  } catch (error) {
+    logger.error('Erro ao abrir dataset', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'DATASET_UNAVAILABLE'), 'Dataset indisponível', error.message);
+    return null;
+  }
+}
 
-// Rota para obter informações do TIF
-app.get('/api/tif-info', (req, res) => {
+// Função para filtrar uma série temporal pelas datas que a requisição pode acessar.
+// Retorna null quando nenhuma data é acessível.
+function accessibleSeries(req, series) {
+  const datasets = series.datasets.filter(item => canAccessDataset(req, item.id));
+  return datasets.length ? { ...series, datasets } : null;
+}
+
+// Função para interpretar e validar as opções de renderização (bandas, realce, paleta, ...).
+// Responde 400 e retorna null quando algum parâmetro é inválido.
+function resolveRenderOptions(req, res, entry) {
+  let options;
   try {
-    const { dataset, info } = initGdalDataset();
-    res.json(info);
+    options = parseRenderOptions(applyRenderDefaults(entry.id, req.query));
   } catch (error) {
-    console.error('Erro ao obter informações do TIF:', error);
-    res.status(500).json({ error: error.message });
+    sendApiError(res, 'INVALID_RENDER_OPTIONS', error.message);
+    return null;
   }
-});
 
-// Cache para armazenar tiles já processados
-const tileCache = new Map();
+  const opened = openRequestDataset(res, entry);
+  if (!opened) return null;
+  try {
+    validateRenderOptions(options, opened.info);
+  } catch (error) {
+    sendApiError(res, 'INVALID_RENDER_OPTIONS', error.message);
+    return null;
+  }
+  return options;
+}
 
-app.get('/api/tiles/:z/:x/:y', async (req, res) => {
-  const tileSize = 256;
-  
-  // Função auxiliar para enviar um tile vazio
-  const sendEmptyTile = async () => {
-    res.setHeader('Content-Type', 'image/png');
-    const emptyTile = await sharp({
-      create: {
-        width: tileSize,
-        height: tileSize,
-        channels: 4,
-        background: { r: 255, g: 255, b: 255, alpha: 0 }
-      }
-    })
-    .png()
-    .toBuffer();
-    
-    return res.send(emptyTile);
+// Função para escolher o formato da imagem: a extensão da URL ou, sem ela, o
+// cabeçalho Accept (a resposta passa a variar com ele)
+function resolveImageFormat(req, res, entry, extension) {
+  if (extension) {
+    return formatFromExtension(extension);
+  }
+  res.vary('Accept');
+  return negotiateFormat(req.get('Accept'), getDatasetEncoding(entry).format);
+}
+
+// Função para enviar uma imagem codificada com o Content-Type do seu formato e os
+// cabeçalhos de cache HTTP (ETag e Cache-Control; 304 quando não mudou)
+function sendImage(res, buffer) {
+  res.setHeader('Content-Type', detectFormat(buffer).mimeType);
+  setImageCacheHeaders(res, buffer);
+  return res.send(buffer);
+}
+
+// Função para separar o y da URL de um tile do sufixo @2x (tile de alta densidade,
+// 512 pixels) e da extensão do formato. O y é validado por parseTileCoordinates.
+function parseTileRow(value) {
+  const match = /^(\d+)(@2x)?(?:\.(png|webp|jpg|jpeg))?$/i.exec(value);
+  return {
+    y: match ? match[1] : value,
+    retina: Boolean(match && match[2]),
+    extension: match ? match[3] : null
   };
-  
-  const startTime = Date.now();
-  const z = parseInt(req.params.z, 10);
-  const x = parseInt(req.params.x, 10);
-  const y = parseInt(req.params.y, 10);
-  
-  console.log(`[${new Date().toISOString()}] Requisição de tile: z=${z}, x=${x}, y=${y}`);
-  
-  try {
-    const { dataset, info } = initGdalDataset();
-    
-    // Verificar se o dataset foi inicializado corretamente
-    if (!dataset || !info) {
-      console.error('Dataset não inicializado corretamente');
-      return sendEmptyTile();
-    }
-    
-    console.log(`[${new Date().toISOString()}] Processando tile z=${z}, x=${x}, y=${y}`);
+}
+
+// Função para criar um AbortSignal abortado quando o cliente desconecta antes de
+// receber a resposta (ex.: tiles que saíram da tela durante um arraste do mapa)
+function clientAbortSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller.signal;
+}
+
+// Função para responder 503 com Retry-After quando a fila de renderização está cheia
+function sendBusy(res, error) {
+  res.setHeader('Retry-After', String(error.retryAfter));
+  sendApiError(res, 'SERVER_BUSY', error.message);
+}
+
+// Função para interpretar as coordenadas de um tile da URL (o y já sem sufixos).
+// Responde 400 e retorna null quando são inválidas.
+function resolveTileCoordinates(req, res, row) {
+  try {
+    return parseTileCoordinates(req.params.z, req.params.x, row);
+  } catch (error) {
+    sendApiError(res, error.code, error.message);
+    return null;
+  }
+}
+
+// Função para responder um tile sem dados (fora da extensão do raster ou dos zooms
+// configurados): um PNG transparente do tamanho pedido ou 204 sem corpo, conforme
+// tiles.emptyResponse. Os dois ficam em cache no cliente como os demais tiles.
+async function sendEmptyTile(res, tileSize) {
+  if (config.tiles.emptyResponse === 'no-content') {
+    setImageCacheHeaders(res, Buffer.alloc(0));
+    return res.status(204).end();
+  }
+  return sendImage(res, await createEmptyTile(tileSize));
+}
+
+// Função para responder a falha de um tile: 503 quando o dataset não abre e 500
+// nos demais erros de renderização
+function sendTileError(res, error) {
+  const code = errorCode(error, 'RENDER_FAILED');
+  countRenderError(code === 'DATASET_UNAVAILABLE' ? 'unavailable' : 'failed');
+  sendApiError(res, code, code === 'DATASET_UNAVAILABLE' ? 'Dataset indisponível' : 'Erro ao gerar tile', error.message);
+}
+
+// Função para responder a requisição de um tile de um dataset
+async function handleTileRequest(req, res) {
+  const startTime = process.hrtime.bigint();
+  const { y: row, retina, extension } = parseTileRow(req.params.y);
+  const coordinates = resolveTileCoordinates(req, res, row);
+  if (!coordinates) return;
+  const { z, x, y } = coordinates;
+
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  // Latência dos tiles entregues (do cache, renderizados ou vazios), por zoom
+  res.on('finish', () => observeTileLatency(z, Number(process.hrtime.bigint() - startTime) / 1e9));
+
+  try {
+    // Opções de renderização (reamostragem, realce, bandas, paleta, ...)
+    const options = resolveRenderOptions(req, res, entry);
+    if (!options) return;
+    if (retina) {
+      options.tileSize = TILE_SIZE * 2;
+    }
+    options.format = resolveImageFormat(req, res, entry, extension).name;
+
+    // Fora dos limites de zoom configurados para o dataset, o tile fica vazio
+    const { minZoom, maxZoom } = getDatasetConfig(entry.id);
+    if ((minZoom !== null && z < minZoom) || (maxZoom !== null && z > maxZoom)) {
+      return sendEmptyTile(res, options.tileSize);
+    }
 
     // Verificar se o tile já está em cache
-    const cacheKey = `${z}_${x}_${y}`;
-    if (tileCache.has(cacheKey)) {
-      const cachedTile = tileCache.get(cacheKey);
-      res.setHeader('Content-Type', 'image/png');
+    const tile = { z, x, y, variant: renderOptionsKey(options) };
+    const cachedTile = await getCachedTile(entry, tile);
+    countCacheLookup(Boolean(cachedTile));
+    if (cachedTile) {
       res.setHeader('X-Cache', 'HIT');
-      return res.send(cachedTile);
-    }
-    
-    // Definir as projeções
-    // Obter a projeção do GeoTIFF
-    const tifProjection = info.projection || '+proj=utm +zone=22 +south +ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs';
-    
-    // Função para converter coordenadas do tile para coordenadas geográficas (WGS84)
-    function tileToLatLon(x, y, z) {
-      const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
-      return {
-        lon: x / Math.pow(2, z) * 360 - 180,
-        lat: 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)))
-      };
-    }
-    
-    // Calcular as coordenadas geográficas dos cantos do tile
-    const nw = tileToLatLon(x, y, z);
-    const ne = tileToLatLon(x + 1, y, z);
-    const sw = tileToLatLon(x, y + 1, z);
-    const se = tileToLatLon(x + 1, y + 1, z);
-    
-    console.log('Coordenadas WGS84 do tile:', { nw, ne, sw, se });
-    
-    // Converter para a projeção do GeoTIFF
-    try {
-      const nwProj = proj4('EPSG:4326', tifProjection, [nw.lon, nw.lat]);
-      const neProj = proj4('EPSG:4326', tifProjection, [ne.lon, ne.lat]);
-      const swProj = proj4('EPSG:4326', tifProjection, [sw.lon, sw.lat]);
-      const seProj = proj4('EPSG:4326', tifProjection, [se.lon, se.lat]);
-      
-      console.log('Coordenadas projetadas do tile:', { 
-        nw: nwProj, 
-        ne: neProj, 
-        sw: swProj, 
-        se: seProj 
-      });
-      
-      // Converter de coordenadas projetadas para pixels usando a transformação geográfica
-      const [originX, pixelWidth, skewX, originY, skewY, pixelHeight] = dataset.geoTransform;
-      
-      // Função para converter coordenadas projetadas para pixels
-      function projToPixel(projX, projY) {
-        const pixelX = Math.round((projX - originX) / pixelWidth);
-        const pixelY = Math.round((projY - originY) / pixelHeight);
-        return [pixelX, pixelY];
-      }
-      
-      const nwPixel = projToPixel(nwProj[0], nwProj[1]);
-      const nePixel = projToPixel(neProj[0], neProj[1]);
-      const swPixel = projToPixel(swProj[0], swProj[1]);
-      const sePixel = projToPixel(seProj[0], seProj[1]);
-      
-      console.log('Coordenadas em pixels do tile:', {
-        nw: nwPixel,
-        ne: nePixel,
-        sw: swPixel,
-        se: sePixel
-      });
-      
-      // Calcular os limites do recorte
-      const minX = Math.min(nwPixel[0], nePixel[0], swPixel[0], sePixel[0]);
-      const maxX = Math.max(nwPixel[0], nePixel[0], swPixel[0], sePixel[0]);
-      const minY = Math.min(nwPixel[1], nePixel[1], swPixel[1], sePixel[1]);
-      const maxY = Math.max(nwPixel[1], nePixel[1], swPixel[1], sePixel[1]);
-      
-      const readX = minX;
-      const readY = minY;
-      const readWidth = maxX - minX;
-      const readHeight = maxY - minY;
-      
-      console.log('Área de recorte calculada:', {
-        x: readX,
-        y: readY,
-        width: readWidth,
-        height: readHeight
-      });
-      
-      // Verificar se a área está dentro dos limites do GeoTIFF
-      const width = info.width;
-      const height = info.height;
-      
-      if (readX < 0 || readY < 0 || readX >= width || readY >= height || 
-          readWidth <= 0 || readHeight <= 0) {
-        console.log(`[${new Date().toISOString()}] Área fora dos limites:`);
-        console.log(`- Área: x=${readX}, y=${readY}, width=${readWidth}, height=${readHeight}`);
-        console.log(`- Limites: width=${width}, height=${height}`);
-        return sendEmptyTile();
+      return sendImage(res, cachedTile);
+    }
+
+    // Renderizar no pool de threads. Requisições simultâneas do mesmo tile (mesma
+    // chave do cache) compartilham uma única renderização, gravada uma vez no cache.
+    const tileBuffer = await coalesce(`${entry.id}/${tile.variant}/${z}/${x}/${y}`, clientAbortSignal(res), async (signal) => {
+      const buffer = await renderTileInPool(entry, z, x, y, { query: req.query, options }, signal);
+      if (buffer) {
+        await cacheTile(entry, tile, buffer);
       }
-      
-      // Verificar se a área é muito grande (pode indicar um problema de projeção)
-      if (readWidth > width * 0.5 || readHeight > height * 0.5) {
-        console.log(`[${new Date().toISOString()}] Área muito grande, possível problema de projeção:`);
-        console.log(`- Área: x=${readX}, y=${readY}, width=${readWidth}, height=${readHeight}`);
-        console.log(`- Limites: width=${width}, height=${height}`);
-        
-        // Em vez de retornar vazio, vamos tentar um método alternativo para zoom altos
-        if (z >= 14) {
-          // Para zooms altos, vamos tentar uma abordagem mais direta
-          // Calcular o centro do tile em coordenadas geográficas
-          const centerLon = (nw.lon + se.lon) / 2;
-          const centerLat = (nw.lat + se.lat) / 2;
-          
-          // Converter para coordenadas projetadas
-          const centerProj = proj4('EPSG:4326', tifProjection, [centerLon, centerLat]);
-          
-          // Converter para pixels
-          const centerPixel = projToPixel(centerProj[0], centerProj[1]);
-          
-          // Definir uma área fixa em torno do centro
-          const fixedSize = Math.min(width, height) / 10; // 10% da dimensão menor
-          const fixedReadX = Math.max(0, centerPixel[0] - fixedSize / 2);
-          const fixedReadY = Math.max(0, centerPixel[1] - fixedSize / 2);
-          const fixedReadWidth = Math.min(width - fixedReadX, fixedSize);
-          const fixedReadHeight = Math.min(height - fixedReadY, fixedSize);
-          
-          console.log('Usando área fixa em torno do centro:', {
-            x: fixedReadX,
-            y: fixedReadY,
-            width: fixedReadWidth,
-            height: fixedReadHeight
-          });
-          
-          // Verificar se a área fixa é válida
-          if (fixedReadWidth <= 0 || fixedReadHeight <= 0) {
-            return sendEmptyTile();
-          }
-          
-          // Usar a área fixa
-          const adjustedReadX = Math.round(fixedReadX);
-          const adjustedReadY = Math.round(fixedReadY);
-          const adjustedReadWidth = Math.round(fixedReadWidth);
-          const adjustedReadHeight = Math.round(fixedReadHeight);
-          
-          // Obter as bandas do GeoTIFF
-          const [band1, band2, band3] = [1, 2, 3].map(i => dataset.bands.get(i));
-          
-          // Ler os dados das bandas
-          const data1 = await band1.pixels.read(adjustedReadX, adjustedReadY, adjustedReadWidth, adjustedReadHeight);
-          const data2 = await band2.pixels.read(adjustedReadX, adjustedReadY, adjustedReadWidth, adjustedReadHeight);
-          const data3 = await band3.pixels.read(adjustedReadX, adjustedReadY, adjustedReadWidth, adjustedReadHeight);
-          
-          // Criar buffer RGB
-          const rgbData = Buffer.alloc(adjustedReadWidth * adjustedReadHeight * 3);
-          for (let i = 0; i < adjustedReadWidth * adjustedReadHeight; i++) {
-            rgbData[i * 3] = data1[i];
-            rgbData[i * 3 + 1] = data2[i];
-            rgbData[i * 3 + 2] = data3[i];
-          }
-          
-          // Processar a imagem com sharp
-          const tileBuffer = await sharp(rgbData, {
-            raw: {
-              width: adjustedReadWidth,
-              height: adjustedReadHeight,
-              channels: 3
-            }
-          })
-          .resize(tileSize, tileSize, {
-            fit: 'fill',
-            position: 'center',
-            kernel: 'lanczos3'
-          })
-          .gamma(1.1)
-          .normalize()
-          .modulate({
-            brightness: 1.1,
-            saturation: 1.2
-          })
-          .png({
-            quality: 90,
-            compressionLevel: 9
-          })
-          .toBuffer();
-          
-          // Armazenar no cache
-          tileCache.set(cacheKey, tileBuffer);
-          
-          // Enviar o tile
-          res.setHeader('Content-Type', 'image/png');
-          res.setHeader('X-Cache', 'MISS');
-          res.send(tileBuffer);
-          
-          console.log(`[${new Date().toISOString()}] Tile processado (método alternativo) em ${Date.now() - startTime}ms`);
-          return;
-        }
-        
-        return sendEmptyTile();
+      return buffer;
+    });
+    // Tile fora da extensão do raster
+    if (!tileBuffer) {
+      return sendEmptyTile(res, options.tileSize);
+    }
+
+    // Enviar o tile
+    res.setHeader('X-Cache', 'MISS');
+    sendImage(res, tileBuffer);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      countRenderError('cancelled');
+      logger.debug('Tile cancelado: cliente desconectou', { dataset: entry.id, tile: `${z}/${x}/${y}` });
+      return;
+    }
+    if (errorCode(error) === 'SERVER_BUSY') {
+      countRenderError('busy');
+      return sendBusy(res, error);
+    }
+    logger.error('Erro ao gerar tile', { dataset: entry.id, tile: `${z}/${x}/${y}`, error });
+    return sendTileError(res, error);
+  }
+}
+
+// Função para responder a requisição da prévia de um dataset
+async function handlePreviewRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  try {
+    const options = resolveRenderOptions(req, res, entry);
+    if (!options) return;
+    options.format = resolveImageFormat(req, res, entry, null).name;
+
+    const previewBuffer = await renderPreview(entry, options);
+    sendImage(res, previewBuffer);
+  } catch (error) {
+    logger.error('Erro ao gerar prévia', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'RENDER_FAILED'), 'Erro ao gerar prévia', error.message);
+  }
+}
+
+// Função para responder o TileJSON de um dataset. As opções de renderização da
+// requisição são validadas e repassadas ao modelo de URL dos tiles.
+function handleTileJsonRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  try {
+    const options = resolveRenderOptions(req, res, entry);
+    if (!options) return;
+
+    const baseUrl = serviceBaseUrl(req);
+    const { search } = new URL(req.originalUrl, baseUrl);
+    res.json(buildTileJson(entry, { baseUrl, search, tileSize: options.tileSize }));
+  } catch (error) {
+    logger.error('Erro ao gerar TileJSON', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao gerar TileJSON', error.message);
+  }
+}
+
+// Função para responder o tile de mudança entre duas datas de uma série temporal
+// (?from=2019&to=2021; sem datas, compara a primeira com a última)
+async function handleChangeTileRequest(req, res) {
+  const { y: row, retina, extension } = parseTileRow(req.params.y);
+  const coordinates = resolveTileCoordinates(req, res, row);
+  if (!coordinates) return;
+  const { z, x, y } = coordinates;
+
+  const found = getTimeSeries(req.params.area);
+  const series = found && accessibleSeries(req, found);
+  if (!series) {
+    return sendApiError(res, 'SERIES_NOT_FOUND', `Série temporal ${req.params.area} não encontrada`);
+  }
+  if (series.datasets.length < 2) {
+    return sendApiError(res, 'INVALID_PARAMETER', `A série ${series.area} tem uma única data`);
+  }
+
+  let before;
+  let after;
+  let options;
+  try {
+    before = resolveSeriesDate(series, req.query.from || series.datasets[0].date).entry;
+    after = resolveSeriesDate(series, req.query.to || series.datasets[series.datasets.length - 1].date).entry;
+    if (before === after) {
+      throw new Error('Informe duas datas diferentes em from e to');
+    }
+    options = parseChangeOptions(req.query);
+    validateChangeOptions(options, [before, after]);
+  } catch (error) {
+    return sendApiError(res, errorCode(error, 'INVALID_PARAMETER'), error.message);
+  }
+
+  try {
+    if (retina) {
+      options.tileSize = TILE_SIZE * 2;
+    }
+    options.format = resolveImageFormat(req, res, after, extension).name;
+
+    const tileBuffer = await renderChangeTileInPool(before, after, z, x, y, { query: req.query, options },
+      clientAbortSignal(res));
+    if (!tileBuffer) {
+      return sendEmptyTile(res, options.tileSize);
+    }
+    sendImage(res, tileBuffer);
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      countRenderError('cancelled');
+      return;
+    }
+    if (errorCode(error) === 'SERVER_BUSY') {
+      countRenderError('busy');
+      return sendBusy(res, error);
+    }
+    logger.error('Erro ao gerar tile de mudança', { before: before.id, after: after.id, tile: `${z}/${x}/${y}`, error });
+    sendTileError(res, error);
+  }
+}
+
+// Função para localizar a camada vetorial da requisição
+function resolveVectorLayer(req, res) {
+  const entry = getVectorLayer(req.params.layer);
+  if (!entry) {
+    sendApiError(res, 'LAYER_NOT_FOUND', `Camada vetorial ${req.params.layer} não encontrada`);
+    return null;
+  }
+  if (!canAccessDataset(req, entry.id)) {
+    sendApiError(res, 'FORBIDDEN', `Sem acesso à camada vetorial ${entry.id}`);
+    return null;
+  }
+  return entry;
+}
+
+// Função para abrir a camada vetorial da requisição; responde 503 se o arquivo for inválido
+function openRequestVectorLayer(res, entry) {
+  try {
+    return openVectorLayer(entry);
+  } catch (error) {
+    sendApiError(res, 'DATASET_UNAVAILABLE', `Erro ao abrir camada vetorial ${entry.id}`, error.message);
+    return null;
+  }
+}
+
+// Função para responder as feições de uma camada vetorial em GeoJSON, filtradas
+// por bbox (WGS84) e atributos e paginadas (?bbox=&filter=campo=valor&limit=&offset=)
+function handleVectorFeaturesRequest(req, res) {
+  const entry = resolveVectorLayer(req, res);
+  if (!entry) return;
+  const layer = openRequestVectorLayer(res, entry);
+  if (!layer) return;
+
+  let options;
+  try {
+    options = parseFeatureQuery(req.query, layer.info);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  try {
+    const collection = queryFeatures(entry, options);
+    // Link para a próxima página, com os mesmos filtros
+    if (options.offset + collection.numberReturned < collection.numberMatched) {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(req.query)) {
+        if (key === 'offset') continue;
+        for (const item of [].concat(value)) params.append(key, item);
       }
-      
-      // Ajustar as dimensões para evitar problemas de borda
-      const adjustedReadX = Math.max(0, readX);
-      const adjustedReadY = Math.max(0, readY);
-      const adjustedReadWidth = Math.min(width - adjustedReadX, readWidth);
-      const adjustedReadHeight = Math.min(height - adjustedReadY, readHeight);
-      
-      // Verificar se as dimensões ajustadas são válidas
-      if (adjustedReadWidth <= 0 || adjustedReadHeight <= 0) {
-        console.log(`[${new Date().toISOString()}] Dimensões ajustadas inválidas:`);
-        console.log(`- Dimensões: width=${adjustedReadWidth}, height=${adjustedReadHeight}`);
-        return sendEmptyTile();
+      params.set('offset', String(options.offset + collection.numberReturned));
+      collection.links = [{
+        rel: 'next',
+        type: 'application/geo+json',
+        href: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?${params}`
+      }];
+    }
+    res.type('application/geo+json').send(JSON.stringify(collection));
+  } catch (error) {
+    logger.error('Erro ao consultar feições', { layer: entry.id, error });
+    sendApiError(res, 'INTERNAL_ERROR', 'Erro ao consultar feições', error.message);
+  }
+}
+
+// Função para responder um Mapbox Vector Tile de uma camada vetorial. O filtro de
+// atributos (?filter=) também vale para os tiles; tiles sem feições respondem 204.
+async function handleVectorTileRequest(req, res) {
+  const coordinates = resolveTileCoordinates(req, res, req.params.y);
+  if (!coordinates) return;
+  const { z, x, y } = coordinates;
+
+  const entry = resolveVectorLayer(req, res);
+  if (!entry) return;
+  const layer = openRequestVectorLayer(res, entry);
+  if (!layer) return;
+
+  let where;
+  try {
+    where = parseFeatureQuery({ filter: req.query.filter }, layer.info).where;
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  try {
+    const tile = { z, x, y, variant: `mvt:${where || ''}` };
+    let tileBuffer = await getCachedTile(entry, tile);
+    countCacheLookup(Boolean(tileBuffer));
+    if (!tileBuffer) {
+      tileBuffer = await renderVectorTile(entry, z, x, y, { where }) || Buffer.alloc(0);
+      await cacheTile(entry, tile, tileBuffer);
+    }
+    if (!tileBuffer.length) {
+      return res.status(204).end();
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+    setImageCacheHeaders(res, tileBuffer);
+    res.send(tileBuffer);
+  } catch (error) {
+    countRenderError('failed');
+    logger.error('Erro ao gerar vector tile', { layer: entry.id, tile: `${z}/${x}/${y}`, error });
+    sendApiError(res, 'RENDER_FAILED', 'Erro ao gerar vector tile', error.message);
+  }
+}
+
+// Função para responder as informações detalhadas de um dataset
+function handleDetailedInfoRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  try {
+    res.json(getDetailedInfo(entry));
+  } catch (error) {
+    logger.error('Erro ao ler arquivo TIF', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao ler arquivo TIF', error.message);
+  }
+}
+
+// Função para responder a consulta de valores do raster em um ponto (?lat=&lon=)
+async function handleIdentifyRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  let point;
+  try {
+    point = parsePoint(req.query);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  try {
+    res.json({ id: entry.id, ...await identifyPoint(entry, point) });
+  } catch (error) {
+    logger.error('Erro ao consultar ponto', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao consultar ponto', error.message);
+  }
+}
+
+// Função para responder a consulta em lote (corpo { points: [{ lat, lon }, ...] })
+async function handleBatchIdentifyRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  let points;
+  try {
+    points = parsePoints(req.body && req.body.points);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  try {
+    res.json({ id: entry.id, results: await identifyPoints(entry, points) });
+  } catch (error) {
+    logger.error('Erro ao consultar pontos', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao consultar pontos', error.message);
+  }
+}
+
+// Função para responder a estatística zonal de polígonos GeoJSON (corpo Feature ou FeatureCollection)
+async function handleZonalStatsRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  const opened = openRequestDataset(res, entry);
+  if (!opened) return;
+
+  let options;
+  try {
+    options = parseZonalOptions(req.query, req.body, opened.info);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await zonalStatistics(entry, req.body, options);
+    logger.info('Estatística zonal calculada', { dataset: entry.id, features: options.features.length, durationMs: Date.now() - startTime });
+    res.json(result);
+  } catch (error) {
+    logger.error('Erro ao calcular estatística zonal', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao calcular estatística zonal', error.message);
+  }
+}
+
+// Função para responder o recorte de uma área do dataset (?bbox=&crs=&format=&resolution=).
+// No POST, o corpo pode trazer polígonos GeoJSON usados como linha de corte.
+async function handleExportRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  const opened = openRequestDataset(res, entry);
+  if (!opened) return;
+
+  let options;
+  try {
+    options = parseExportOptions(req.query, req.body, opened.info);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  let result;
+  try {
+    const startTime = Date.now();
+    result = await exportRegion(entry, options);
+    logger.info('Recorte gerado', {
+      dataset: entry.id,
+      width: options.width,
+      height: options.height,
+      format: options.format.name,
+      durationMs: Date.now() - startTime
+    });
+  } catch (error) {
+    logger.error('Erro ao exportar recorte', { dataset: entry.id, error });
+    return sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao exportar recorte', error.message);
+  }
+
+  // Georreferenciamento também nos cabeçalhos (PNG/JPEG não o guardam no arquivo)
+  res.setHeader('X-GeoTransform', result.geoTransform.join(','));
+  if (result.crs) res.setHeader('X-CRS', result.crs);
+  res.download(result.filePath, result.fileName, (error) => {
+    if (error) logger.error('Erro ao enviar recorte', { dataset: entry.id, error });
+    result.cleanup();
+  });
+}
+
+// Função para responder as curvas de nível de uma área do dataset em GeoJSON
+// (?bbox=&interval=&base=&band=&crs=, ver contours.js)
+async function handleContoursRequest(req, res) {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  const opened = openRequestDataset(res, entry);
+  if (!opened) return;
+
+  let options;
+  try {
+    options = parseContourOptions(req.query, opened.info);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await generateContours(entry, options);
+    logger.info('Curvas de nível geradas', {
+      dataset: entry.id,
+      interval: options.interval,
+      features: result.features.length,
+      durationMs: Date.now() - startTime
+    });
+    res.json(result);
+  } catch (error) {
+    // Área ou intervalo que gerariam curvas demais
+    if (error.code === 'INVALID_PARAMETER') {
+      return sendApiError(res, error.code, error.message);
+    }
+    logger.error('Erro ao gerar curvas de nível', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao gerar curvas de nível', error.message);
+  }
+}
+
+// Função para reunir os parâmetros do mapa estático: a query e, no POST, os campos do
+// corpo (como texto; listas viram "a,b"). As sobreposições GeoJSON vêm em "overlays".
+function staticMapParams(req) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const { overlays, ...fields } = body;
+  const params = { ...req.query };
+  for (const [name, value] of Object.entries(fields)) {
+    if (value !== null && value !== undefined) params[name] = String(value);
+  }
+  return { params, overlays: overlays !== undefined ? overlays : req.query.overlays };
+}
+
+// Função para escolher os datasets do mapa estático: os de ?datasets=a,b (nessa ordem)
+// ou, sem o parâmetro, o mosaico de todos os acessíveis que intersectam a área.
+// Responde o erro e retorna null quando um dataset pedido não pode ser usado.
+function resolveStaticMapDatasets(req, res, params, options) {
+  if (params.datasets === undefined) {
+    return listDatasets().filter((entry) => {
+      if (!canAccessDataset(req, entry.id)) return false;
+      try {
+        return staticMapIntersects(entry, options);
+      } catch (error) {
+        logger.warn('Dataset ignorado no mapa estático', { dataset: entry.id, error: error.message });
+        return false;
       }
-      
-      console.log('Área de recorte ajustada:', {
-        x: adjustedReadX,
-        y: adjustedReadY,
-        width: adjustedReadWidth,
-        height: adjustedReadHeight
+    });
+  }
+
+  const entries = [];
+  for (const id of String(params.datasets).split(',').map(item => item.trim()).filter(Boolean)) {
+    const entry = getDataset(id);
+    if (!entry) {
+      sendApiError(res, 'DATASET_NOT_FOUND', `Dataset ${id} não encontrado`);
+      return null;
+    }
+    if (!canAccessDataset(req, entry.id)) {
+      sendApiError(res, 'FORBIDDEN', `Sem acesso ao dataset ${entry.id}`);
+      return null;
+    }
+    try {
+      if (staticMapIntersects(entry, options)) entries.push(entry);
+    } catch (error) {
+      sendApiError(res, errorCode(error, 'DATASET_UNAVAILABLE'), 'Dataset indisponível', error.message);
+      return null;
+    }
+  }
+  return entries;
+}
+
+// Função para responder o mapa estático de uma área (?center=&zoom= ou ?bbox=, width,
+// height, format e as opções de renderização dos tiles). No POST, o corpo pode trazer
+// os parâmetros e as sobreposições GeoJSON; com ?worldFile=true a resposta é o world
+// file (.pgw/.jgw) da imagem correspondente.
+async function handleStaticMapRequest(req, res) {
+  const { params, overlays } = staticMapParams(req);
+  let options;
+  try {
+    options = parseStaticMapOptions(params, overlays);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  const entries = resolveStaticMapDatasets(req, res, params, options);
+  if (!entries) return;
+
+  // Georreferenciamento também nos cabeçalhos, como no recorte
+  res.setHeader('X-GeoTransform', staticMapGeoTransform(options).join(','));
+  res.setHeader('X-CRS', 'EPSG:3857');
+  if (options.worldFile) {
+    res.attachment(`mapa.${worldFileExtension(options.format)}`);
+    return res.type('text/plain').send(buildWorldFile(options));
+  }
+
+  const layers = [];
+  for (const entry of entries) {
+    try {
+      const layerOptions = parseRenderOptions(applyRenderDefaults(entry.id, params));
+      validateRenderOptions(layerOptions, openDataset(entry).info);
+      layers.push({ entry, options: layerOptions });
+    } catch (error) {
+      return sendApiError(res, errorCode(error, 'INVALID_RENDER_OPTIONS'), `Dataset ${entry.id}: ${error.message}`);
+    }
+  }
+
+  try {
+    const startTime = Date.now();
+    const buffer = await renderStaticMapInPool(layers, { params, overlays, options }, clientAbortSignal(res));
+    logger.info('Mapa estático gerado', {
+      datasets: layers.map(layer => layer.entry.id),
+      width: options.width,
+      height: options.height,
+      overlays: options.overlays.length,
+      durationMs: Date.now() - startTime
+    });
+    res.type(options.format.mimeType).send(buffer);
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    if (errorCode(error) === 'SERVER_BUSY') return sendBusy(res, error);
+    logger.error('Erro ao gerar mapa estático', { error });
+    sendApiError(res, errorCode(error, 'RENDER_FAILED'), 'Erro ao gerar mapa estático', error.message);
+  }
+}
+
+// Função para resumir os datasets que abrem sem erro e que a requisição pode
+// acessar (camadas dos serviços OGC)
+function describeAvailableDatasets(req) {
+  const datasets = [];
+  for (const entry of listDatasets().filter(item => canAccessDataset(req, item.id))) {
+    try {
+      datasets.push(describeDataset(entry));
+    } catch (error) {
+      logger.error('Erro ao abrir dataset', { dataset: entry.id, error });
+    }
+  }
+  return datasets;
+}
+
+// Função para responder um erro dos serviços OGC como relatório de exceção em XML
+function sendOgcError(res, error, formatReport) {
+  // Cliente desconectou: não há a quem responder
+  if (error.name === 'AbortError') return;
+  if (errorCode(error) === 'SERVER_BUSY') {
+    res.setHeader('Retry-After', String(error.retryAfter));
+    return res.status(503).type('text/xml').send(formatReport(error));
+  }
+  if (!error.ogcCode) {
+    logger.error('Erro no serviço OGC', { error });
+  }
+  res.status(error.ogcCode ? 400 : 500).type('text/xml').send(formatReport(error));
+}
+
+// Função para localizar os datasets das camadas de um pedido OGC. Camadas sem
+// acesso são tratadas como inexistentes.
+function resolveLayers(req, ids, locator) {
+  return ids.map((id) => {
+    const entry = getDataset(id);
+    if (!entry || !canAccessDataset(req, entry.id)) {
+      throw ogcError('LayerNotDefined', `Camada ${id} não encontrada`, locator);
+    }
+    return entry;
+  });
+}
+
+// Função para interpretar as opções de renderização de uma camada; nos serviços OGC
+// elas chegam como parâmetros extras (bands, colormap, stretch, ...)
+function resolveLayerOptions(entry, query) {
+  try {
+    const options = parseRenderOptions(applyRenderDefaults(entry.id, query));
+    validateRenderOptions(options, openDataset(entry).info);
+    return options;
+  } catch (error) {
+    throw ogcError('InvalidParameterValue', error.message);
+  }
+}
+
+// Função para responder o GetTile do WMTS reaproveitando a rota de tiles
+function handleWmtsGetTile(req, res, params) {
+  const tile = parseGetTile(params);
+  resolveLayers(req, [tile.layer], 'LAYER');
+  req.params = { id: tile.layer, z: String(tile.z), x: String(tile.x), y: `${tile.y}.${tile.format.extension}` };
+  return handleTileRequest(req, res);
+}
+
+// Função para responder o serviço WMTS com codificação KVP (/wmts?SERVICE=WMTS&REQUEST=...)
+async function handleWmtsRequest(req, res) {
+  const params = normalizeKvp(req.query);
+  try {
+    if (params.SERVICE && params.SERVICE.toUpperCase() !== 'WMTS') {
+      throw ogcError('InvalidParameterValue', `Serviço ${params.SERVICE} não suportado (use WMTS)`, 'SERVICE');
+    }
+    const request = String(params.REQUEST || 'GetCapabilities');
+    if (request.toLowerCase() === 'getcapabilities') {
+      return res.type('text/xml').send(buildWmtsCapabilities(serviceBaseUrl(req), describeAvailableDatasets(req)));
+    }
+    if (request.toLowerCase() === 'gettile') {
+      return await handleWmtsGetTile(req, res, params);
+    }
+    throw ogcError('OperationNotSupported', `Operação ${request} não suportada`, 'REQUEST');
+  } catch (error) {
+    sendOgcError(res, error, owsExceptionReport);
+  }
+}
+
+// Função para responder o serviço WMS 1.3.0 (GetCapabilities, GetMap e GetFeatureInfo)
+async function handleWmsRequest(req, res) {
+  const params = normalizeKvp(req.query);
+  try {
+    if (params.SERVICE && params.SERVICE.toUpperCase() !== 'WMS') {
+      throw ogcError('InvalidParameterValue', `Serviço ${params.SERVICE} não suportado (use WMS)`, 'SERVICE');
+    }
+    const request = String(params.REQUEST || 'GetCapabilities').toLowerCase();
+
+    if (request === 'getcapabilities') {
+      return res.type('text/xml').send(buildWmsCapabilities(serviceBaseUrl(req), describeAvailableDatasets(req)));
+    }
+
+    if (request === 'getmap') {
+      const mapRequest = parseGetMap(params);
+      const layers = resolveLayers(req, mapRequest.layers, 'LAYERS')
+        .map(entry => ({ entry, options: resolveLayerOptions(entry, req.query) }));
+      const startTime = Date.now();
+      const mapBuffer = await renderMapInPool(layers, { params, query: req.query, request: mapRequest },
+        clientAbortSignal(res));
+      logger.info('GetMap gerado', {
+        width: mapRequest.width,
+        height: mapRequest.height,
+        crs: mapRequest.crs,
+        durationMs: Date.now() - startTime
       });
-      
-      // Obter as bandas do GeoTIFF
-      const [band1, band2, band3] = [1, 2, 3].map(i => dataset.bands.get(i));
-      
-      // Ler os dados das bandas
-      const data1 = await band1.pixels.read(adjustedReadX, adjustedReadY, adjustedReadWidth, adjustedReadHeight);
-      const data2 = await band2.pixels.read(adjustedReadX, adjustedReadY, adjustedReadWidth, adjustedReadHeight);
-      const data3 = await band3.pixels.read(adjustedReadX, adjustedReadY, adjustedReadWidth, adjustedReadHeight);
-      
-      // Criar buffer RGB
-      const rgbData = Buffer.alloc(adjustedReadWidth * adjustedReadHeight * 3);
-      for (let i = 0; i < adjustedReadWidth * adjustedReadHeight; i++) {
-        rgbData[i * 3] = data1[i];
-        rgbData[i * 3 + 1] = data2[i];
-        rgbData[i * 3 + 2] = data3[i];
-      }
-      
-      // Processar a imagem com sharp
-      const tileBuffer = await sharp(rgbData, {
-        raw: {
-          width: adjustedReadWidth,
-          height: adjustedReadHeight,
-          channels: 3
-        }
-      })
-      .resize(tileSize, tileSize, {
-        fit: 'fill',
-        position: 'center',
-        kernel: 'lanczos3'
-      })
-      .gamma(1.1)
-      .normalize()
-      .modulate({
-        brightness: 1.1,
-        saturation: 1.2
-      })
-      .png({
-        quality: 90,
-        compressionLevel: 9
-      })
-      .toBuffer();
-      
-      // Armazenar no cache
-      tileCache.set(cacheKey, tileBuffer);
-      
-      // Limitar o tamanho do cache (manter apenas os últimos 1000 tiles)
-      if (tileCache.size > 1000) {
-        const firstKey = tileCache.keys().next().value;
-        tileCache.delete(firstKey);
-      }
-      
-      // Enviar o tile
-      res.setHeader('Content-Type', 'image/png');
-      res.setHeader('X-Cache', 'MISS');
-      res.send(tileBuffer);
-      
-      console.log(`[${new Date().toISOString()}] Tile processado em ${Date.now() - startTime}ms`);
-      
+      return res.type('image/png').send(mapBuffer);
+    }
+
+    if (request === 'getfeatureinfo') {
+      const infoRequest = parseGetFeatureInfo(params);
+      const layers = resolveLayers(req, infoRequest.queryLayers, 'QUERY_LAYERS');
+      const results = await getFeatureInfo(layers, infoRequest);
+      return res.type(infoRequest.infoFormat).send(formatFeatureInfo(results, infoRequest.infoFormat));
+    }
+
+    throw ogcError('OperationNotSupported', `Operação ${params.REQUEST} não suportada`, 'REQUEST');
+  } catch (error) {
+    sendOgcError(res, error, wmsExceptionReport);
+  }
+}
+
+// Rota de verificação de vida: o processo está respondendo
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Rota de prontidão: o diretório de dados está acessível e todos os datasets do
+// catálogo abrem no GDAL. Responde 503 com os problemas encontrados.
+app.get('/ready', (req, res) => {
+  const problems = [];
+  try {
+    fs.accessSync(dataPath, fs.constants.R_OK);
+  } catch (error) {
+    problems.push({ directory: dataPath, error: error.message });
+  }
+
+  const datasets = listDatasets();
+  for (const entry of datasets) {
+    try {
+      openDataset(entry);
+    } catch (error) {
+      problems.push({ dataset: entry.id, error: error.message });
+    }
+  }
+
+  if (problems.length) {
+    logger.warn('Servidor não está pronto', { problems });
+    return res.status(503).json({ status: 'unavailable', problems });
+  }
+  res.json({ status: 'ready', datasets: datasets.length });
+});
+
+// Rota de métricas no formato do Prometheus
+app.get('/metrics', requireAdmin, (req, res) => {
+  const caches = [
+    ...listDatasets().map(entry => ({ kind: 'raster', dataset: entry.id, ...entry.tileCache.stats() })),
+    ...listVectorLayers().map(entry => ({ kind: 'vector', dataset: entry.id, ...entry.tileCache.stats() }))
+  ];
+  res.type(METRICS_CONTENT_TYPE).send(renderMetrics({ caches, renderPool: getRenderPoolStats() }));
+});
+
+// Rota de depuração com a configuração efetiva (arquivo, variáveis de ambiente
+// aplicadas e valores finais, com os segredos ocultados)
+app.get('/api/config', requireAdmin, (req, res) => {
+  res.json(describeConfig());
+});
+
+// Rota para listar os datasets do catálogo
+app.get('/api/datasets', (req, res) => {
+  const datasets = [];
+  for (const entry of listDatasets().filter(item => canAccessDataset(req, item.id))) {
+    try {
+      datasets.push(describeDataset(entry));
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] Erro na transformação de coordenadas:`, error);
-      return sendEmptyTile();
+      logger.error('Erro ao abrir dataset', { dataset: entry.id, error });
+      datasets.push({ id: entry.id, file: entry.fileName, error: error.message });
     }
-    
+  }
+  res.json(datasets);
+});
+
+// Rota para enviar um novo GeoTIFF (corpo da requisição = bytes do arquivo).
+// O arquivo é gravado em disco e a ingestão segue como tarefa em segundo plano.
+app.post('/api/datasets', requireAdmin, async (req, res) => {
+  let options;
+  try {
+    options = parseIngestOptions(req.query, req.headers);
   } catch (error) {
-    console.error(`[${new Date().toISOString()}] Erro ao gerar tile:`, error);
-    return sendEmptyTile();
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  if (getDataset(options.id) && !options.overwrite) {
+    return sendApiError(res, 'DATASET_EXISTS', `Dataset ${options.id} já existe (use overwrite=true para substituir)`);
+  }
+  if (Number(req.headers['content-length']) > MAX_UPLOAD_BYTES) {
+    return sendApiError(res, 'PAYLOAD_TOO_LARGE', `Arquivo maior que o limite de ${MAX_UPLOAD_BYTES} bytes`);
   }
+
+  let upload;
+  try {
+    upload = await receiveUpload(req, dataPath, options);
+  } catch (error) {
+    logger.error('Erro ao receber arquivo', { error });
+    return sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao receber arquivo', error.message);
+  }
+
+  const job = ingestUpload(upload, options, dataPath);
+  logger.info('Arquivo recebido; ingestão enfileirada', { file: options.fileName, bytes: upload.size, job: job.id });
+  res.status(202).location(`/api/jobs/${job.id}`).json(job);
 });
 
-// Adicionar uma rota para visualizar o mapa completo em baixa resolução
-app.get('/api/preview', async (req, res) => {
-  try {
-    const { dataset, info } = initGdalDataset();
-    const width = info.width;
-    const height = info.height;
-    
-    // Definir uma resolução máxima para a prévia
-    const maxPreviewSize = 1024;
-    const scale = Math.min(maxPreviewSize / width, maxPreviewSize / height);
-    const previewWidth = Math.round(width * scale);
-    const previewHeight = Math.round(height * scale);
-    
-    // Ler as bandas
-    const [band1, band2, band3] = [1, 2, 3].map(i => dataset.bands.get(i));
-    const data1 = await band1.pixels.read(0, 0, width, height);
-    const data2 = await band2.pixels.read(0, 0, width, height);
-    const data3 = await band3.pixels.read(0, 0, width, height);
-    
-    // Criar buffer RGB
-    const rgbData = Buffer.alloc(width * height * 3);
-    for (let i = 0; i < width * height; i++) {
-      rgbData[i * 3] = data1[i];
-      rgbData[i * 3 + 1] = data2[i];
-      rgbData[i * 3 + 2] = data3[i];
-    }
-    
-    // Processar a imagem com sharp
-    const previewBuffer = await sharp(rgbData, {
-      raw: {
-        width,
-        height,
-        channels: 3
-      }
-    })
-    .resize(previewWidth, previewHeight, {
-      fit: 'inside',
-      kernel: 'lanczos3'
-    })
-    .gamma(1.1)
-    .normalize()
-    .modulate({
-      brightness: 1.1,
-      saturation: 1.2
-    })
-    .png({
-      quality: 90,
-      compressionLevel: 9
-    })
-    .toBuffer();
-    
-    res.setHeader('Content-Type', 'image/png');
-    res.send(previewBuffer);
-    
+// Rota para remover um dataset (arquivo, auxiliares e cache de tiles)
+app.delete('/api/datasets/:id', requireAdmin, (req, res) => {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  try {
+    removeDataset(entry);
+    logger.info('Dataset removido', { dataset: entry.id });
+    res.json({ id: entry.id, deleted: true });
   } catch (error) {
-    console.error('Erro ao gerar prévia:', error);
-    res.status(500).json({ error: 'Erro ao gerar prévia' });
+    logger.error('Erro ao remover dataset', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao remover dataset', error.message);
   }
 });
 
-// Rota para verificar informações do arquivo TIF
-app.get('/api/tif-info-detailed', (req, res) => {
-  const tifPath = path.join(dataPath, 'Iturama-2019.tif');
+// Rotas para acompanhar as tarefas em segundo plano (ingestão de arquivos)
+app.get('/api/jobs', requireAdmin, (req, res) => {
+  res.json(listJobs());
+});
+app.get('/api/jobs/:id', requireAdmin, (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return sendApiError(res, 'JOB_NOT_FOUND', `Tarefa ${req.params.id} não encontrada`);
+  }
+  res.json(job);
+});
 
-  if (fs.existsSync(tifPath)) {
+// Séries temporais: datasets da mesma área agrupados pela data do nome do arquivo
+app.get('/api/timeseries', (req, res) => {
+  res.json(listTimeSeries()
+    .map(series => accessibleSeries(req, series))
+    .filter(Boolean)
+    .map(describeTimeSeries));
+});
+app.get('/api/timeseries/:area', (req, res) => {
+  const found = getTimeSeries(req.params.area);
+  const series = found && accessibleSeries(req, found);
+  if (!series) {
+    return sendApiError(res, 'SERIES_NOT_FOUND', `Série temporal ${req.params.area} não encontrada`);
+  }
+  res.json(describeTimeSeries(series));
+});
+app.get('/api/timeseries/:area/change/:z/:x/:y', handleChangeTileRequest);
+
+// Camadas vetoriais (GeoJSON, Shapefile e GeoPackage do diretório de dados)
+app.get('/api/vectors', (req, res) => {
+  const layers = [];
+  for (const entry of listVectorLayers().filter(item => canAccessDataset(req, item.id))) {
     try {
-      const dataset = gdal.open(tifPath);
-      const info = {
-        size: {
-          width: dataset.rasterSize.x,
-          height: dataset.rasterSize.y
-        },
-        bands: dataset.bands.count(),
-        srs: dataset.srs ? dataset.srs.toWKT() : null,
-        geoTransform: dataset.geoTransform,
-        metadata: dataset.getMetadata()
-      };
-      
-      // Calcular os limites geográficos
-      const [originX, pixelWidth, skewX, originY, skewY, pixelHeight] = dataset.geoTransform;
-      const width = dataset.rasterSize.x;
-      const height = dataset.rasterSize.y;
-      
-      const bounds = {
-        minX: originX,
-        maxX: originX + width * pixelWidth,
-        minY: originY + height * pixelHeight,
-        maxY: originY
-      };
-      
-      info.bounds = bounds;
-      
-      // Tentar obter a projeção como string WKT
-      const projection = getSafeProjection(dataset);
-      info.projection = projection;
-      
-      // Converter para WGS84
-      if (projection) {
-        try {
-          const nw = proj4(projection, 'EPSG:4326', [bounds.minX, bounds.maxY]);
-          const se = proj4(projection, 'EPSG:4326', [bounds.maxX, bounds.minY]);
-          
-          info.wgs84Bounds = {
-            northwest: { lon: nw[0], lat: nw[1] },
-            southeast: { lon: se[0], lat: se[1] }
-          };
-        } catch (error) {
-          console.error('Erro ao converter para WGS84:', error);
-        }
-      }
-      
-      dataset.close();
-      res.json(info);
+      layers.push(describeVectorLayer(entry));
     } catch (error) {
-      res.status(500).json({
-        error: 'Erro ao ler arquivo TIF',
-        details: error.message
-      });
+      logger.error('Erro ao abrir camada vetorial', { layer: entry.id, error });
+      layers.push({ id: entry.id, file: entry.fileName, error: error.message });
+    }
+  }
+  res.json(layers);
+});
+app.get('/api/vectors/:layer/features', handleVectorFeaturesRequest);
+app.get('/api/vectors/:layer/:z/:x/:y.pbf', handleVectorTileRequest);
+
+// Rotas por dataset
+app.get('/api/datasets/:id/info', handleDetailedInfoRequest);
+app.get('/api/datasets/:id/tiles/:z/:x/:y', handleTileRequest);
+app.get('/api/datasets/:id/preview', handlePreviewRequest);
+app.get('/api/datasets/:id/tilejson.json', handleTileJsonRequest);
+app.get('/api/datasets/:id/identify', handleIdentifyRequest);
+app.post('/api/datasets/:id/identify', handleBatchIdentifyRequest);
+app.post('/api/datasets/:id/zonal-stats', handleZonalStatsRequest);
+app.get('/api/datasets/:id/export', handleExportRequest);
+app.post('/api/datasets/:id/export', handleExportRequest);
+app.get('/api/datasets/:id/contours', handleContoursRequest);
+
+// Mapa estático de uma área (mosaico dos datasets com sobreposições GeoJSON)
+app.get('/api/static', handleStaticMapRequest);
+app.post('/api/static', handleStaticMapRequest);
+
+// Rota para criar URLs assinadas dos tiles de um dataset, para mapas embutidos sem
+// expor a chave (?expiresIn= em segundos, padrão 1 hora). Parâmetros de renderização
+// podem ser acrescentados às URLs; a assinatura cobre o dataset e a validade.
+app.post('/api/datasets/:id/signed-url', (req, res) => {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  const { auth: authConfig } = config;
+  if (!authConfig.enabled || !authConfig.signingSecret) {
+    return sendApiError(res, 'NOT_CONFIGURED',
+      'URLs assinadas exigem a autenticação ligada e auth.signingSecret configurado');
+  }
+  if (req.auth.signed) {
+    return sendApiError(res, 'FORBIDDEN', 'Uma URL assinada não pode gerar outras');
+  }
+
+  const value = (req.body && req.body.expiresIn) || req.query.expiresIn || 3600;
+  const expiresIn = Number(value);
+  if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > authConfig.signedUrlMaxAge) {
+    return sendApiError(res, 'INVALID_PARAMETER',
+      `expiresIn inválido: ${value} (use de 1 a ${authConfig.signedUrlMaxAge} segundos)`);
+  }
+
+  const params = new URLSearchParams(signDatasetAccess(req.auth.key, entry.id, expiresIn));
+  const datasetUrl = `${serviceBaseUrl(req)}/api/datasets/${encodeURIComponent(entry.id)}`;
+  res.json({
+    id: entry.id,
+    expiresAt: new Date(Number(params.get('expires')) * 1000).toISOString(),
+    tiles: [`${datasetUrl}/tiles/{z}/{x}/{y}?${params}`],
+    tilejson: `${datasetUrl}/tilejson.json?${params}`
+  });
+});
+
+// Rota para obter a legenda da renderização (JSON, ou PNG com ?format=png)
+app.get('/api/datasets/:id/legend', async (req, res) => {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  try {
+    const options = resolveRenderOptions(req, res, entry);
+    if (!options) return;
+
+    const legend = await describeLegend(entry, options);
+    if (req.query.format !== 'png') {
+      return res.json({ id: entry.id, ...legend });
+    }
+
+    if (legend.type === 'rgb') {
+      return sendApiError(res, 'INVALID_PARAMETER', 'Composições RGB não têm legenda em imagem');
     }
-  } else {
-    res.status(404).json({
-      error: 'Arquivo TIF não encontrado',
-      path: tifPath
+    const legendBuffer = await renderLegendImage(legend);
+    res.setHeader('Content-Type', 'image/png');
+    res.send(legendBuffer);
+  } catch (error) {
+    logger.error('Erro ao gerar legenda', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao gerar legenda', error.message);
+  }
+});
+
+// Rota para consultar as estatísticas globais das bandas (?refresh=true recalcula)
+app.get('/api/datasets/:id/stats', async (req, res) => {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  try {
+    const stats = await getDatasetStatistics(entry, { refresh: req.query.refresh === 'true' });
+    res.json({ id: entry.id, ...stats });
+  } catch (error) {
+    logger.error('Erro ao calcular estatísticas', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao calcular estatísticas', error.message);
+  }
+});
+
+// Rota administrativa para gerar os overviews de um dataset
+app.post('/api/datasets/:id/overviews', requireAdmin, async (req, res) => {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  const options = { ...req.query, ...req.body };
+  try {
+    parseOverviewOptions(options);
+  } catch (error) {
+    return sendApiError(res, 'INVALID_PARAMETER', error.message);
+  }
+
+  try {
+    const startTime = Date.now();
+    const result = await buildOverviews(entry, options);
+    logger.info('Overviews gerados', { dataset: entry.id, durationMs: Date.now() - startTime });
+    res.json({ id: entry.id, ...result });
+  } catch (error) {
+    logger.error('Erro ao gerar overviews', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao gerar overviews', error.message);
+  }
+});
+
+// Serviços OGC para clientes GIS (QGIS, ArcGIS, ...)
+app.get('/wmts', handleWmtsRequest);
+app.get('/wmts/1.0.0/WMTSCapabilities.xml', (req, res) => {
+  res.type('text/xml').send(buildWmtsCapabilities(serviceBaseUrl(req), describeAvailableDatasets(req)));
+});
+app.get('/wmts/1.0.0/:layer/:style/:tileMatrixSet/:z/:y/:x.:extension', async (req, res) => {
+  try {
+    const format = formatFromExtension(req.params.extension);
+    await handleWmtsGetTile(req, res, {
+      FORMAT: format ? format.mimeType : req.params.extension,
+      LAYER: req.params.layer,
+      STYLE: req.params.style,
+      TILEMATRIXSET: req.params.tileMatrixSet,
+      TILEMATRIX: req.params.z,
+      TILEROW: req.params.y,
+      TILECOL: req.params.x
     });
+  } catch (error) {
+    sendOgcError(res, error, owsExceptionReport);
   }
 });
+app.get('/wms', handleWmsRequest);
+
+// Rotas antigas, mantidas para o dataset padrão
+app.get('/api/tif-info', (req, res) => {
+  const entry = resolveDataset(req, res);
+  if (!entry) return;
+
+  try {
+    const { info } = openDataset(entry);
+    res.json(info);
+  } catch (error) {
+    logger.error('Erro ao obter informações do TIF', { dataset: entry.id, error });
+    sendApiError(res, errorCode(error, 'INTERNAL_ERROR'), 'Erro ao obter informações do TIF', error.message);
+  }
+});
+app.get('/api/tif-info-detailed', handleDetailedInfoRequest);
+app.get('/api/tiles/:z/:x/:y', handleTileRequest);
+app.get('/api/preview', handlePreviewRequest);
+app.get('/api/tilejson.json', handleTileJsonRequest);
+app.get('/api/identify', handleIdentifyRequest);
+app.post('/api/identify', handleBatchIdentifyRequest);
+app.post('/api/zonal-stats', handleZonalStatsRequest);
+app.get('/api/export', handleExportRequest);
+app.post('/api/export', handleExportRequest);
+app.get('/api/contours', handleContoursRequest);
+
+// Camada de lotes do visualizador antigo, agora filtrável e paginada
+app.get('/api/geojson', (req, res) => {
+  req.params.layer = 'lotes';
+  handleVectorFeaturesRequest(req, res);
+});
 
 // Adicionar uma rota para servir uma página HTML simples para visualizar o mapa
 app.get('/', (req, res) => {
@@ -591,78 +1277,325 @@ app.get('/', (req, res) => {
           max-height: 300px;
           overflow: auto;
         }
+        .compare-panel {
+          position: absolute;
+          bottom: 20px;
+          left: 10px;
+          z-index: 1000;
+          background: white;
+          padding: 10px;
+          border-radius: 5px;
+          box-shadow: 0 0 10px rgba(0,0,0,0.2);
+          font: 13px sans-serif;
+        }
+        .compare-panel select { margin: 2px 0; }
+        .compare-panel input[type=range] { width: 220px; }
+        .swipe-divider {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          width: 2px;
+          margin-left: -1px;
+          background: white;
+          box-shadow: 0 0 4px rgba(0,0,0,0.6);
+          z-index: 900;
+          pointer-events: none;
+          display: none;
+        }
       </style>
     </head>
     <body>
       <div id="map"></div>
       <div class="info-panel" id="info-panel">Carregando informações...</div>
+      <div class="swipe-divider" id="swipe-divider"></div>
+      <div class="compare-panel" id="compare-panel" style="display: none">
+        <strong>Comparar datas</strong>
+        <div><select id="compare-series"></select></div>
+        <div><select id="compare-before"></select> &rarr; <select id="compare-after"></select></div>
+        <div>
+          <select id="compare-mode">
+            <option value="">Desligado</option>
+            <option value="swipe">Cortina</option>
+            <option value="change">Mudanças</option>
+          </select>
+        </div>
+        <div><input type="range" id="compare-swipe" min="0" max="100" value="50"></div>
+      </div>
       
       <script src="https://unpkg.com/leaflet@1.7.1/dist/leaflet.js"></script>
       <script>
-        // Inicializar o mapa
-        const map = L.map('map').setView([-19.7, -50.2], 12);
+        // Inicializar o mapa (a vista inicial vem dos limites do primeiro dataset)
+        const map = L.map('map');
         
         // Adicionar camada base do OpenStreetMap
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
           attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
         }).addTo(map);
         
-        // Adicionar camada do GeoTIFF
-        const tifLayer = L.tileLayer('/api/tiles/{z}/{x}/{y}', {
-          minZoom: 10,
-          maxZoom: 18,
-          tileSize: 256,
-          opacity: 0.7
-        }).addTo(map);
-        
-        // Obter informações do GeoTIFF
-        fetch('/api/tif-info-detailed')
+        // Camadas dos datasets do catálogo (uma por GeoTIFF) e o TileJSON de cada uma
+        const tileJsons = {};
+        const layersControl = L.control.layers(null, null, { collapsed: false }).addTo(map);
+        let activeDataset = null;
+
+        // Chave de API do visualizador (?key= na URL da página), repassada às chamadas da API
+        const apiKey = new URLSearchParams(location.search).get('key');
+
+        // Função para montar a URL de uma rota da API com a chave do visualizador
+        function apiUrl(path) {
+          if (!apiKey) return path;
+          return path + (path.includes('?') ? '&' : '?') + 'key=' + encodeURIComponent(apiKey);
+        }
+
+        // Função para exibir as informações de um dataset no painel
+        function showDatasetInfo(dataset) {
+          document.getElementById('info-panel').innerHTML = '<h3>' + dataset.id + '</h3>' +
+            '<p>Dimensões: ' + dataset.width + ' x ' + dataset.height + '</p>' +
+            '<p>Bandas: ' + dataset.bandCount + '</p>' +
+            '<p>CRS: ' + (dataset.crs || 'desconhecido') + '</p>';
+        }
+
+        // Obter os datasets disponíveis e o TileJSON de cada um (zoom, limites e centro)
+        fetch(apiUrl('/api/datasets'))
           .then(response => response.json())
-          .then(info => {
-            document.getElementById('info-panel').innerHTML = '<h3>Informações do GeoTIFF</h3>' + 
-              '<p>Dimensões: ' + info.size.width + ' x ' + info.size.height + '</p>' +
-              '<p>Bandas: ' + info.bands + '</p>';
-            
-            // Se tiver limites em WGS84, ajustar o mapa para eles
-            if (info.wgs84Bounds) {
-              const nw = info.wgs84Bounds.northwest;
-              const se = info.wgs84Bounds.southeast;
-              map.fitBounds([
-                [nw.lat, nw.lon],
-                [se.lat, se.lon]
-              ]);
+          .then(datasets => Promise.all(datasets.filter(dataset => !dataset.error).map(dataset =>
+            fetch(apiUrl('/api/datasets/' + encodeURIComponent(dataset.id) + '/tilejson.json'))
+              .then(response => response.json())
+              .then(tileJson => ({ dataset, tileJson }))
+          )))
+          .then(layers => {
+            layers.forEach(({ dataset, tileJson }, index) => {
+              tileJsons[dataset.id] = tileJson;
+              // {r} vira @2x em telas de alta densidade
+              const layer = L.tileLayer(tileJson.tiles[0].replace('{y}', '{y}{r}'), {
+                minZoom: tileJson.minzoom,
+                maxZoom: tileJson.maxzoom,
+                bounds: tileJson.bounds && [[tileJson.bounds[1], tileJson.bounds[0]], [tileJson.bounds[3], tileJson.bounds[2]]],
+                tileSize: 256,
+                opacity: 0.7
+              });
+              layer.on('add', () => {
+                activeDataset = dataset;
+                showDatasetInfo(dataset);
+              });
+              layersControl.addOverlay(layer, dataset.id);
+
+              // Exibir o primeiro dataset e ajustar o mapa aos seus limites
+              if (index === 0) {
+                if (tileJson.bounds) {
+                  map.fitBounds([[tileJson.bounds[1], tileJson.bounds[0]], [tileJson.bounds[3], tileJson.bounds[2]]]);
+                } else {
+                  map.setView([0, 0], tileJson.minzoom);
+                }
+                layer.addTo(map);
+              }
+            });
+
+            if (!activeDataset) {
+              map.setView([0, 0], 2);
+              document.getElementById('info-panel').innerHTML = '<p>Nenhum dataset disponível</p>';
             }
+            return Promise.all([loadTimeSeries(), loadVectorLayers()]);
           })
           .catch(error => {
             console.error('Erro ao obter informações:', error);
+            map.setView([0, 0], 2);
             document.getElementById('info-panel').innerHTML = '<p>Erro ao carregar informações</p>';
           });
           
-        // Adicionar informações de coordenadas
-        let lastPosition = null;
-        map.on('mousemove', function(e) {
-          lastPosition = e.latlng;
+        // Adicionar informações de coordenadas e o resultado da última consulta
+        let identifyHtml = '';
+        function showPosition(latlng) {
           document.getElementById('info-panel').innerHTML = 
-            '<h3>Informações do GeoTIFF</h3>' +
-            '<p>Coordenadas: ' + e.latlng.lat.toFixed(6) + ', ' + e.latlng.lng.toFixed(6) + '</p>';
+            '<h3>' + (activeDataset ? activeDataset.id : 'Informações do GeoTIFF') + '</h3>' +
+            '<p>Coordenadas: ' + latlng.lat.toFixed(6) + ', ' + latlng.lng.toFixed(6) + '</p>' +
+            identifyHtml;
+        }
+        map.on('mousemove', function(e) {
+          showPosition(e.latlng);
         });
-        
-        // Adicionar evento de clique para mostrar o tile atual
+
+        // Função para formatar o resultado da consulta de um ponto
+        function formatIdentify(result) {
+          if (!result.inside) {
+            return '<p><em>Ponto fora do raster</em></p>';
+          }
+          return '<p><strong>Ponto consultado</strong> (' + result.lat.toFixed(6) + ', ' + result.lon.toFixed(6) + ')</p>' +
+            '<p>' + (result.crs || 'CRS nativo') + ': ' + result.x.toFixed(2) + ', ' + result.y.toFixed(2) + '</p>' +
+            '<p>Pixel: ' + result.pixel + ', linha: ' + result.line + '</p>' +
+            '<table>' + result.bands.map(band =>
+              '<tr><td>Banda ' + band.band + '</td><td>' + (band.isNoData ? '<em>NoData</em>' : band.value) + '</td></tr>'
+            ).join('') + '</table>';
+        }
+
+        // Ao clicar, consultar os valores do raster no ponto
         map.on('click', function(e) {
-          if (!lastPosition) return;
-          
-          const zoom = map.getZoom();
-          const lat = lastPosition.lat;
-          const lng = lastPosition.lng;
-          
-          // Calcular as coordenadas do tile
-          const x = Math.floor((lng + 180) / 360 * Math.pow(2, zoom));
-          const y = Math.floor((1 - Math.log(Math.tan(lat * Math.PI / 180) + 1 / Math.cos(lat * Math.PI / 180)) / Math.PI) / 2 * Math.pow(2, zoom));
-          
-          document.getElementById('info-panel').innerHTML += 
-            '<p>Tile: z=' + zoom + ', x=' + x + ', y=' + y + '</p>' +
-            '<p><a href="/api/tiles/' + zoom + '/' + x + '/' + y + '" target="_blank">Ver Tile</a></p>';
+          if (!activeDataset) return;
+
+          const url = '/api/datasets/' + encodeURIComponent(activeDataset.id) + '/identify' +
+            '?lat=' + e.latlng.lat + '&lon=' + e.latlng.lng;
+          fetch(apiUrl(url))
+            .then(response => response.json())
+            .then(result => {
+              identifyHtml = result.error ? '<p>' + result.error + '</p>' : formatIdentify(result);
+              showPosition(e.latlng);
+            })
+            .catch(error => {
+              console.error('Erro ao consultar ponto:', error);
+              identifyHtml = '<p>Erro ao consultar ponto</p>';
+              showPosition(e.latlng);
+            });
         });
+
+        // Comparação entre duas datas de uma série temporal: cortina (as datas lado a
+        // lado, divididas pelo controle deslizante) ou camada de mudanças (depois - antes)
+        const comparePanel = document.getElementById('compare-panel');
+        const seriesSelect = document.getElementById('compare-series');
+        const beforeSelect = document.getElementById('compare-before');
+        const afterSelect = document.getElementById('compare-after');
+        const modeSelect = document.getElementById('compare-mode');
+        const swipeInput = document.getElementById('compare-swipe');
+        const swipeDivider = document.getElementById('swipe-divider');
+        let timeSeries = [];
+        let compare = null;
+
+        L.DomEvent.disableClickPropagation(comparePanel);
+        L.DomEvent.disableScrollPropagation(comparePanel);
+
+        // Função para criar a camada de tiles de um dataset com o zoom do seu TileJSON
+        function datasetLayer(id) {
+          const tileJson = tileJsons[id] || {};
+          return L.tileLayer(apiUrl('/api/datasets/' + encodeURIComponent(id) + '/tiles/{z}/{x}/{y}{r}'), {
+            minZoom: tileJson.minzoom,
+            maxZoom: tileJson.maxzoom,
+            tileSize: 256
+          });
+        }
+
+        // Função para preencher as datas da série escolhida (primeira e última por padrão)
+        function fillDates() {
+          const series = timeSeries.find(item => item.area === seriesSelect.value);
+          const options = series.dates.map(item => '<option value="' + item.id + '">' + item.date + '</option>').join('');
+          beforeSelect.innerHTML = options;
+          afterSelect.innerHTML = options;
+          beforeSelect.selectedIndex = 0;
+          afterSelect.selectedIndex = series.dates.length - 1;
+        }
+
+        // Função para recortar as duas datas na posição do controle deslizante
+        function updateSwipe() {
+          if (!compare || compare.mode !== 'swipe') return;
+          const size = map.getSize();
+          const topLeft = map.containerPointToLayerPoint([0, 0]);
+          const bottomRight = map.containerPointToLayerPoint(size);
+          const split = map.containerPointToLayerPoint([size.x * swipeInput.value / 100, 0]).x;
+          compare.before.getContainer().style.clip =
+            'rect(' + topLeft.y + 'px, ' + split + 'px, ' + bottomRight.y + 'px, ' + topLeft.x + 'px)';
+          compare.after.getContainer().style.clip =
+            'rect(' + topLeft.y + 'px, ' + bottomRight.x + 'px, ' + bottomRight.y + 'px, ' + split + 'px)';
+          swipeDivider.style.left = swipeInput.value + '%';
+        }
+
+        // Função para trocar as camadas da comparação conforme as escolhas do painel
+        function updateCompare() {
+          if (compare) {
+            compare.layers.forEach(layer => map.removeLayer(layer));
+            compare = null;
+          }
+          swipeDivider.style.display = 'none';
+          swipeInput.style.display = modeSelect.value === 'swipe' ? '' : 'none';
+          if (!modeSelect.value || beforeSelect.value === afterSelect.value) return;
+
+          if (modeSelect.value === 'change') {
+            const url = '/api/timeseries/' + encodeURIComponent(seriesSelect.value) + '/change/{z}/{x}/{y}{r}' +
+              '?from=' + encodeURIComponent(beforeSelect.value) + '&to=' + encodeURIComponent(afterSelect.value);
+            const tileJson = tileJsons[afterSelect.value] || {};
+            const layer = L.tileLayer(apiUrl(url), { minZoom: tileJson.minzoom, maxZoom: tileJson.maxzoom, tileSize: 256, opacity: 0.8 });
+            compare = { mode: 'change', layers: [layer] };
+          } else {
+            const before = datasetLayer(beforeSelect.value);
+            const after = datasetLayer(afterSelect.value);
+            compare = { mode: 'swipe', before, after, layers: [before, after] };
+            swipeDivider.style.display = 'block';
+          }
+          compare.layers.forEach(layer => layer.addTo(map));
+          updateSwipe();
+        }
+
+        // Função para carregar as séries temporais e exibir o painel quando houver alguma com duas datas ou mais
+        function loadTimeSeries() {
+          return fetch(apiUrl('/api/timeseries'))
+            .then(response => response.json())
+            .then(series => {
+              timeSeries = series.filter(item => item.dates.length >= 2);
+              if (!timeSeries.length) return;
+              seriesSelect.innerHTML = timeSeries.map(item => '<option>' + item.area + '</option>').join('');
+              fillDates();
+              updateCompare();
+              comparePanel.style.display = 'block';
+            });
+        }
+
+        // Camadas vetoriais (lotes, talhões): só as feições da área visível são
+        // baixadas, de novo a cada movimento do mapa
+        const VECTOR_PAGE_LIMIT = 2000;
+        const vectorOverlays = [];
+
+        // Função para formatar os atributos de uma feição no popup
+        function formatProperties(properties) {
+          return '<table>' + Object.keys(properties || {}).map(key =>
+            '<tr><td>' + key + '</td><td>' + properties[key] + '</td></tr>'
+          ).join('') + '</table>';
+        }
+
+        // Função para recarregar as feições de uma camada vetorial na área visível
+        function refreshVectorOverlay(overlay) {
+          if (!map.hasLayer(overlay.layer)) return;
+          const bounds = map.getBounds();
+          const bbox = [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+            .map(value => value.toFixed(6)).join(',');
+          const request = ++overlay.request;
+          fetch(apiUrl('/api/vectors/' + encodeURIComponent(overlay.id) + '/features?bbox=' + bbox + '&limit=' + VECTOR_PAGE_LIMIT))
+            .then(response => response.json())
+            .then(collection => {
+              // Ignorar respostas de movimentos anteriores do mapa
+              if (request !== overlay.request || collection.error) return;
+              overlay.layer.clearLayers();
+              overlay.layer.addData(collection);
+            })
+            .catch(error => console.error('Erro ao carregar feições de ' + overlay.id + ':', error));
+        }
+
+        // Função para adicionar as camadas vetoriais disponíveis ao controle de camadas
+        function loadVectorLayers() {
+          return fetch(apiUrl('/api/vectors'))
+            .then(response => response.json())
+            .then(layers => {
+              layers.filter(item => !item.error).forEach(item => {
+                const overlay = {
+                  id: item.id,
+                  request: 0,
+                  layer: L.geoJSON(null, {
+                    style: { color: '#ff7800', weight: 1, fillOpacity: 0.1 },
+                    onEachFeature: (feature, layer) => layer.bindPopup(formatProperties(feature.properties))
+                  })
+                };
+                overlay.layer.on('add', () => refreshVectorOverlay(overlay));
+                vectorOverlays.push(overlay);
+                layersControl.addOverlay(overlay.layer, item.id + ' (vetor)');
+              });
+            });
+        }
+        map.on('moveend', () => vectorOverlays.forEach(refreshVectorOverlay));
+
+        seriesSelect.addEventListener('change', () => {
+          fillDates();
+          updateCompare();
+        });
+        beforeSelect.addEventListener('change', updateCompare);
+        afterSelect.addEventListener('change', updateCompare);
+        modeSelect.addEventListener('change', updateCompare);
+        swipeInput.addEventListener('input', updateSwipe);
+        map.on('move', updateSwipe);
       </script>
     </body>
     </html>
@@ -673,14 +1606,19 @@ app.get('/', (req, res) => {
 app.use(express.static(path.join(__dirname, 'public')));
 
 app.listen(port, () => {
-  console.log(`Servidor backend rodando em http://localhost:${port}`);
-  console.log(`Servindo dados de: ${dataPath}`);
-  
-  // Tentar inicializar o dataset no início para detectar problemas
-  try {
-    initGdalDataset();
-    console.log('Dataset GDAL inicializado com sucesso');
-  } catch (error) {
-    console.error('Erro ao inicializar dataset GDAL:', error);
+  logger.info('Servidor backend iniciado', {
+    url: `http://localhost:${port}`,
+    dataPath,
+    renderWorkers: startRenderPool()
+  });
+
+  // Tentar inicializar os datasets no início para detectar problemas
+  for (const entry of listDatasets()) {
+    try {
+      openDataset(entry);
+      logger.info('Dataset GDAL inicializado', { dataset: entry.id });
+    } catch (error) {
+      logger.error('Erro ao inicializar dataset GDAL', { dataset: entry.id, error });
+    }
   }
 });
\ No newline at end of file